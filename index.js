@@ -4,8 +4,30 @@ const multer = require('multer');
 const { parse } = require('csv-parse');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
 const pool = require('./config/database.js');
-const OpenAI = require('openai');
+const ExcelJS = require('exceljs');
+const iconv = require('iconv-lite');
+const chardet = require('chardet');
+const { from: copyFrom } = require('pg-copy-streams');
+const { parseSailwaveHTML, looksLikeHTML } = require('./lib/sailwave.js');
+const { TIE_BREAKS, parseRaceScore, formatRaceScore, parseDiscards, scoreSeries } = require('./lib/scoring.js');
+const { INITIAL_RATING, PROVISIONAL_RACES, isProvisional, rateRace } = require('./lib/rating.js');
+const { createProviders, createFallbackProvider } = require('./lib/query-providers.js');
+const { readPageOptions, paginate } = require('./lib/pagination.js');
+const { openApiDocument } = require('./lib/openapi.js');
+const { readExportFormat, renderExport } = require('./lib/export.js');
+const { readBackupFormat, renderBackupFile, parseBackupFile } = require('./lib/backup-files.js');
+const { migrateUp } = require('./lib/migrations.js');
+const { AUDITED_METHODS, AUDIT_SORTS, requestParams, readAuditFilters, auditListQuery } = require('./lib/audit.js');
+const {
+    ROLES, SESSION_COOKIE, SESSION_TTL_MS, MIN_PASSWORD_LENGTH, isRole, hasRole, lesserRole,
+    hashPassword, verifyPassword, generateToken, hashToken, readCookie
+} = require('./lib/auth.js');
+const { getOrCreateSession, getSession, deleteSession, recordTurn, sessionContext } = require('./lib/chat-sessions.js');
+const { createJob, getJob, startJob, updateJobProgress, addJobWarning, isJobFinished, whenJobFinished } = require('./lib/jobs.js');
 
 // Load environment variables
 dotenv.config();
@@ -16,33 +38,234 @@ const port = process.env.PORT || 3000;
 // Multer configuration for file upload
 const upload = multer({ dest: 'uploads/' });
 
+// Roll back the transaction a failed request was in; client is null when
+// connecting failed. A broken connection can't roll back either, and the
+// error that got us here is the one to report, so that failure is only logged.
+async function rollbackQuietly(client) {
+    if (!client) return;
+    try {
+        await client.query('ROLLBACK');
+    } catch (error) {
+        console.warn('⚠️ Rollback failed:', error.message);
+    }
+}
+
 // Middleware
 app.use(express.json());
-app.use(express.static('public')); // Serve static files from public directory
-
-const openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY
+// Pages are served by the routes below, which check the login first, so
+// public/ is served as it is only for their assets (images, auth.js).
+// The path is checked decoded, as express.static reads it.
+const serveAssets = express.static('public', { index: false });
+app.use((req, res, next) => {
+    let file;
+    try {
+        file = decodeURIComponent(req.path);
+    } catch (error) {
+        return next();
+    }
+    return /\.html?$/i.test(file) ? next() : serveAssets(req, res, next);
 });
+// Render terminates HTTPS in front of us; this lets the session cookie be marked secure
+app.set('trust proxy', 1);
+app.use(recordAudit);
+app.use(authenticate);
 
-// Add this near the top of the file with other constants
-const ENABLE_DB_WIPE = false; // Safety switch - must be manually enabled to allow any data deletion
+// Safety switch - must be manually enabled (ENABLE_DB_WIPE=true) to allow clearing or restoring the database
+const ENABLE_DB_WIPE = process.env.ENABLE_DB_WIPE === 'true';
 
-// Add these safety functions
-async function checkDatabaseHasData() {
-    const result = await pool.query(`
-        SELECT 
-            (SELECT COUNT(*) FROM races) as race_count,
-            (SELECT COUNT(*) FROM skippers) as skipper_count,
-            (SELECT COUNT(*) FROM results) as result_count
-    `);
-    return result.rows[0];
+// Role callers get without logging in (e.g. ANONYMOUS_ROLE=viewer for a
+// public chat), or none
+const ANONYMOUS_ROLE = isRole(process.env.ANONYMOUS_ROLE) ? process.env.ANONYMOUS_ROLE : null;
+
+// Who is calling: a bearer token (scripts) or the session cookie (pages).
+// Sets req.user to { id, username, role, tokenId, kind }, or null when the
+// request carries no credentials. A bearer token that doesn't work is
+// rejected outright; a stale session cookie is ignored.
+async function authenticate(req, res, next) {
+    req.user = null;
+    const bearer = (req.get('authorization') || '').match(/^Bearer\s+(\S+)$/i);
+    const token = bearer ? bearer[1] : readCookie(req.headers.cookie, SESSION_COOKIE);
+    if (!token) return next();
+
+    try {
+        const result = await pool.query(`
+            WITH found AS (
+                SELECT t.id AS token_id, t.kind, t.role AS token_role, t.last_used_at,
+                       u.id, u.username, u.role
+                FROM auth_tokens t
+                JOIN users u ON u.id = t.user_id
+                WHERE t.token_hash = $1 AND t.kind = $2 AND NOT u.disabled
+                AND (t.expires_at IS NULL OR t.expires_at > CURRENT_TIMESTAMP)
+            ), touched AS (
+                -- Only note use once a minute, not on every request
+                UPDATE auth_tokens SET last_used_at = CURRENT_TIMESTAMP
+                WHERE id IN (SELECT token_id FROM found
+                             WHERE last_used_at IS NULL OR last_used_at < CURRENT_TIMESTAMP - INTERVAL '1 minute')
+            )
+            SELECT * FROM found
+        `, [hashToken(token), bearer ? 'api' : 'session']);
+
+        if (result.rows.length === 0) {
+            if (bearer) {
+                return res.status(401).set('WWW-Authenticate', 'Bearer error="invalid_token"')
+                    .json({ error: 'Invalid or expired token' });
+            }
+            return next();
+        }
+        const { id, username, role, token_role, token_id, kind } = result.rows[0];
+        req.user = { id, username, role: token_role ? lesserRole(token_role, role) : role, tokenId: token_id, kind };
+        next();
+    } catch (error) {
+        console.error('Authentication error:', error);
+        res.status(500).json({ error: 'Failed to check credentials', details: error.message });
+    }
+}
+
+// Let the request through if the caller has the role: 401 when they haven't
+// said who they are, 403 when they have and it isn't enough
+function requireRole(role) {
+    return (req, res, next) => {
+        const granted = req.user ? req.user.role : ANONYMOUS_ROLE;
+        if (hasRole(granted, role)) {
+            return next();
+        }
+        if (!req.user) {
+            return res.status(401).set('WWW-Authenticate', 'Bearer')
+                .json({ error: 'Authentication required', details: `Log in, or send a bearer token with the ${role} role` });
+        }
+        res.status(403).json({ error: 'Forbidden', details: `This needs the ${role} role; ${req.user.username} has ${req.user.role}` });
+    };
+}
+
+// Only for callers who logged in or sent a token, whatever ANONYMOUS_ROLE allows
+function requireUser(req, res, next) {
+    if (req.user) {
+        return next();
+    }
+    res.status(401).set('WWW-Authenticate', 'Bearer')
+        .json({ error: 'Authentication required', details: 'Log in, or send a bearer token' });
+}
+
+// requireRole for pages: send people who aren't logged in to the login page
+function requirePageRole(role) {
+    return (req, res, next) => {
+        const granted = req.user ? req.user.role : ANONYMOUS_ROLE;
+        if (hasRole(granted, role)) {
+            return next();
+        }
+        if (!req.user) {
+            return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+        }
+        res.status(403).send(`This page needs the ${role} role; ${req.user.username} has ${req.user.role}.`);
+    };
+}
+
+// Audit log: every POST, PUT, PATCH and DELETE is written to audit_log once
+// it has been answered, with the caller, their address, the parameters and
+// the outcome. Routes name their entries with audited() and say what they
+// changed with auditRows(); unnamed routes are logged under method and path.
+function recordAudit(req, res, next) {
+    if (!AUDITED_METHODS.includes(req.method)) return next();
+
+    const at = new Date();
+    res.locals.audit = { action: null, rows: null, after: null };
+    // Keep the error message of a failed request
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        res.locals.auditResponse = body;
+        return json(body);
+    };
+
+    res.once('close', async () => {
+        const audit = res.locals.audit;
+        if (!audit) return;
+        const response = res.locals.auditResponse;
+        const entry = {
+            at,
+            action: audit.action || `${req.method} ${req.route ? req.baseUrl + req.route.path : req.path}`,
+            user: req.user,
+            ip: req.ip,
+            method: req.method,
+            path: req.originalUrl.split('?')[0],
+            status: res.headersSent ? res.statusCode : null,
+            params: requestParams(req),
+            rows: audit.rows,
+            error: res.statusCode >= 400 && response ? response.details || response.error : null,
+            durationMs: Date.now() - at.getTime()
+        };
+        try {
+            // Work that carries on after the answer (an import) reports when it's done
+            Object.assign(entry, audit.after ? await audit.after : {});
+            await writeAudit(entry);
+        } catch (error) {
+            console.error('Audit log error:', error);
+        }
+    });
+    next();
+}
+
+// Name the audit entries for a route, e.g. audited('skipper.merge'). Put it
+// before requireRole so refused requests get the name too.
+function audited(action) {
+    return (req, res, next) => {
+        if (res.locals.audit) res.locals.audit.action = action;
+        next();
+    };
+}
+
+// For POST routes that change no data worth recording (chat, logging in)
+function notAudited(req, res, next) {
+    res.locals.audit = null;
+    next();
 }
 
-async function backupTableData(tableName) {
-    const timestamp = new Date().toISOString().replace(/[^0-9]/g, "");
-    const backupTable = `${tableName}_backup_${timestamp}`;
-    await pool.query(`CREATE TABLE IF NOT EXISTS ${backupTable} AS SELECT * FROM ${tableName}`);
-    return backupTable;
+// Record how many rows a request changed, e.g. auditRows(res, { aliasesAdded: 1 })
+function auditRows(res, rows) {
+    if (res.locals.audit) res.locals.audit.rows = { ...res.locals.audit.rows, ...rows };
+}
+
+// Add an entry to audit_log. Changes the server makes itself, outside any
+// request, only give action, params and rows.
+async function writeAudit({ at = new Date(), action, user = null, ip = null, method = null, path = null,
+    status = null, params = null, rows = null, error = null, durationMs = null }) {
+    await pool.query(`
+        INSERT INTO audit_log (at, action, actor, user_id, role, ip, method, path, status, params, row_counts, error, duration_ms)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+    `, [
+        at, action, user?.username || null, user?.id || null, user ? user.role : (ip ? ANONYMOUS_ROLE : null),
+        ip, method, path, status,
+        params && Object.keys(params).length > 0 ? JSON.stringify(params) : null,
+        rows ? JSON.stringify(rows) : null,
+        error ? String(error).slice(0, 1000) : null, durationMs
+    ]);
+}
+
+// Create the admin account named by ADMIN_USERNAME and ADMIN_PASSWORD if it
+// doesn't exist yet, so a new deployment has someone who can log in
+async function ensureAdminUser() {
+    const username = (process.env.ADMIN_USERNAME || '').trim();
+    const password = process.env.ADMIN_PASSWORD || '';
+    if (!username || !password) {
+        const users = await pool.query('SELECT COUNT(*) AS count FROM users');
+        if (parseInt(users.rows[0].count) === 0) {
+            console.warn('⚠️ No user accounts yet: set ADMIN_USERNAME and ADMIN_PASSWORD to create the first admin');
+        }
+        return;
+    }
+    if (password.length < MIN_PASSWORD_LENGTH) {
+        console.warn(`⚠️ ADMIN_PASSWORD is shorter than ${MIN_PASSWORD_LENGTH} characters; admin account not created`);
+        return;
+    }
+    const result = await pool.query(`
+        INSERT INTO users (username, password_hash, role)
+        VALUES ($1, $2, 'admin')
+        ON CONFLICT ((LOWER(username))) DO NOTHING
+        RETURNING id
+    `, [username, await hashPassword(password)]);
+    if (result.rows.length > 0) {
+        console.log(`👤 Created admin account "${username}"`);
+        await writeAudit({ action: 'user.create', params: { username, role: 'admin', source: 'ADMIN_USERNAME' }, rows: { usersCreated: 1 } });
+    }
 }
 
 // Add input validation helper
@@ -65,105 +288,52 @@ function validateInput(value, type = 'string') {
     }
 }
 
-// Function to analyze query using GPT
-async function analyzeQuery(query) {
-    try {
-        const response = await openai.chat.completions.create({
-            model: "gpt-3.5-turbo",
-            messages: [
-                {
-                    role: "system",
-                    content: `You are a sailing race database assistant. You help users find information about sailors, races, and results.
-
-                        Database Structure:
-                        - Skippers (also called sailors, racers, people, competitors):
-                          * name: Person's full name
-                          * yacht_club: Their club/team affiliation
-                        
-                        - Races (also called regattas, events, competitions):
-                          * regatta_name: Event name
-                          * regatta_date: When it happened
-                          * category: Type of race/class
-                          * boat_name: Name of the vessel
-                          * sail_number: Boat's registration number
-                        
-                        - Results: Links skippers to races with their finishing data
-                          * position: Place they finished (1st, 2nd, etc.)
-                          * total_points: Points awarded
-                        
-                        Common Questions You Can Answer:
-                        1. Finding People:
-                           - "find sailor/skipper/person [name]"
-                           - "who is [name]?"
-                           - "tell me about [name]"
-                           - "search for [name]"
-                           - "lookup [name]"
-                           -> Return: {"queryType": "sailor_search", "sailorName": "[name]"}
-                        
-                        2. Finding Boats:
-                           - "find boat [name]"
-                           - "search for boat [name]"
-                           - "what boat is [name]"
-                           -> Return: {"queryType": "boat_search", "boatName": "[name]"}
-                        
-                        3. Top Performers:
-                           - "who are the top [N] sailors from [club]"
-                           - "best sailors in [club]"
-                           - "top performers from [club]"
-                           -> Return: {"queryType": "top_sailors", "yachtClub": "[club]", "limit": N}
-                        
-                        4. Regatta Results:
-                           - "show results for [regatta]"
-                           - "who won [regatta]"
-                           - "positions in [regatta]"
-                           -> Return: {"queryType": "regatta_results", "regattaName": "[regatta]"}
-                        
-                        5. Database Information:
-                           - "how many sailors/races do you know?"
-                           - "what's in the database?"
-                           - "show database stats"
-                           -> Return: {"queryType": "database_status"}
-                        
-                        6. Regatta Counts:
-                           - "list regattas in [year]"
-                           - "how many races in [year]"
-                           - "show races from [year]"
-                           -> Return: {"queryType": "regatta_count", "year": "[year]"}
-                        
-                        Understand these synonyms:
-                        - Person = Sailor = Skipper = Racer = Competitor
-                        - Race = Regatta = Event = Competition
-                        - Club = Team = Yacht Club = Organization
-                        
-                        Always try to understand partial or informal queries:
-                        - "find John" -> sailor_search with "John"
-                        - "races 2023" -> regatta_count with year 2023
-                        - "SYS team" -> top_sailors with "SYS"
-                        - "Spring Series results" -> regatta_results with "Spring Series"
-                        
-                        If you don't understand the query, return:
-                        {"queryType": "database_status"}
-                        
-                        IMPORTANT: Always return valid JSON, never plain text.`
-                },
-                { role: "user", content: query }
-            ],
-            temperature: 0
-        });
+// Chat questions go to the query providers in QUERY_PROVIDERS order, falling
+// back to the next when one is unreachable (see lib/query-providers.js)
+const queryProvider = createFallbackProvider(createProviders());
 
-        const content = response.choices[0].message.content.trim();
-        try {
-            return JSON.parse(content);
-        } catch (error) {
-            console.error('Failed to parse OpenAI response:', content);
-            return { queryType: "database_status" };
-        }
-    } catch (error) {
-        console.error('Query analysis error:', error);
-        throw new Error('Failed to analyze query');
-    }
+// Resolves to { analysis, provider }: the parsed question and who parsed it.
+// context is the conversation so far (see lib/chat-sessions.js).
+async function analyzeQuery(query, context) {
+    return queryProvider.analyze(query, context);
+}
+
+// SQL shared by the chat queries and the REST resources. Each fragment takes
+// its parameter placeholder and expects skippers as s and regattas as rg.
+
+// Skippers whose name or any alias contains the text
+function skipperNameMatchSQL(param) {
+    return `(LOWER(s.name) LIKE LOWER('%' || ${param} || '%')
+        OR EXISTS (
+            SELECT 1 FROM skipper_aliases sa
+            WHERE sa.skipper_id = s.id AND LOWER(sa.alias) LIKE LOWER('%' || ${param} || '%')
+        ))`;
+}
+
+// Skippers in a club, named by its name, short code or an alias
+function clubMatchSQL(param) {
+    return `(s.club_id = find_club(${param}) OR LOWER(s.yacht_club) = LOWER(${param}))`;
 }
 
+// Regattas sailed in a year; a NULL year matches them all
+function yearMatchSQL(param) {
+    return `(${param}::int IS NULL OR EXTRACT(YEAR FROM rg.regatta_date) = ${param})`;
+}
+
+// A racing record over results (res), races (r) and regattas (rg)
+const RACING_RECORD_SQL = `
+    COUNT(DISTINCT r.id) as total_races,
+    COUNT(DISTINCT CASE WHEN res.position = 1 THEN r.id END) as wins,
+    MIN(res.position) as best_position,
+    MIN(rg.regatta_date) as first_race,
+    MAX(rg.regatta_date) as last_race`;
+
+// What a regatta held, over its races (r) and results (res)
+const REGATTA_SUMMARY_SQL = `
+    STRING_AGG(DISTINCT r.category, ', ') as categories,
+    COUNT(DISTINCT r.id) as races,
+    COUNT(DISTINCT res.skipper_id) as participants`;
+
 // Update generateSQL to use safer parameter handling
 function generateSQL(analysis) {
     let baseQuery = '';
@@ -178,21 +348,18 @@ function generateSQL(analysis) {
                 SELECT DISTINCT
                     s.name as skipper_name,
                     s.yacht_club,
-                    r.boat_name,
-                    r.regatta_name,
-                    COUNT(DISTINCT r.id) as total_races,
-                    COUNT(DISTINCT CASE WHEN res.position = 1 THEN r.id END) as wins,
-                    MIN(res.position) as best_position,
-                    MIN(r.regatta_date) as first_race,
-                    MAX(r.regatta_date) as last_race
+                    res.boat_name,
+                    rg.name as regatta_name,${RACING_RECORD_SQL}
                 FROM skippers s
                 LEFT JOIN results res ON s.id = res.skipper_id
                 LEFT JOIN races r ON res.race_id = r.id
-                WHERE LOWER(s.name) LIKE LOWER('%' || $1 || '%')
-                GROUP BY s.id, s.name, s.yacht_club, r.boat_name, r.regatta_name
+                LEFT JOIN regattas rg ON r.regatta_id = rg.id
+                WHERE ${skipperNameMatchSQL('$1')}
+                AND ${yearMatchSQL('$2')}
+                GROUP BY s.id, s.name, s.yacht_club, res.boat_name, rg.name
                 ORDER BY s.name ASC
             `;
-            params.push(values.sailorName);
+            params.push(values.sailorName, validateInput(analysis.year, 'year'));
             return { query: baseQuery, params };
 
         case "database_status":
@@ -200,49 +367,64 @@ function generateSQL(analysis) {
                 query: `
                     SELECT 
                         (SELECT COUNT(*) FROM skippers) as total_sailors,
+                        (SELECT COUNT(*) FROM regattas) as total_regattas,
                         (SELECT COUNT(*) FROM races) as total_races,
                         (SELECT COUNT(*) FROM results) as total_results,
-                        (SELECT MIN(regatta_date) FROM races) as earliest_race,
-                        (SELECT MAX(regatta_date) FROM races) as latest_race,
-                        (SELECT COUNT(DISTINCT yacht_club) FROM skippers WHERE yacht_club IS NOT NULL) as total_clubs
+                        (SELECT MIN(regatta_date) FROM regattas) as earliest_race,
+                        (SELECT MAX(regatta_date) FROM regattas) as latest_race,
+                        (SELECT COUNT(DISTINCT COALESCE(club_id::TEXT, yacht_club)) FROM skippers WHERE yacht_club IS NOT NULL) as total_clubs
                 `,
                 params: []
             };
 
         case "regatta_count":
+            values.year = validateInput(analysis.year, 'year');
             baseQuery = `
                 SELECT 
-                    regatta_name,
-                    regatta_date,
-                    category,
-                    COUNT(DISTINCT res.skipper_id) as participants
-                FROM races r
+                    rg.name as regatta_name,
+                    rg.regatta_date,
+                    rg.venue,${REGATTA_SUMMARY_SQL}
+                FROM regattas rg
+                LEFT JOIN races r ON rg.id = r.regatta_id
                 LEFT JOIN results res ON r.id = res.race_id
-                WHERE 1=1
-                GROUP BY r.id, regatta_name, regatta_date, category
+                WHERE ${yearMatchSQL('$1')}
+                GROUP BY rg.id, rg.name, rg.regatta_date, rg.venue
+                ORDER BY rg.regatta_date DESC
             `;
-            break;
+            params.push(values.year);
+            return { query: baseQuery, params };
 
         case "boat_search":
+            // Match boats by any name they have raced under, or by sail number,
+            // and report each boat once with its latest name and skipper.
+            // Results without a sail number are grouped by name as before.
             values.boatName = analysis.boatName;
             baseQuery = `
+                WITH matched_boats AS (
+                    SELECT boat_id FROM results WHERE LOWER(boat_name) LIKE LOWER($1) AND boat_id IS NOT NULL
+                    UNION
+                    SELECT find_boat($2)
+                )
                 SELECT 
-                    r.boat_name,
-                    s.name as skipper_name,
-                    s.yacht_club,
-                    COUNT(DISTINCT r.id) as total_races,
-                    COUNT(DISTINCT CASE WHEN res.position = 1 THEN r.id END) as wins,
-                    MIN(res.position) as best_position,
-                    MIN(r.regatta_date) as first_race,
-                    MAX(r.regatta_date) as last_race
-                FROM races r
-                LEFT JOIN results res ON r.id = res.race_id
+                    b.id as boat_id,
+                    b.sail_number,
+                    (ARRAY_AGG(res.boat_name ORDER BY rg.regatta_date DESC) FILTER (WHERE res.boat_name IS NOT NULL))[1] as boat_name,
+                    STRING_AGG(DISTINCT res.boat_name, ', ') as boat_names,
+                    (ARRAY_AGG(s.name ORDER BY rg.regatta_date DESC))[1] as skipper_name,
+                    (ARRAY_AGG(s.yacht_club ORDER BY rg.regatta_date DESC))[1] as yacht_club,
+                    COUNT(DISTINCT s.id) as skipper_count,${RACING_RECORD_SQL}
+                FROM results res
+                JOIN races r ON res.race_id = r.id
+                JOIN regattas rg ON r.regatta_id = rg.id
                 LEFT JOIN skippers s ON res.skipper_id = s.id
-                WHERE LOWER(r.boat_name) LIKE LOWER($1)
-                GROUP BY r.boat_name, s.id, s.name, s.yacht_club
-                ORDER BY r.boat_name ASC
+                LEFT JOIN boats b ON res.boat_id = b.id
+                WHERE (res.boat_id IN (SELECT boat_id FROM matched_boats)
+                OR (res.boat_id IS NULL AND LOWER(res.boat_name) LIKE LOWER($1)))
+                AND ${yearMatchSQL('$3')}
+                GROUP BY b.id, b.sail_number, CASE WHEN b.id IS NULL THEN LOWER(res.boat_name) END
+                ORDER BY boat_name ASC
             `;
-            params.push(`%${values.boatName}%`);
+            params.push(`%${values.boatName}%`, values.boatName, validateInput(analysis.year, 'year'));
             return { query: baseQuery, params };
 
         case "top_sailors":
@@ -259,33 +441,103 @@ function generateSQL(analysis) {
                 FROM skippers s
                 JOIN results res ON s.id = res.skipper_id
                 JOIN races r ON res.race_id = r.id
-                WHERE LOWER(s.yacht_club) = LOWER($1)
+                JOIN regattas rg ON r.regatta_id = rg.id
+                WHERE ${clubMatchSQL('$1')}
+                AND ${yearMatchSQL('$3')}
                 GROUP BY s.id, s.name, s.yacht_club
                 ORDER BY wins DESC, avg_position ASC
                 LIMIT $2
             `;
-            params.push(values.yachtClub, values.limit);
+            params.push(values.yachtClub, values.limit, validateInput(analysis.year, 'year'));
             return { query: baseQuery, params };
 
         case "regatta_results":
             values.regattaName = analysis.regattaName;
             baseQuery = `
                 SELECT 
-                    r.regatta_name,
-                    r.regatta_date,
+                    rg.name as regatta_name,
+                    rg.regatta_date,
                     r.category,
                     s.name as skipper_name,
                     s.yacht_club,
-                    r.boat_name,
+                    res.boat_name,
                     res.position,
                     res.total_points
-                FROM races r
+                FROM regattas rg
+                JOIN races r ON rg.id = r.regatta_id
                 JOIN results res ON r.id = res.race_id
                 JOIN skippers s ON res.skipper_id = s.id
-                WHERE LOWER(r.regatta_name) LIKE LOWER('%' || $1 || '%')
-                ORDER BY r.regatta_date DESC, res.position ASC
+                WHERE LOWER(rg.name) LIKE LOWER('%' || $1 || '%')
+                AND ${yearMatchSQL('$2')}
+                ORDER BY rg.regatta_date DESC, r.category ASC, res.position ASC NULLS LAST
+            `;
+            params.push(values.regattaName, validateInput(analysis.year, 'year'));
+            return { query: baseQuery, params };
+
+        case "top_rated":
+            // Established ratings only: provisional ones move too much to rank on
+            values.yachtClub = analysis.yachtClub || null;
+            values.limit = analysis.limit || 10;
+            baseQuery = `
+                SELECT 
+                    s.name as skipper_name,
+                    s.yacht_club,
+                    ROUND(sr.rating) as rating,
+                    sr.races as rated_races,
+                    sr.last_raced
+                FROM skipper_ratings sr
+                JOIN skippers s ON s.id = sr.skipper_id
+                WHERE sr.races >= $1
+                AND ($2::TEXT IS NULL OR ${clubMatchSQL('$2')})
+                ORDER BY sr.rating DESC, s.name ASC
+                LIMIT $3
+            `;
+            params.push(PROVISIONAL_RACES, values.yachtClub, values.limit);
+            return { query: baseQuery, params };
+
+        case "skipper_best_results":
+            // Best finishes first; a win in a big fleet ranks above one in a small fleet
+            values.sailorName = analysis.sailorName;
+            baseQuery = `
+                SELECT 
+                    s.name as skipper_name,
+                    rg.name as regatta_name,
+                    rg.regatta_date,
+                    r.category,
+                    res.boat_name,
+                    res.position,
+                    (SELECT COUNT(*) FROM results f WHERE f.race_id = r.id) as fleet_size,
+                    res.total_points
+                FROM skippers s
+                JOIN results res ON s.id = res.skipper_id
+                JOIN races r ON res.race_id = r.id
+                JOIN regattas rg ON r.regatta_id = rg.id
+                WHERE s.id = find_skipper($1)
+                AND res.position IS NOT NULL
+                AND ${yearMatchSQL('$2')}
+                ORDER BY res.position ASC, fleet_size DESC, rg.regatta_date DESC
+                LIMIT 5
+            `;
+            params.push(values.sailorName, validateInput(analysis.year, 'year'));
+            return { query: baseQuery, params };
+
+        case "head_to_head":
+            // Finds the two skippers; the comparison is worked out in code
+            baseQuery = `SELECT find_skipper($1) as skipper_a, find_skipper($2) as skipper_b`;
+            params.push(analysis.sailorA, analysis.sailorB);
+            return { query: baseQuery, params };
+
+        case "series_standings":
+            // Standings are scored in code; this finds the series, preferring an exact name
+            values.seriesName = analysis.seriesName;
+            baseQuery = `
+                SELECT id, name
+                FROM series
+                WHERE LOWER(name) LIKE LOWER('%' || $1 || '%')
+                ORDER BY LOWER(name) = LOWER($1) DESC, created_at DESC
+                LIMIT 1
             `;
-            params.push(values.regattaName);
+            params.push(values.seriesName);
             return { query: baseQuery, params };
     }
 
@@ -300,12 +552,21 @@ function generateSQL(analysis) {
     // Add conditions using parameterized queries
     if (values.sailorName) {
         params.push(`%${values.sailorName}%`);
-        conditions.push(`LOWER(s.name) LIKE LOWER($${params.length})`);
+        conditions.push(`(LOWER(s.name) LIKE LOWER($${params.length}) OR EXISTS (
+            SELECT 1 FROM skipper_aliases sa
+            WHERE sa.skipper_id = s.id AND LOWER(sa.alias) LIKE LOWER($${params.length})
+        ))`);
     }
 
+    // Clubs match on their name, any alias, or their short code
     if (values.yachtClub) {
-        params.push(`%${values.yachtClub}%`);
-        conditions.push(`LOWER(s.yacht_club) LIKE LOWER($${params.length})`);
+        params.push(`%${values.yachtClub}%`, values.yachtClub);
+        const pattern = `$${params.length - 1}`;
+        conditions.push(`(LOWER(s.yacht_club) LIKE LOWER(${pattern}) OR s.club_id IN (
+            SELECT ca.club_id FROM club_aliases ca WHERE LOWER(ca.alias) LIKE LOWER(${pattern})
+            UNION ALL
+            SELECT id FROM clubs WHERE UPPER(short_code) = UPPER($${params.length})
+        ))`);
     }
 
     if (values.position) {
@@ -315,19 +576,19 @@ function generateSQL(analysis) {
 
     if (values.regattaName) {
         params.push(`%${values.regattaName}%`);
-        conditions.push(`LOWER(r.regatta_name) LIKE LOWER($${params.length})`);
+        conditions.push(`LOWER(rg.name) LIKE LOWER($${params.length})`);
     }
 
     if (values.location) {
         params.push(`%${values.location}%`);
-        conditions.push(`LOWER(r.regatta_name) LIKE LOWER($${params.length})`);
+        conditions.push(`LOWER(rg.name) LIKE LOWER($${params.length})`);
     }
 
     if (values.year) {
         params.push(values.year);
-        conditions.push(`EXTRACT(YEAR FROM races.regatta_date) = $${params.length}`);
+        conditions.push(`EXTRACT(YEAR FROM rg.regatta_date) = $${params.length}`);
     } else if (analysis.timeFrame === 'this_year') {
-        conditions.push(`EXTRACT(YEAR FROM races.regatta_date) = EXTRACT(YEAR FROM CURRENT_DATE)`);
+        conditions.push(`EXTRACT(YEAR FROM rg.regatta_date) = EXTRACT(YEAR FROM CURRENT_DATE)`);
     }
 
     // Use parameterized query for position checks
@@ -348,9 +609,9 @@ function generateSQL(analysis) {
     // Add safe ordering
     const safeOrderBy = {
         "most_wins": "wins DESC",
-        "winners_list": "races.regatta_date DESC",
+        "winners_list": "rg.regatta_date DESC",
         "sailor_search": "s.name ASC",
-        "team_results": "races.regatta_date DESC, results.position ASC"
+        "team_results": "rg.regatta_date DESC, res.position ASC"
     };
 
     if (safeOrderBy[analysis.queryType]) {
@@ -360,219 +621,672 @@ function generateSQL(analysis) {
     return { query: baseQuery, params };
 }
 
-// Update the initialization function with safeguards
-async function initializeDatabase() {
-    try {
-        // First check if we have existing data
-        const counts = await checkDatabaseHasData();
-        const hasExistingData = counts.race_count > 0 || counts.skipper_count > 0 || counts.result_count > 0;
+// Maximum length of the VARCHAR columns populated from CSV text fields
+const MAX_FIELD_LENGTH = 300;
+
+// Text fields checked against MAX_FIELD_LENGTH, with the label used in error messages
+const TEXT_FIELD_LIMITS = [
+    { key: 'regattaName', label: 'Regatta name' },
+    { key: 'venue', label: 'Venue' },
+    { key: 'category', label: 'Category' },
+    { key: 'boatName', label: 'Boat name' },
+    { key: 'sailNumber', label: 'Sail number' },
+    { key: 'skipper', label: 'Skipper name' },
+    { key: 'yachtClub', label: 'Yacht club name' }
+];
+
+// Convert a raw CSV cell to a trimmed string ('' for blank/missing values)
+function trimmed(value) {
+    return (value === null || value === undefined) ? '' : value.toString().trim();
+}
+
+// Normalize a raw CSV row into the shape used for inserts
+function cleanRow(row) {
+    return {
+        originalLineNumber: row._lineNumber, // Preserve the line number
+        regattaName: trimmed(row.Regatta_Name) || null,
+        regattaDate: parseDate(trimmed(row.Regatta_Date)) || null,
+        venue: trimmed(row.Venue) || null,
+        skipper: trimmed(row.Skipper) || null,
+        yachtClub: trimmed(row.Yacht_Club) || null,
+        category: trimmed(row.Category) || null,
+        boatName: trimmed(row.Boat_Name) || null,
+        sailNumber: trimmed(row.Sail_Number) || null,
+        position: trimmed(row.Position) ? parseInt(trimmed(row.Position)) : null,
+        totalPoints: trimmed(row.Total_Points) ? parseFloat(trimmed(row.Total_Points)) : null,
+        raceScores: row._raceScores?.length ? row._raceScores : null // Per-race scores from race columns or Sailwave pages
+    };
+}
+
+// What is wrong with a Position or Total_Points value, or null; uploads and
+// hand edits (readResultFields) check them the same way
+function positionProblem(position) {
+    return position && !/^\d+$/.test(position) ? 'Position must be a whole number' : null;
+}
+
+function totalPointsProblem(totalPoints) {
+    if (!totalPoints) return null;
+    if (isNaN(Number(totalPoints))) return 'Total points must be numeric';
+    // results.total_points is DECIMAL(5,2)
+    if (Math.abs(Number(totalPoints)) >= 1000) return 'Total points out of range (max 999.99)';
+    return null;
+}
+
+// Run every upload check against a raw CSV row and return all problems found
+function validateRow(row) {
+    const errors = [];
+    const rowNum = row._lineNumber;
+
+    // Required fields
+    if (!trimmed(row.Regatta_Name)) {
+        errors.push(`Missing Regatta Name in row ${rowNum}`);
+    }
+    if (!trimmed(row.Skipper)) {
+        errors.push(`Missing Skipper in row ${rowNum}`);
+    }
+    if (!trimmed(row.Regatta_Date)) {
+        errors.push(`Missing Date in row ${rowNum}`);
+    } else if (!parseDate(trimmed(row.Regatta_Date))) {
+        errors.push(`Invalid date format in row ${rowNum}: ${trimmed(row.Regatta_Date)}`);
+    }
+
+    // Numeric fields
+    const position = trimmed(row.Position);
+    if (positionProblem(position)) {
+        errors.push(`${positionProblem(position)} in row ${rowNum}: ${position}`);
+    }
+    const totalPoints = trimmed(row.Total_Points);
+    if (totalPointsProblem(totalPoints)) {
+        errors.push(`${totalPointsProblem(totalPoints)} in row ${rowNum}: ${totalPoints}`);
+    }
 
-        if (hasExistingData) {
-            console.log('⚠️ Database already contains data:', counts);
-            console.log('✅ Skipping initialization to protect existing data');
-            return;
+    // Race scores need points, a penalty code, or both
+    for (const score of row._raceScores || []) {
+        if (score.points === null && !score.code) {
+            errors.push(`Race score for ${score.race} must be points and/or a penalty code in row ${rowNum}`);
+        } else if (score.points !== null && Math.abs(score.points) >= 1000) {
+            errors.push(`Race score for ${score.race} out of range in row ${rowNum}: ${score.points}`);
         }
+    }
 
-        // Only create tables if they don't exist - NEVER drop tables
-        await pool.query(`
-            CREATE TABLE IF NOT EXISTS races (
-                id SERIAL PRIMARY KEY,
-                regatta_name VARCHAR(300),
-                regatta_date DATE,
-                category VARCHAR(300),
-                boat_name VARCHAR(300),
-                sail_number VARCHAR(300),
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                last_modified TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-            );
+    // Field lengths
+    const cleaned = cleanRow(row);
+    for (const { key, label } of TEXT_FIELD_LIMITS) {
+        if (cleaned[key] && cleaned[key].length > MAX_FIELD_LENGTH) {
+            errors.push(`${label} too long (max ${MAX_FIELD_LENGTH} chars) in row ${rowNum}`);
+        }
+    }
 
-            CREATE TABLE IF NOT EXISTS skippers (
-                id SERIAL PRIMARY KEY,
-                name VARCHAR(300) NOT NULL UNIQUE,
-                yacht_club VARCHAR(300),
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                last_modified TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-            );
+    return errors;
+}
 
-            CREATE TABLE IF NOT EXISTS results (
-                id SERIAL PRIMARY KEY,
-                race_id INTEGER REFERENCES races(id),
-                skipper_id INTEGER REFERENCES skippers(id),
-                position INTEGER,
-                total_points DECIMAL(5,2),
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                last_modified TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-            );
-        `);
+// Most problems an upload reports back; any beyond this are only counted
+const MAX_REPORTED_PROBLEMS = 500;
 
-        // Add triggers to update last_modified timestamp
-        await pool.query(`
-            CREATE OR REPLACE FUNCTION update_modified_column()
-            RETURNS TRIGGER AS $$
-            BEGIN
-                NEW.last_modified = CURRENT_TIMESTAMP;
-                RETURN NEW;
-            END;
-            $$ language 'plpgsql';
-
-            DROP TRIGGER IF EXISTS update_races_modtime ON races;
-            CREATE TRIGGER update_races_modtime
-                BEFORE UPDATE ON races
-                FOR EACH ROW
-                EXECUTE FUNCTION update_modified_column();
-
-            DROP TRIGGER IF EXISTS update_skippers_modtime ON skippers;
-            CREATE TRIGGER update_skippers_modtime
-                BEFORE UPDATE ON skippers
-                FOR EACH ROW
-                EXECUTE FUNCTION update_modified_column();
-
-            DROP TRIGGER IF EXISTS update_results_modtime ON results;
-            CREATE TRIGGER update_results_modtime
-                BEFORE UPDATE ON results
-                FOR EACH ROW
-                EXECUTE FUNCTION update_modified_column();
-        `);
+// Fingerprint an uploaded file by its content
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('data', (chunk) => hash.update(chunk))
+            .on('error', reject)
+            .on('end', () => resolve(hash.digest('hex')));
+    });
+}
 
-        // Verify tables are empty (double-check)
-        const finalCounts = await checkDatabaseHasData();
-        console.log('✅ Database tables created successfully. Current counts:', finalCounts);
+// Find a previous import of a file with the same content
+async function findImportedFile(fileHash) {
+    const result = await pool.query(
+        'SELECT file_name, row_count, imported_at FROM imported_files WHERE file_hash = $1',
+        [fileHash]
+    );
+    return result.rows[0] || null;
+}
 
-    } catch (error) {
-        console.error('❌ Database initialization error:', error);
-        throw error;
+// Columns of the import staging table, in the order rows are copied in
+const STAGING_COLUMNS = [
+    'line_number', 'regatta_name', 'regatta_date', 'venue', 'skipper', 'yacht_club',
+    'category', 'boat_name', 'sail_number', 'position', 'total_points', 'race_scores'
+];
+
+// Staged rows joined to the regatta and race (regatta + category) they belong to
+const STAGED_RACES_SQL = `
+    import_staging st
+    JOIN regattas rg ON rg.name = st.regatta_name AND rg.regatta_date = st.regatta_date
+    JOIN races r ON r.regatta_id = rg.id AND COALESCE(r.category, '') = COALESCE(st.category, '')
+`;
+
+// Staged rows with the club their club name resolved to, if any
+const STAGED_CLUBS_SQL = `
+    import_staging st
+    LEFT JOIN import_clubs ic ON ic.yacht_club = st.yacht_club
+    LEFT JOIN clubs c ON c.id = ic.club_id
+`;
+
+// Calendar date of a parsed date as YYYY-MM-DD. parseDate returns UTC midnight
+// for ISO dates and local midnight for everything else.
+function formatDate(date) {
+    if (date.getUTCHours() === 0 && date.getUTCMinutes() === 0) {
+        return date.toISOString().slice(0, 10);
     }
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
 }
 
-// Add safety check before any potentially destructive operations
-async function safetyCheck() {
-    if (!ENABLE_DB_WIPE) {
-        throw new Error('Database wipe protection is enabled. Set ENABLE_DB_WIPE to true to proceed.');
+// Escape a value for COPY's text format
+function copyValue(value) {
+    if (value === null || value === undefined) return '\\N';
+    const escapes = { '\\': '\\\\', '\t': '\\t', '\n': '\\n', '\r': '\\r' };
+    return String(value).replace(/[\\\t\n\r]/g, char => escapes[char]);
+}
+
+// Turn a validated row into a line of COPY input for the staging table
+function stagingLine(row) {
+    const cleaned = cleanRow(row);
+    return [
+        cleaned.originalLineNumber,
+        cleaned.regattaName,
+        formatDate(cleaned.regattaDate),
+        cleaned.venue,
+        cleaned.skipper,
+        cleaned.yachtClub,
+        cleaned.category,
+        cleaned.boatName,
+        cleaned.sailNumber,
+        cleaned.position,
+        cleaned.totalPoints,
+        cleaned.raceScores ? JSON.stringify(cleaned.raceScores) : null
+    ].map(copyValue).join('\t') + '\n';
+}
+
+// Stream parsed upload rows through the column mapping and validation into a
+// temporary staging table on the client's transaction, so memory use does not
+// grow with the file. Invalid rows are left out and reported, as are repeat
+// entries for a skipper in the same race (they would overwrite each other on upsert).
+// onProgress gets the running row counts and onProblem each problem as it is found.
+async function stageRows(client, rows, mapping, { onProgress = () => {}, onProblem = () => {} } = {}) {
+    await client.query(`
+        CREATE TEMP TABLE import_staging (
+            line_number INTEGER NOT NULL,
+            regatta_name TEXT NOT NULL,
+            regatta_date DATE NOT NULL,
+            venue TEXT,
+            skipper TEXT NOT NULL,
+            yacht_club TEXT,
+            category TEXT,
+            boat_name TEXT,
+            sail_number TEXT,
+            position INTEGER,
+            total_points DECIMAL(5,2),
+            race_scores JSONB,
+            skipper_key TEXT GENERATED ALWAYS AS (normalize_skipper_name(skipper)) STORED,
+            skipper_id INTEGER -- Set once the name is resolved to a skipper
+        ) ON COMMIT DROP
+    `);
+
+    let totalRows = 0;
+    let invalidRows = 0;
+    const problems = [];
+    const reportProblem = (line, errors) => {
+        invalidRows++;
+        onProblem({ line, errors });
+        if (problems.length < MAX_REPORTED_PROBLEMS) {
+            problems.push({ line, errors });
+        }
+    };
+
+    async function* stagingLines() {
+        for await (const parsedRow of rows) {
+            totalRows++;
+            const row = applyColumnMapping(parsedRow, mapping);
+            const errors = validateRow(row);
+            if (errors.length > 0) {
+                reportProblem(row._lineNumber, errors);
+            } else {
+                yield stagingLine(row);
+            }
+            onProgress({ rowsRead: totalRows, invalidRows });
+        }
     }
-    
-    const counts = await checkDatabaseHasData();
-    if (counts.race_count > 0 || counts.skipper_count > 0 || counts.result_count > 0) {
-        // Create backups before proceeding
-        const backups = await Promise.all([
-            backupTableData('races'),
-            backupTableData('skippers'),
-            backupTableData('results')
+
+    await pipeline(
+        Readable.from(stagingLines()),
+        client.query(copyFrom(`COPY import_staging (${STAGING_COLUMNS.join(', ')}) FROM STDIN`))
+    );
+
+    await resolveStagedSkippers(client);
+
+    // Files repeat a handful of club names across many rows, so clubs are
+    // resolved once per distinct spelling
+    await client.query(`
+        CREATE TEMP TABLE import_clubs ON COMMIT DROP AS
+        SELECT yacht_club, normalize_club_name(yacht_club) AS club_key,
+               MIN(line_number) AS first_line, NULL::INTEGER AS club_id
+        FROM import_staging
+        WHERE yacht_club IS NOT NULL
+        GROUP BY yacht_club
+    `);
+    await resolveStagedClubs(client);
+
+    // Boats likewise, once per sail number as written
+    await client.query(`
+        CREATE TEMP TABLE import_boats ON COMMIT DROP AS
+        SELECT sail_number, normalize_sail_number(sail_number) AS sail_key,
+               MIN(line_number) AS first_line, NULL::INTEGER AS boat_id
+        FROM import_staging
+        WHERE sail_number IS NOT NULL
+        GROUP BY sail_number
+    `);
+    await resolveStagedBoats(client);
+
+    // Keep the first entry for each skipper in each race. Different spellings
+    // of one skipper's name count as the same skipper.
+    const duplicates = await client.query(`
+        DELETE FROM import_staging st
+        USING (
+            SELECT line_number,
+                   MIN(line_number) OVER (
+                       PARTITION BY regatta_name, regatta_date, category,
+                           CASE WHEN skipper_id IS NOT NULL THEN 'id:' || skipper_id ELSE 'name:' || COALESCE(skipper_key, skipper) END
+                   ) AS first_line
+            FROM import_staging
+        ) entries
+        WHERE st.line_number = entries.line_number
+        AND entries.line_number <> entries.first_line
+        RETURNING st.line_number, st.skipper, entries.first_line
+    `);
+    for (const duplicate of duplicates.rows) {
+        reportProblem(duplicate.line_number, [
+            `Duplicate entry for ${duplicate.skipper} in row ${duplicate.line_number} (already on row ${duplicate.first_line})`
         ]);
-        console.log('Created backup tables:', backups);
     }
+    problems.sort((a, b) => a.line - b.line);
+    onProgress({ rowsRead: totalRows, invalidRows });
+
+    // Give the planner row counts for the set-based statements that follow
+    await client.query('ANALYZE import_staging');
+
+    return { totalRows, validRows: totalRows - invalidRows, invalidRows, problems };
 }
 
-// Update bulkInsertData function to handle blank/missing values
-async function bulkInsertData(rows) {
-    const client = await pool.connect();
-    try {
-        await client.query('BEGIN');
+// Point staged rows at existing skippers: an exact name match first, then a
+// recorded alias, then the same name written differently ("SMITH, Jon")
+async function resolveStagedSkippers(client) {
+    await client.query(`
+        WITH names AS (
+            SELECT DISTINCT skipper, skipper_key FROM import_staging WHERE skipper_id IS NULL
+        ), resolved AS (
+            SELECT n.skipper, (
+                SELECT m.id FROM (
+                    SELECT s.id, 1 AS preference FROM skippers s WHERE s.name = n.skipper
+                    UNION ALL
+                    SELECT a.skipper_id, 2 FROM skipper_aliases a WHERE a.normalized_alias = n.skipper_key
+                    UNION ALL
+                    SELECT s.id, 3 FROM skippers s WHERE normalize_skipper_name(s.name) = n.skipper_key
+                ) m
+                ORDER BY m.preference, m.id
+                LIMIT 1
+            ) AS skipper_id
+            FROM names n
+        )
+        UPDATE import_staging st
+        SET skipper_id = resolved.skipper_id
+        FROM resolved
+        WHERE st.skipper = resolved.skipper
+        AND st.skipper_id IS NULL
+        AND resolved.skipper_id IS NOT NULL
+    `);
+}
 
-        // Clean and validate data
-        const cleanRows = rows.map(row => ({
-            originalLineNumber: row._lineNumber, // Preserve the line number
-            regattaName: row.Regatta_Name?.trim() || null,
-            regattaDate: parseDate(row.Regatta_Date) || null,
-            skipper: row.Skipper?.trim() || null,
-            yachtClub: row.Yacht_Club?.trim() || null,
-            category: row.Category?.trim() || null,
-            boatName: row.Boat_Name?.trim() || null,
-            sailNumber: row.Sail_Number?.trim() || null,
-            position: row.Position ? parseInt(row.Position.toString().trim()) : null,
-            totalPoints: row.Total_Points ? parseFloat(row.Total_Points.toString().trim()) : null
-        }));
+// Point the staged club names at existing clubs by name, short code or alias
+async function resolveStagedClubs(client) {
+    await client.query('UPDATE import_clubs SET club_id = find_club(yacht_club) WHERE club_id IS NULL');
+}
 
-        // Validate field lengths
-        for (const row of cleanRows) {
-            if (row.regattaName && row.regattaName.length > 300) {
-                throw new Error(`Regatta name too long (max 300 chars) in row ${row.originalLineNumber}`);
-            }
-            if (row.category && row.category.length > 300) {
-                throw new Error(`Category too long (max 300 chars) in row ${row.originalLineNumber}`);
-            }
-            if (row.boatName && row.boatName.length > 300) {
-                throw new Error(`Boat name too long (max 300 chars) in row ${row.originalLineNumber}`);
-            }
-            if (row.sailNumber && row.sailNumber.length > 300) {
-                throw new Error(`Sail number too long (max 300 chars) in row ${row.originalLineNumber}`);
-            }
-            if (row.skipper && row.skipper.length > 300) {
-                throw new Error(`Skipper name too long (max 300 chars) in row ${row.originalLineNumber}`);
-            }
-            if (row.yachtClub && row.yachtClub.length > 300) {
-                throw new Error(`Yacht club name too long (max 300 chars) in row ${row.originalLineNumber}`);
+// Point the staged sail numbers at existing boats. Most match a sail number
+// exactly; only numbers that another boat has under a different country
+// prefix need find_boat's slower per-number lookup.
+async function resolveStagedBoats(client) {
+    await client.query(`
+        UPDATE import_boats ib SET boat_id = b.id
+        FROM boats b
+        WHERE ib.boat_id IS NULL AND b.sail_key = ib.sail_key
+    `);
+    await client.query(`
+        UPDATE import_boats ib SET boat_id = find_boat(ib.sail_number)
+        WHERE ib.boat_id IS NULL
+        AND EXISTS (SELECT 1 FROM boats b WHERE b.sail_digits = SUBSTRING(ib.sail_key FROM '^[A-Z]*(.*)$'))
+    `);
+}
+
+// Work out what loading the staged rows would do without writing anything
+async function previewStagedImport(client) {
+    const result = await client.query(`
+        WITH regatta_keys AS (
+            SELECT DISTINCT regatta_name, regatta_date FROM import_staging
+        ), race_keys AS (
+            SELECT DISTINCT regatta_name, regatta_date, category FROM import_staging
+        )
+        SELECT
+            (SELECT COUNT(DISTINCT COALESCE(skipper_key, skipper)) FROM import_staging
+             WHERE skipper_id IS NULL) + (SELECT COUNT(DISTINCT skipper_id) FROM import_staging) AS skippers,
+            (SELECT COUNT(DISTINCT skipper_id) FROM import_staging) AS existing_skippers,
+            (SELECT COUNT(DISTINCT club_key) FROM import_clubs
+             WHERE club_id IS NULL) + (SELECT COUNT(DISTINCT club_id) FROM import_clubs) AS clubs,
+            (SELECT COUNT(DISTINCT club_id) FROM import_clubs) AS existing_clubs,
+            (SELECT COUNT(DISTINCT sail_key) FROM import_boats
+             WHERE boat_id IS NULL) + (SELECT COUNT(DISTINCT boat_id) FROM import_boats) AS boats,
+            (SELECT COUNT(DISTINCT boat_id) FROM import_boats) AS existing_boats,
+            (SELECT COUNT(*) FROM regatta_keys) AS regattas,
+            (SELECT COUNT(*) FROM regatta_keys k
+             JOIN regattas rg ON rg.name = k.regatta_name AND rg.regatta_date = k.regatta_date) AS existing_regattas,
+            (SELECT COUNT(*) FROM race_keys) AS races,
+            (SELECT COUNT(*) FROM race_keys k
+             JOIN regattas rg ON rg.name = k.regatta_name AND rg.regatta_date = k.regatta_date
+             JOIN races r ON r.regatta_id = rg.id AND COALESCE(r.category, '') = COALESCE(k.category, '')) AS existing_races,
+            (SELECT COUNT(*) FROM import_staging) AS results,
+            (SELECT COUNT(*) FROM ${STAGED_RACES_SQL}
+             JOIN results res ON res.race_id = r.id AND res.skipper_id = st.skipper_id) AS existing_results
+    `);
+
+    // Names in the file that will be recorded under a differently spelled skipper
+    const renamed = await client.query(`
+        SELECT DISTINCT st.skipper AS name, s.id AS skipper_id, s.name AS skipper_name
+        FROM import_staging st
+        JOIN skippers s ON s.id = st.skipper_id
+        WHERE st.skipper <> s.name
+        ORDER BY st.skipper
+        LIMIT 50
+    `);
+
+    // Results already stored under the same natural key will be updated, not duplicated
+    const counts = result.rows[0];
+    const split = (total, existing) => ({
+        new: parseInt(counts[total]) - parseInt(counts[existing]),
+        existing: parseInt(counts[existing])
+    });
+    return {
+        skippers: { ...split('skippers', 'existing_skippers'), matched: renamed.rows },
+        clubs: split('clubs', 'existing_clubs'),
+        boats: split('boats', 'existing_boats'),
+        regattas: split('regattas', 'existing_regattas'),
+        races: split('races', 'existing_races'),
+        results: split('results', 'existing_results')
+    };
+}
+
+// Rescore every staged fleet that has per-race scores under RRS Appendix A and
+// report rows whose published points, discards or positions don't add up.
+// These are warnings: the file is imported as published.
+async function checkStagedScores(client) {
+    const result = await client.query(`
+        SELECT regatta_name, regatta_date, category, line_number, skipper, position, total_points, race_scores
+        FROM import_staging
+        WHERE (regatta_name, regatta_date, COALESCE(category, '')) IN (
+            SELECT regatta_name, regatta_date, COALESCE(category, '')
+            FROM import_staging
+            WHERE race_scores IS NOT NULL
+        )
+        ORDER BY regatta_name, regatta_date, category, line_number
+    `);
+
+    const fleets = new Map();
+    for (const row of result.rows) {
+        const key = JSON.stringify([row.regatta_name, row.regatta_date, row.category]);
+        if (!fleets.has(key)) fleets.set(key, []);
+        fleets.get(key).push(row);
+    }
+
+    let mismatchCount = 0;
+    const mismatches = [];
+    for (const rows of fleets.values()) {
+        const scored = scoreSeries(rows.map(row => ({
+            id: row.line_number,
+            raceScores: row.race_scores || [],
+            position: row.position,
+            totalPoints: row.total_points === null ? null : parseFloat(row.total_points)
+        })));
+        for (const standing of scored.standings.filter(s => s.mismatches.length > 0)) {
+            const row = rows.find(r => r.line_number === standing.id);
+            mismatchCount++;
+            if (mismatches.length < MAX_REPORTED_PROBLEMS) {
+                mismatches.push({
+                    line: row.line_number,
+                    skipper: row.skipper,
+                    regatta: row.regatta_name,
+                    category: row.category,
+                    expected: { position: standing.position, totalPoints: standing.net },
+                    issues: standing.mismatches
+                });
             }
         }
+    }
+    mismatches.sort((a, b) => a.line - b.line);
+    return { fleetsChecked: fleets.size, mismatchCount, mismatches };
+}
 
-        // Get unique skippers
-        const uniqueSkippers = [...new Set(cleanRows
-            .filter(row => row.skipper)
-            .map(row => row.skipper))];
-
-        // Create skipper map
-        const skipperMap = new Map();
-        
-        // Insert skippers one by one to handle duplicates properly
-        for (const skipperName of uniqueSkippers) {
-            try {
-                const result = await client.query(
-                    `INSERT INTO skippers (name, yacht_club) 
-                     VALUES ($1, $2)
-                     ON CONFLICT (name) 
-                     DO UPDATE SET yacht_club = COALESCE($2, skippers.yacht_club)
-                     RETURNING id`,
-                    [
-                        skipperName,
-                        cleanRows.find(r => r.skipper === skipperName)?.yachtClub
-                    ]
-                );
-                skipperMap.set(skipperName, result.rows[0].id);
-            } catch (error) {
-                const affectedRow = cleanRows.find(r => r.skipper === skipperName);
-                throw new Error(`Error inserting skipper "${skipperName}" from row ${affectedRow.originalLineNumber}: ${error.message}`);
-            }
+// Load the staged rows with set-based statements: create skippers for names that
+// did not resolve to an existing skipper or alias, create missing regattas and
+// races (tagged with the batch so they can be undone), then upsert one result per
+// row on its natural key (race + skipper), so a corrected re-export updates
+// positions and points instead of appending
+async function bulkInsertData(client, batchId) {
+    // One new club per unrecognized club name, spelled as on its first row
+    await client.query(`
+        INSERT INTO clubs (name)
+        SELECT DISTINCT ON (club_key) yacht_club
+        FROM import_clubs
+        WHERE club_id IS NULL AND club_key IS NOT NULL
+        ORDER BY club_key, first_line
+        ON CONFLICT (name) DO NOTHING
+    `);
+    await resolveStagedClubs(client);
+
+    // One new skipper per name, spelled as on its first row
+    await client.query(`
+        INSERT INTO skippers (name, yacht_club, club_id)
+        SELECT DISTINCT ON (COALESCE(st.skipper_key, st.skipper)) st.skipper, COALESCE(c.name, st.yacht_club), c.id
+        FROM ${STAGED_CLUBS_SQL}
+        WHERE st.skipper_id IS NULL
+        ORDER BY COALESCE(st.skipper_key, st.skipper), st.line_number
+        ON CONFLICT (name) DO NOTHING
+    `);
+    await resolveStagedSkippers(client);
+
+    // Existing skippers pick up the club from their first row when it has one;
+    // the club they had is kept for undo, as for results below
+    await client.query(`
+        WITH updated AS (
+            UPDATE skippers s
+            SET yacht_club = first_rows.yacht_club, club_id = first_rows.club_id
+            FROM (
+                SELECT DISTINCT ON (st.skipper_id) st.skipper_id, COALESCE(c.name, st.yacht_club) AS yacht_club, c.id AS club_id
+                FROM ${STAGED_CLUBS_SQL}
+                ORDER BY st.skipper_id, st.line_number
+            ) first_rows
+            WHERE s.id = first_rows.skipper_id
+            AND first_rows.yacht_club IS NOT NULL
+            AND (s.yacht_club IS DISTINCT FROM first_rows.yacht_club OR s.club_id IS DISTINCT FROM first_rows.club_id)
+            RETURNING s.id
+        )
+        INSERT INTO import_batch_skipper_revisions (batch_id, skipper_id, previous)
+        SELECT $1::INTEGER, u.id, jsonb_build_object('yacht_club', previous.yacht_club, 'club_id', previous.club_id)
+        FROM updated u
+        JOIN skippers previous ON previous.id = u.id
+    `, [batchId]);
+
+    await client.query(`
+        INSERT INTO regattas (name, regatta_date, venue, import_batch_id)
+        SELECT DISTINCT ON (regatta_name, regatta_date) regatta_name, regatta_date, venue, $1::INTEGER
+        FROM import_staging
+        ORDER BY regatta_name, regatta_date, line_number
+        ON CONFLICT ((COALESCE(name, '')), (COALESCE(regatta_date, DATE '0001-01-01'))) DO NOTHING
+    `, [batchId]);
+
+    // Existing regattas pick up the venue when the file has one, keeping the old one for undo
+    await client.query(`
+        WITH updated AS (
+            UPDATE regattas rg
+            SET venue = v.venue
+            FROM (
+                SELECT DISTINCT ON (regatta_name, regatta_date) regatta_name, regatta_date, venue
+                FROM import_staging
+                WHERE venue IS NOT NULL
+                ORDER BY regatta_name, regatta_date, line_number
+            ) v
+            WHERE rg.name = v.regatta_name
+            AND rg.regatta_date = v.regatta_date
+            AND rg.venue IS DISTINCT FROM v.venue
+            RETURNING rg.id
+        )
+        INSERT INTO import_batch_regatta_revisions (batch_id, regatta_id, previous)
+        SELECT $1::INTEGER, u.id, jsonb_build_object('venue', previous.venue)
+        FROM updated u
+        JOIN regattas previous ON previous.id = u.id
+    `, [batchId]);
+
+    await client.query(`
+        INSERT INTO races (regatta_id, category, import_batch_id)
+        SELECT DISTINCT rg.id, st.category, $1::INTEGER
+        FROM import_staging st
+        JOIN regattas rg ON rg.name = st.regatta_name AND rg.regatta_date = st.regatta_date
+        ON CONFLICT (regatta_id, (COALESCE(category, ''))) DO NOTHING
+    `, [batchId]);
+
+    // One new boat per unrecognized sail number
+    await client.query(`
+        INSERT INTO boats (sail_number, sail_key)
+        SELECT DISTINCT ON (sail_key) sail_number, sail_key
+        FROM import_boats
+        WHERE boat_id IS NULL AND sail_key IS NOT NULL
+        ORDER BY sail_key, first_line
+        ON CONFLICT (sail_key) DO NOTHING
+    `);
+    await resolveStagedBoats(client);
+
+    // Refresh planner statistics so a large import joins its new rows by hash
+    // rather than scanning the lookup tables once per staged row
+    await client.query('ANALYZE regattas, races, import_staging, import_boats');
+
+    // Every part of the statement sees the table as it was before the upsert,
+    // so the revisions get an updated result's previous values for undo
+    const result = await client.query(`
+        WITH upserted AS (
+            INSERT INTO results (race_id, skipper_id, boat_id, boat_name, sail_number, position, total_points, race_scores, import_batch_id)
+            SELECT r.id, st.skipper_id, ib.boat_id, st.boat_name, st.sail_number, st.position, st.total_points, st.race_scores, $1::INTEGER
+            FROM ${STAGED_RACES_SQL}
+            LEFT JOIN import_boats ib ON ib.sail_number = st.sail_number
+            ON CONFLICT (race_id, skipper_id)
+            DO UPDATE SET
+                boat_id = EXCLUDED.boat_id,
+                boat_name = EXCLUDED.boat_name,
+                sail_number = EXCLUDED.sail_number,
+                position = EXCLUDED.position,
+                total_points = EXCLUDED.total_points,
+                race_scores = COALESCE(EXCLUDED.race_scores, results.race_scores)
+            RETURNING id, (xmax = 0) AS inserted
+        ), revisions AS (
+            INSERT INTO import_batch_revisions (batch_id, result_id, previous)
+            SELECT $1::INTEGER, u.id, jsonb_build_object(
+                'boat_id', previous.boat_id,
+                'boat_name', previous.boat_name,
+                'sail_number', previous.sail_number,
+                'position', previous.position,
+                'total_points', previous.total_points,
+                'race_scores', previous.race_scores
+            )
+            FROM upserted u
+            JOIN results previous ON previous.id = u.id
+            WHERE NOT u.inserted
+            ON CONFLICT (batch_id, result_id) DO NOTHING
+        )
+        SELECT
+            COUNT(*) FILTER (WHERE inserted) AS inserted,
+            COUNT(*) FILTER (WHERE NOT inserted) AS updated
+        FROM upserted
+    `, [batchId]);
+
+    return {
+        inserted: parseInt(result.rows[0].inserted),
+        updated: parseInt(result.rows[0].updated)
+    };
+}
+
+// Run parsed upload rows through the staging table in one transaction.
+// A dry run reports what the import would do and rolls back; otherwise the rows
+// are loaded as a new import batch. importInfo ({ fileHash, fileName, uploadedBy })
+// describes the batch; the file hash is recorded in imported_files when given.
+// Rejected files throw with status 400 and the problems found.
+// onProgress and onProblem report progress as in stageRows, plus the current phase.
+async function runImport(rows, mapping, { dryRun = false, importInfo = {}, onProgress = () => {}, onProblem = () => {} } = {}) {
+    const client = await pool.connect();
+    let staged = null;
+    try {
+        await client.query('BEGIN');
+        onProgress({ phase: 'reading' });
+        staged = await stageRows(client, rows, mapping, { onProgress, onProblem });
+        const scoring = await checkStagedScores(client);
+
+        if (dryRun) {
+            onProgress({ phase: 'checking' });
+            const preview = await previewStagedImport(client);
+            await client.query('ROLLBACK');
+            return {
+                dryRun: true,
+                duplicateOf: importInfo.fileHash ? await findImportedFile(importInfo.fileHash) : null,
+                ...staged,
+                ...preview,
+                scoring
+            };
         }
 
-        // Insert races and get their IDs
-        const raceResults = [];
-        for (const [index, row] of cleanRows.entries()) {
-            try {
-                const result = await client.query(
-                    `INSERT INTO races (regatta_name, regatta_date, category, boat_name, sail_number)
-                     VALUES ($1, $2, $3, $4, $5)
-                     RETURNING id`,
-                    [row.regattaName, row.regattaDate, row.category, row.boatName, row.sailNumber]
-                );
-                raceResults[index] = result;
-            } catch (error) {
-                throw new Error(`Error inserting race from row ${row.originalLineNumber}: ${error.message}`);
-            }
+        if (staged.invalidRows > 0) {
+            throw Object.assign(new Error(staged.problems[0].errors[0]), { status: 400, problems: staged.problems });
         }
 
-        // Insert results using the skipper and race IDs
-        for (const [index, row] of cleanRows.entries()) {
-            try {
-                if (!row.position && !row.totalPoints) continue;
-                await client.query(
-                    `INSERT INTO results (race_id, skipper_id, position, total_points)
-                     VALUES ($1, $2, $3, $4)`,
-                    [
-                        raceResults[index].rows[0].id,
-                        row.skipper ? skipperMap.get(row.skipper) : null,
-                        row.position,
-                        row.totalPoints
-                    ]
-                );
-            } catch (error) {
-                throw new Error(`Error inserting results from row ${row.originalLineNumber}: ${error.message}`);
-            }
+        // Every row this import creates is tagged with its batch so it can be undone
+        const batch = await client.query(
+            `INSERT INTO import_batches (file_name, file_hash, uploaded_by, row_count)
+             VALUES ($1, $2, $3, $4)
+             RETURNING id`,
+            [importInfo.fileName || null, importInfo.fileHash || null, importInfo.uploadedBy || null, staged.validRows]
+        );
+        const batchId = batch.rows[0].id;
+
+        onProgress({ phase: 'saving' });
+        const { inserted, updated } = await bulkInsertData(client, batchId);
+
+        if (importInfo.fileHash) {
+            await client.query(
+                `INSERT INTO imported_files (file_hash, file_name, row_count)
+                 VALUES ($1, $2, $3)
+                 ON CONFLICT (file_hash)
+                 DO UPDATE SET file_name = EXCLUDED.file_name, row_count = EXCLUDED.row_count, imported_at = CURRENT_TIMESTAMP`,
+                [importInfo.fileHash, importInfo.fileName, staged.validRows]
+            );
         }
 
+        await client.query(
+            `UPDATE import_batches
+             SET status = 'completed', results_inserted = $2, results_updated = $3
+             WHERE id = $1`,
+            [batchId, inserted, updated]
+        );
+
         await client.query('COMMIT');
-        return cleanRows.length;
+        return { batchId, rows: staged.validRows, inserted, updated, scoring };
     } catch (error) {
         await client.query('ROLLBACK');
-        console.error('Bulk insert error:', error);
+
+        // The batch row went with the rollback; keep a record of the failed attempt.
+        // Files rejected as invalid never became a batch.
+        if (!dryRun && !error.status) {
+            console.error('Bulk insert error:', error);
+            await pool.query(
+                `INSERT INTO import_batches (file_name, file_hash, uploaded_by, row_count, status, error)
+                 VALUES ($1, $2, $3, $4, 'failed', $5)`,
+                [importInfo.fileName || null, importInfo.fileHash || null, importInfo.uploadedBy || null, staged?.validRows ?? 0, error.message]
+            ).catch(logError => console.error('Failed to record failed import batch:', logError));
+        }
         throw error;
     } finally {
         client.release();
@@ -617,227 +1331,4203 @@ function parseDate(dateStr) {
 app.get('/api/status', (req, res) => {
   res.json({
     message: 'Welcome to CSV2POSTGRES Service',
-    status: 'running'
+    status: 'running',
+    queryProviders: queryProvider.providers.map(p => p.model ? `${p.name} (${p.model})` : p.name)
   });
 });
 
-app.post('/api/chat', async (req, res) => {
+// Accounts: logging in and out of the pages, user management and API tokens
+function readUserFields(body, { partial = false } = {}) {
+    const fields = {};
+    if (!partial || body.username !== undefined) {
+        fields.username = typeof body.username === 'string' ? body.username.trim() : '';
+        if (!/^[\w.@-]{1,100}$/.test(fields.username)) {
+            throw Object.assign(new Error('username must be 1-100 letters, digits or . _ @ -'), { status: 400 });
+        }
+    }
+    if (!partial || body.password !== undefined) {
+        fields.password = typeof body.password === 'string' ? body.password : '';
+        if (fields.password.length < MIN_PASSWORD_LENGTH) {
+            throw Object.assign(new Error(`password must be at least ${MIN_PASSWORD_LENGTH} characters`), { status: 400 });
+        }
+    }
+    if (body.role !== undefined || !partial) {
+        fields.role = body.role === undefined ? 'viewer' : body.role;
+        if (!isRole(fields.role)) {
+            throw Object.assign(new Error(`role must be one of: ${ROLES.join(', ')}`), { status: 400 });
+        }
+    }
+    if (body.disabled !== undefined) {
+        fields.disabled = body.disabled === true;
+    }
+    return fields;
+}
+
+app.post('/api/auth/login', notAudited, async (req, res) => {
+    const username = typeof req.body.username === 'string' ? req.body.username.trim() : '';
+    const password = typeof req.body.password === 'string' ? req.body.password : '';
     try {
-        const analysis = await analyzeQuery(req.body.query);
-        const { query: sqlQuery, params } = generateSQL(analysis);
-        const result = await pool.query(sqlQuery, params);
+        const user = await pool.query(
+            'SELECT id, username, password_hash, role FROM users WHERE LOWER(username) = LOWER($1) AND NOT disabled',
+            [username]
+        );
+        // The same answer whether the user or the password was wrong
+        if (user.rows.length === 0 || !(await verifyPassword(password, user.rows[0].password_hash))) {
+            return res.status(401).json({ error: 'Invalid username or password' });
+        }
 
-        let message = '';
-        switch (analysis.queryType) {
-            case "database_status":
-                const stats = result.rows[0];
-                message = `I know about ${stats.total_sailors} sailors from ${stats.total_clubs} yacht clubs. `;
-                message += `There are ${stats.total_races} races in the database, `;
-                message += `from ${new Date(stats.earliest_race).toLocaleDateString()} to ${new Date(stats.latest_race).toLocaleDateString()}.`;
-                break;
+        const { id, role } = user.rows[0];
+        const token = generateToken('session');
+        await pool.query(`DELETE FROM auth_tokens WHERE kind = 'session' AND expires_at < CURRENT_TIMESTAMP`);
+        await pool.query(`
+            INSERT INTO auth_tokens (user_id, kind, token_hash, expires_at)
+            VALUES ($1, 'session', $2, CURRENT_TIMESTAMP + $3 * INTERVAL '1 millisecond')
+        `, [id, hashToken(token), SESSION_TTL_MS]);
+        res.cookie(SESSION_COOKIE, token, {
+            httpOnly: true,
+            sameSite: 'lax',
+            secure: req.secure,
+            maxAge: SESSION_TTL_MS
+        });
+        console.log(`🔑 ${user.rows[0].username} logged in`);
+        res.json({ message: 'Logged in', user: { id, username: user.rows[0].username, role } });
+    } catch (error) {
+        console.error('Login error:', error);
+        res.status(500).json({ error: 'Failed to log in', details: error.message });
+    }
+});
 
-            case "sailor_search":
-                if (result.rows.length === 0) {
-                    message = `I couldn't find any sailors or boats matching "${analysis.sailorName}". Try a different name or partial name.`;
-                } else {
-                    message = `Found ${result.rows.length} match(es). `;
-                    if (result.rows.length === 1) {
-                        const sailor = result.rows[0];
-                        const matchType = sailor.boat_name ? 
-                            `skipper of boat "${sailor.boat_name}"` : 
-                            `from ${sailor.yacht_club || 'unknown club'}`;
-                        message += `${sailor.skipper_name} ${matchType} `;
-                        message += `has competed in ${sailor.total_races} races with ${sailor.wins} wins. `;
-                        if (sailor.best_position) {
-                            message += `Best finish: ${sailor.best_position}${sailor.best_position === 1 ? 'st' : 'th'} place.`;
-                        }
-                    }
-                }
-                break;
+app.post('/api/auth/logout', notAudited, async (req, res) => {
+    try {
+        if (req.user && req.user.kind === 'session') {
+            await pool.query('DELETE FROM auth_tokens WHERE id = $1', [req.user.tokenId]);
+        }
+        res.clearCookie(SESSION_COOKIE);
+        res.json({ message: 'Logged out' });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ error: 'Failed to log out', details: error.message });
+    }
+});
 
-            case "regatta_count":
-                message = `Found ${result.rows.length} regattas. `;
-                if (analysis.year) {
-                    message = `Found ${result.rows.length} regattas in ${analysis.year}. `;
+// Who the caller is, for the pages; user is null when not logged in
+app.get('/api/auth/me', (req, res) => {
+    res.json({
+        user: req.user ? { id: req.user.id, username: req.user.username, role: req.user.role } : null,
+        anonymousRole: ANONYMOUS_ROLE
+    });
+});
+
+app.get('/api/users', requireUser, requireRole('admin'), async (req, res) => {
+    try {
+        const result = await pool.query(`
+            SELECT u.id, u.username, u.role, u.disabled, u.created_at,
+                   MAX(t.last_used_at) AS last_active,
+                   COUNT(t.id) FILTER (WHERE t.kind = 'api')::INT AS api_tokens
+            FROM users u
+            LEFT JOIN auth_tokens t ON t.user_id = u.id
+            GROUP BY u.id
+            ORDER BY LOWER(u.username)
+        `);
+        res.json({ users: result.rows });
+    } catch (error) {
+        console.error('User list error:', error);
+        res.status(500).json({ error: 'Failed to load users', details: error.message });
+    }
+});
+
+app.post('/api/users', audited('user.create'), requireUser, requireRole('admin'), async (req, res) => {
+    try {
+        const { username, password, role } = readUserFields(req.body);
+        const result = await pool.query(`
+            INSERT INTO users (username, password_hash, role)
+            VALUES ($1, $2, $3)
+            ON CONFLICT ((LOWER(username))) DO NOTHING
+            RETURNING id, username, role, disabled, created_at
+        `, [username, await hashPassword(password), role]);
+        if (result.rows.length === 0) {
+            return res.status(409).json({ error: 'User already exists', details: `"${username}" is taken` });
+        }
+        console.log(`👤 ${req.user.username} created ${role} account "${username}"`);
+        auditRows(res, { usersCreated: 1 });
+        res.status(201).json({ message: 'User created', user: result.rows[0] });
+    } catch (error) {
+        console.error('User create error:', error);
+        res.status(error.status || 500).json({ error: 'Failed to create user', details: error.message });
+    }
+});
+
+// Change a user's role, password or disabled flag. Disabling a user or
+// changing their password logs them out everywhere.
+app.patch('/api/users/:id', audited('user.update'), requireUser, requireRole('admin'), async (req, res) => {
+    const userId = parseInt(req.params.id) || 0;
+    try {
+        const fields = readUserFields(req.body, { partial: true });
+        if (userId === req.user.id && ((fields.role && fields.role !== 'admin') || fields.disabled)) {
+            return res.status(400).json({ error: 'You cannot demote or disable your own account' });
+        }
+
+        const sets = [];
+        const params = [userId];
+        for (const [column, value] of [
+            ['username', fields.username],
+            ['password_hash', fields.password === undefined ? undefined : await hashPassword(fields.password)],
+            ['role', fields.role],
+            ['disabled', fields.disabled]
+        ]) {
+            if (value === undefined) continue;
+            params.push(value);
+            sets.push(`${column} = $${params.length}`);
+        }
+        if (sets.length === 0) {
+            return res.status(400).json({ error: 'Nothing to change: give username, password, role or disabled' });
+        }
+
+        const result = await pool.query(`
+            UPDATE users SET ${sets.join(', ')} WHERE id = $1
+            RETURNING id, username, role, disabled, created_at
+        `, params);
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        auditRows(res, { usersUpdated: 1 });
+        if (fields.password !== undefined || fields.disabled) {
+            const ended = await pool.query(`DELETE FROM auth_tokens WHERE user_id = $1 AND kind = 'session'`, [userId]);
+            auditRows(res, { sessionsEnded: ended.rowCount });
+        }
+        res.json({ message: 'User updated', user: result.rows[0] });
+    } catch (error) {
+        if (error.code === '23505') {
+            return res.status(409).json({ error: 'User already exists', details: `"${req.body.username}" is taken` });
+        }
+        console.error('User update error:', error);
+        res.status(error.status || 500).json({ error: 'Failed to update user', details: error.message });
+    }
+});
+
+app.delete('/api/users/:id', audited('user.delete'), requireUser, requireRole('admin'), async (req, res) => {
+    const userId = parseInt(req.params.id) || 0;
+    if (userId === req.user.id) {
+        return res.status(400).json({ error: 'You cannot delete your own account' });
+    }
+    try {
+        const result = await pool.query('DELETE FROM users WHERE id = $1 RETURNING username', [userId]);
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        console.log(`👤 ${req.user.username} deleted account "${result.rows[0].username}"`);
+        auditRows(res, { usersDeleted: 1 });
+        res.json({ message: 'User deleted' });
+    } catch (error) {
+        console.error('User delete error:', error);
+        res.status(500).json({ error: 'Failed to delete user', details: error.message });
+    }
+});
+
+// API tokens for scripts. Anyone logged in can make tokens for themselves,
+// up to their own role; admins see and revoke everyone's.
+app.get('/api/tokens', requireUser, async (req, res) => {
+    try {
+        const result = await pool.query(`
+            SELECT t.id, t.name, COALESCE(t.role, u.role) AS role, u.username,
+                   t.created_at, t.last_used_at, t.expires_at
+            FROM auth_tokens t
+            JOIN users u ON u.id = t.user_id
+            WHERE t.kind = 'api' AND ($1 OR t.user_id = $2)
+            ORDER BY t.created_at DESC
+        `, [req.user.role === 'admin', req.user.id]);
+        res.json({ tokens: result.rows });
+    } catch (error) {
+        console.error('Token list error:', error);
+        res.status(500).json({ error: 'Failed to load tokens', details: error.message });
+    }
+});
+
+app.post('/api/tokens', audited('token.create'), requireUser, async (req, res) => {
+    const name = typeof req.body.name === 'string' ? req.body.name.trim().slice(0, 100) : '';
+    const role = req.body.role === undefined ? req.user.role : req.body.role;
+    const expiresInDays = req.body.expiresInDays === undefined ? null : parseInt(req.body.expiresInDays);
+    if (!name) {
+        return res.status(400).json({ error: 'name is required, to tell tokens apart' });
+    }
+    if (!isRole(role)) {
+        return res.status(400).json({ error: `role must be one of: ${ROLES.join(', ')}` });
+    }
+    if (!hasRole(req.user.role, role)) {
+        return res.status(403).json({ error: 'Forbidden', details: `A token can't have more than your own role (${req.user.role})` });
+    }
+    if (expiresInDays !== null && !(expiresInDays > 0)) {
+        return res.status(400).json({ error: 'expiresInDays must be a positive number of days' });
+    }
+
+    try {
+        const token = generateToken('api');
+        const result = await pool.query(`
+            INSERT INTO auth_tokens (user_id, kind, name, role, token_hash, expires_at)
+            VALUES ($1, 'api', $2, $3, $4, CURRENT_TIMESTAMP + $5 * INTERVAL '1 day')
+            RETURNING id, name, role, created_at, expires_at
+        `, [req.user.id, name, role, hashToken(token), expiresInDays]);
+        console.log(`🔑 ${req.user.username} created ${role} token "${name}"`);
+        auditRows(res, { tokensCreated: 1 });
+        // The only time the token is shown
+        res.status(201).json({ message: 'Token created; copy it now, it is not shown again', token, ...result.rows[0] });
+    } catch (error) {
+        console.error('Token create error:', error);
+        res.status(500).json({ error: 'Failed to create token', details: error.message });
+    }
+});
+
+app.delete('/api/tokens/:id', audited('token.revoke'), requireUser, async (req, res) => {
+    try {
+        const result = await pool.query(`
+            DELETE FROM auth_tokens
+            WHERE id = $1 AND kind = 'api' AND ($2 OR user_id = $3)
+            RETURNING id
+        `, [parseInt(req.params.id) || 0, req.user.role === 'admin', req.user.id]);
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Token not found' });
+        }
+        auditRows(res, { tokensRevoked: 1 });
+        res.json({ message: 'Token revoked' });
+    } catch (error) {
+        console.error('Token delete error:', error);
+        res.status(500).json({ error: 'Failed to revoke token', details: error.message });
+    }
+});
+
+// What a chat answer was about, for follow-up questions: the one skipper,
+// boat or regatta it found, or else the name the question used
+function conversationEntities(analysis, rows) {
+    const single = field => {
+        const values = [...new Set(rows.map(row => row[field]).filter(Boolean))];
+        return values.length === 1 ? values[0] : undefined;
+    };
+    switch (analysis.queryType) {
+        case 'sailor_search':
+            return { skipper: single('skipper_name') || analysis.sailorName, club: single('yacht_club') };
+        case 'skipper_best_results':
+            return { skipper: single('skipper_name') || analysis.sailorName };
+        case 'boat_search':
+            return { boat: single('boat_name') || analysis.boatName, skipper: single('skipper_name') };
+        case 'top_sailors':
+        case 'top_rated':
+            return { club: analysis.yachtClub };
+        case 'regatta_results':
+            return { regatta: single('regatta_name') || analysis.regattaName };
+        case 'series_standings':
+            return { series: analysis.seriesName };
+        case 'head_to_head':
+            return { skipper: analysis.sailorA };
+        default:
+            return {};
+    }
+}
+
+// The analysis.queryType values generateSQL and answerQuery handle
+const QUERY_TYPES = [
+    'database_status', 'sailor_search', 'regatta_count', 'boat_search', 'top_sailors',
+    'regatta_results', 'top_rated', 'skipper_best_results', 'head_to_head', 'series_standings'
+];
+
+// Answer an analyzed chat question: resolves to { message, data }, the reply
+// and the table shown under it
+async function answerQuery(analysis) {
+    const { query: sqlQuery, params } = generateSQL(analysis);
+    const result = await pool.query(sqlQuery, params);
+
+    let message = '';
+    let data = result.rows;
+    const inYear = analysis.year ? ` in ${analysis.year}` : '';
+    switch (analysis.queryType) {
+        case "database_status":
+            const stats = result.rows[0];
+            message = `I know about ${stats.total_sailors} sailors from ${stats.total_clubs} yacht clubs. `;
+            message += `There are ${stats.total_regattas} regattas (${stats.total_races} races) in the database, `;
+            message += `from ${new Date(stats.earliest_race).toLocaleDateString()} to ${new Date(stats.latest_race).toLocaleDateString()}.`;
+            break;
+
+        case "sailor_search":
+            if (result.rows.length === 0) {
+                message = `I couldn't find any sailors or boats matching "${analysis.sailorName}". Try a different name or partial name.`;
+            } else {
+                message = `Found ${result.rows.length} match(es). `;
+                if (result.rows.length === 1) {
+                    const sailor = result.rows[0];
+                    const matchType = sailor.boat_name ? 
+                        `skipper of boat "${sailor.boat_name}"` : 
+                        `from ${sailor.yacht_club || 'unknown club'}`;
+                    message += `${sailor.skipper_name} ${matchType} `;
+                    message += `has competed in ${sailor.total_races} races${inYear} with ${sailor.wins} wins. `;
+                    if (sailor.best_position) {
+                        message += `Best finish: ${sailor.best_position}${sailor.best_position === 1 ? 'st' : 'th'} place.`;
+                    }
+                }
+            }
+            break;
+
+        case "regatta_count":
+            message = `Found ${result.rows.length} regattas. `;
+            if (analysis.year) {
+                message = `Found ${result.rows.length} regattas in ${analysis.year}. `;
+            }
+            break;
+
+        case "boat_search":
+            if (result.rows.length === 0) {
+                message = `I couldn't find any boats matching "${analysis.boatName}". Try a different name or partial name.`;
+            } else {
+                message = `Found ${result.rows.length} match(es). `;
+                if (result.rows.length === 1) {
+                    const boat = result.rows[0];
+                    message += `${boat.boat_name || `Sail number ${boat.sail_number}`} is a boat`;
+                    message += boat.sail_number ? ` (sail number ${boat.sail_number}). ` : '. ';
+                    if (boat.boat_names && boat.boat_names !== boat.boat_name) {
+                        message += `It has raced as ${boat.boat_names}. `;
+                    }
+                    message += `It was last skippered by ${boat.skipper_name} from ${boat.yacht_club || 'unknown club'}`;
+                    message += boat.skipper_count > 1 ? ` (${boat.skipper_count} skippers in all). ` : '. ';
+                    message += `It has competed in ${boat.total_races} races with ${boat.wins} wins. `;
+                    if (boat.best_position) {
+                        message += `Best finish: ${boat.best_position}${boat.best_position === 1 ? 'st' : 'th'} place.`;
+                    }
                 }
+            }
+            break;
+
+        case "top_sailors":
+            if (result.rows.length === 0) {
+                message = `I couldn't find any sailors from "${analysis.yachtClub}".`;
+            } else {
+                message = `Top ${result.rows.length} sailors from ${analysis.yachtClub}:\n`;
+                result.rows.forEach((sailor, index) => {
+                    message += `\n${index + 1}. ${sailor.skipper_name}: ${sailor.wins} wins from ${sailor.total_races} races`;
+                    message += ` (best: ${sailor.best_position}${sailor.best_position === 1 ? 'st' : 'th'} place)`;
+                });
+            }
+            break;
+
+        case "regatta_results":
+            if (result.rows.length === 0) {
+                message = `I couldn't find any results for "${analysis.regattaName}".`;
+            } else {
+                const regatta = result.rows[0];
+                message = `Results for ${regatta.regatta_name} (${new Date(regatta.regatta_date).toLocaleDateString()}):\n`;
+                result.rows.forEach((row, index) => {
+                    message += `\n${row.position}${row.position === 1 ? 'st' : 'th'}: ${row.skipper_name}`;
+                    if (row.boat_name) message += ` on ${row.boat_name}`;
+                    if (row.yacht_club) message += ` (${row.yacht_club})`;
+                });
+            }
+            break;
+
+        case "top_rated":
+            const fromClub = analysis.yachtClub ? ` from ${analysis.yachtClub}` : '';
+            if (result.rows.length === 0) {
+                message = `I couldn't find any sailors${fromClub} with an established rating (${PROVISIONAL_RACES} or more rated races).`;
+            } else {
+                message = `Top ${result.rows.length} rated sailors${fromClub}:\n`;
+                result.rows.forEach((sailor, index) => {
+                    message += `\n${index + 1}. ${sailor.skipper_name}: ${sailor.rating} from ${sailor.rated_races} races`;
+                });
+            }
+            break;
+
+        case "skipper_best_results":
+            if (result.rows.length === 0) {
+                message = `I couldn't find any placed results for "${analysis.sailorName}"${inYear}.`;
+            } else {
+                message = `${result.rows[0].skipper_name}'s best results${inYear}:\n`;
+                result.rows.forEach(row => {
+                    message += `\n${ordinal(row.position)} of ${row.fleet_size} at ${row.regatta_name}`;
+                    if (row.regatta_date) message += ` (${new Date(row.regatta_date).toLocaleDateString()})`;
+                    if (row.category) message += `, ${row.category}`;
+                });
+            }
+            break;
+
+        case "head_to_head":
+            const missing = [[analysis.sailorA, result.rows[0].skipper_a], [analysis.sailorB, result.rows[0].skipper_b]]
+                .filter(([, id]) => id === null)
+                .map(([name]) => `"${name}"`);
+            if (missing.length > 0) {
+                message = `I couldn't find a sailor matching ${missing.join(' or ')}. Try their full name.`;
+                data = [];
+                break;
+            }
+            if (result.rows[0].skipper_a === result.rows[0].skipper_b) {
+                message = `"${analysis.sailorA}" and "${analysis.sailorB}" are the same sailor.`;
+                data = [];
+                break;
+            }
+            const h2h = await compareSkippers(
+                await findSkipperRef(result.rows[0].skipper_a),
+                await findSkipperRef(result.rows[0].skipper_b),
+                { recent: 10 }
+            );
+            const [nameA, nameB] = [h2h.skipperA.name, h2h.skipperB.name];
+            data = h2h.recentMeetings.map(meeting => ({
+                regatta_name: meeting.regatta_name,
+                regatta_date: meeting.regatta_date,
+                category: meeting.category,
+                [nameA]: meeting.position_a,
+                [nameB]: meeting.position_b,
+                fleet_size: meeting.fleet_size
+            }));
+            if (h2h.meetings === 0) {
+                message = `${nameA} and ${nameB} haven't raced in the same fleet.`;
+                break;
+            }
+            message = `${nameA} and ${nameB} have raced each other ${h2h.meetings} time(s). `;
+            message += `${nameA} finished ahead ${h2h.aheadA} time(s), ${nameB} ${h2h.aheadB} time(s)`;
+            message += h2h.tied > 0 ? ` and they tied ${h2h.tied} time(s). ` : '. ';
+            if (h2h.averageGap) {
+                const leader = h2h.averageGap > 0 ? nameA : nameB;
+                message += `On average ${leader} finishes ${Math.abs(h2h.averageGap)} places ahead.`;
+            } else if (h2h.averageGap === 0) {
+                message += 'On average they finish level.';
+            }
+            message += '\n\nMost recent meetings:';
+            h2h.recentMeetings.slice(0, 5).forEach(meeting => {
+                message += `\n${meeting.regatta_name}`;
+                if (meeting.regatta_date) message += ` (${new Date(meeting.regatta_date).toLocaleDateString()})`;
+                if (meeting.category) message += `, ${meeting.category}`;
+                message += `: ${nameA} ${meeting.position_a ? ordinal(meeting.position_a) : 'unplaced'}, `;
+                message += `${nameB} ${meeting.position_b ? ordinal(meeting.position_b) : 'unplaced'}`;
+            });
+            break;
+
+        case "series_standings":
+            if (result.rows.length === 0) {
+                message = `I couldn't find a series called "${analysis.seriesName}".`;
+                break;
+            }
+            const { series, fleets } = await computeSeriesStandings(result.rows[0].id);
+            data = fleets.flatMap(fleet => fleet.standings.map(standing => ({
+                category: fleet.category,
+                position: standing.position,
+                skipper_name: standing.skipper,
+                yacht_club: standing.yachtClub,
+                net_points: standing.net,
+                total_points: standing.total
+            })));
+            if (data.length === 0) {
+                message = `${series.name} has no results yet.`;
                 break;
+            }
+            message = fleets.map(fleet => {
+                const leaders = fleet.standings.filter(standing => standing.position === 1);
+                let text = `${leaders.map(leader => leader.skipper).join(' and ')} ${leaders.length > 1 ? 'are' : 'is'} leading ${series.name}`;
+                if (fleet.category) text += ` in ${fleet.category}`;
+                text += ` with ${leaders[0].net} points after ${fleet.regattas.length} regatta(s):\n`;
+                fleet.standings.slice(0, 5).forEach(standing => {
+                    text += `\n${standing.position}. ${standing.skipper}`;
+                    if (standing.yachtClub) text += ` (${standing.yachtClub})`;
+                    text += `: ${standing.net} points`;
+                });
+                return text;
+            }).join('\n\n');
+            break;
+
+        default:
+            message = result.rows.length === 0 ? 
+                'No results found for your query.' : 
+                `Found ${result.rows.length} results.`;
+    }
+
+    return { message, data };
+}
+
+app.post('/api/chat', notAudited, requireRole('viewer'), async (req, res) => {
+    // Follow-up questions ("what about in 2023?") need the conversation so far
+    const session = getOrCreateSession(req.body.sessionId, chatSessionOwner(req));
+    try {
+        const { analysis, provider } = await analyzeQuery(req.body.query, sessionContext(session));
+        const { message, data } = await answerQuery(analysis);
+
+        recordTurn(session, {
+            query: req.body.query,
+            analysis,
+            message,
+            entities: conversationEntities(analysis, data)
+        });
+
+        res.json({
+            message,
+            data,
+            // Sent back to /api/chat/export to download the table
+            analysis,
+            provider,
+            sessionId: session.id
+        });
+
+    } catch (error) {
+        console.error('Chat error:', error);
+        res.status(500).json({ 
+            error: 'Failed to process your question',
+            details: error.message
+        });
+    }
+});
+
+// Download a chat answer's table (?format=csv, json or xlsx). The client
+// sends back the analysis the chat returned and the question is answered
+// again, so the file holds what the database says rather than what the
+// browser sends.
+app.get('/api/chat/export', requireRole('viewer'), async (req, res) => {
+    let analysis = null;
+    try {
+        analysis = JSON.parse(req.query.analysis);
+    } catch (error) {
+        // Reported below
+    }
+    if (!analysis || typeof analysis.queryType !== 'string') {
+        return res.status(400).json({ error: 'analysis must be the JSON analysis a chat answer returned' });
+    }
+    if (!QUERY_TYPES.includes(analysis.queryType)) {
+        return res.status(400).json({ error: `Unknown queryType "${analysis.queryType}"`, details: `Expected one of ${QUERY_TYPES.join(', ')}` });
+    }
+
+    try {
+        const format = readExportFormat(req.query.format);
+        const { data } = await answerQuery(analysis);
+        await sendExport(res, analysis.queryType.replace(/_/g, ' '), format, { rows: data });
+    } catch (error) {
+        console.error('Chat export error:', error);
+        res.status(error.status || 500).json({ error: 'Failed to export answer', details: error.message });
+    }
+});
+
+// Chat sessions: what the chat remembers for follow-ups, and forgetting it.
+// Each caller only sees their own.
+function chatSessionOwner(req) {
+    return req.user ? req.user.id : null;
+}
+
+app.get('/api/chat/sessions/:id', requireRole('viewer'), (req, res) => {
+    const session = getSession(req.params.id, chatSessionOwner(req));
+    if (!session) {
+        return res.status(404).json({ error: 'Chat session not found' });
+    }
+    res.json(session);
+});
+
+app.delete('/api/chat/sessions/:id', notAudited, requireRole('viewer'), (req, res) => {
+    if (!deleteSession(req.params.id, chatSessionOwner(req))) {
+        return res.status(404).json({ error: 'Chat session not found' });
+    }
+    res.json({ message: 'Chat session cleared' });
+});
+
+// How much of an upload is inspected to detect its format, encoding and delimiter
+const SAMPLE_BYTES = 64 * 1024;
+
+// Delimiters recognized in delimited text uploads
+const CANDIDATE_DELIMITERS = [',', ';', '\t', '|'];
+
+// Read the first SAMPLE_BYTES of a file
+function readFileSample(filePath) {
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        const buffer = Buffer.alloc(SAMPLE_BYTES);
+        const bytesRead = fs.readSync(fd, buffer, 0, SAMPLE_BYTES, 0);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+// Work out the character encoding of a text upload from its first bytes
+function detectEncoding(sample) {
+    if (sample[0] === 0xEF && sample[1] === 0xBB && sample[2] === 0xBF) return 'utf-8';
+    if (sample[0] === 0xFF && sample[1] === 0xFE) return 'utf-16le';
+    if (sample[0] === 0xFE && sample[1] === 0xFF) return 'utf-16be';
+
+    // Valid UTF-8 (plain ASCII included) needs no guessing; stream mode tolerates
+    // a multi-byte character cut off at the end of the sample
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: true });
+        return 'utf-8';
+    } catch {
+        // Fall through to detection
+    }
+
+    // Windows-1252 is a superset of the ISO-8859-1 that chardet reports for most Excel exports
+    const detected = chardet.detect(sample);
+    if (!detected || /^ISO-8859-1$/i.test(detected) || !iconv.encodingExists(detected)) {
+        return 'windows-1252';
+    }
+    return detected.toLowerCase();
+}
+
+// Count occurrences of a delimiter in a line, ignoring quoted sections
+function countDelimiter(line, delimiter) {
+    let count = 0;
+    let quoted = false;
+    for (const char of line) {
+        if (char === '"') {
+            quoted = !quoted;
+        } else if (char === delimiter && !quoted) {
+            count++;
+        }
+    }
+    return count;
+}
+
+// Pick the delimiter that splits the first lines into the same, largest number of columns
+function detectDelimiter(text) {
+    const lines = text
+        .replace(/^\uFEFF/, '')
+        .split(/\r?\n/)
+        .filter(line => line.trim())
+        .slice(0, 10);
+    // The last sampled line may be cut short
+    if (lines.length > 2) lines.pop();
+
+    let best = { delimiter: ',', consistent: false, count: 0 };
+    for (const delimiter of CANDIDATE_DELIMITERS) {
+        const counts = lines.map(line => countDelimiter(line, delimiter));
+        const count = counts[0] || 0;
+        if (count === 0) continue;
+        const consistent = counts.every(c => c === count);
+        if ((consistent && !best.consistent) || (consistent === best.consistent && count > best.count)) {
+            best = { delimiter, consistent, count };
+        }
+    }
+    return best.delimiter;
+}
+
+// Stream a delimited text upload as row objects tagged with their line numbers
+async function* streamCSVRows(input, { encoding = 'utf-8', delimiter = ',' } = {}) {
+    const parser = parse({
+        columns: true,
+        skip_empty_lines: true,
+        trim: true,
+        bom: true,
+        delimiter
+    });
+    // Read errors reach the loop below through the parser
+    pipeline(input, iconv.decodeStream(encoding), parser).catch(() => {}); // Also strips a BOM
+
+    let lineNumber = 1; // Track header row
+    try {
+        for await (const data of parser) {
+            lineNumber++; // Increment for each data row
+            data._lineNumber = lineNumber; // Store line number with row data
+            yield data;
+        }
+    } catch (error) {
+        // Malformed CSV is a problem with the file, not the server
+        if (error.code?.startsWith('CSV_')) {
+            error.status = 400;
+        }
+        throw error;
+    }
+}
+
+// Display value of a spreadsheet cell as it would appear in a CSV export
+function cellToValue(cell) {
+    const value = cell.value;
+    if (value === null || value === undefined) return '';
+    // Excel dates have no time zone; exceljs hands them back as UTC midnight
+    if (value instanceof Date) return value.toISOString().slice(0, 10);
+    if (typeof value === 'object') {
+        if (value.result instanceof Date) return value.result.toISOString().slice(0, 10);
+        return cell.text;
+    }
+    return value;
+}
+
+// Stream one sheet of an .xlsx upload as row objects tagged with their row numbers.
+// sheet may be a sheet name or 1-based index; defaults to the first sheet with data rows.
+// The workbook is read sheet by sheet, so the sheet names (source.sheets) and the sheet
+// used (source.sheet) are filled in as it goes.
+async function* streamXLSXRows(input, sheet, source) {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookReader(input, {
+        worksheets: 'emit',
+        sharedStrings: 'cache',
+        styles: 'cache', // Needed to recognize date cells
+        hyperlinks: 'ignore'
+    });
+    source.sheets = [];
+    source.sheet = null;
+
+    for await (const worksheet of workbook) {
+        source.sheets.push(worksheet.name);
+        const requested = sheet && (worksheet.name === sheet || String(source.sheets.length) === String(sheet));
+
+        // Skip cover/notes sheets: data needs a header row plus at least one more
+        let headers = null;
+        for await (const row of worksheet) {
+            if (sheet ? !requested : source.sheet && source.sheet !== worksheet.name) {
+                continue; // The reader still has to get through the sheet
+            }
+
+            const values = [];
+            row.eachCell({ includeEmpty: true }, (cell, colNumber) => {
+                values[colNumber - 1] = cellToValue(cell);
+            });
+
+            // The first non-empty row holds the headers
+            if (!headers) {
+                headers = values.map(value => String(value ?? '').trim());
+                continue;
+            }
+
+            source.sheet = worksheet.name;
+            const data = { _lineNumber: row.number };
+            headers.forEach((header, index) => {
+                if (header) {
+                    const value = values[index] ?? '';
+                    data[header] = typeof value === 'string' ? value.trim() : value;
+                }
+            });
+            yield data;
+        }
+        if (requested) {
+            source.sheet = worksheet.name;
+        }
+    }
+
+    if (sheet && !source.sheet) {
+        throw Object.assign(new Error(`Sheet "${sheet}" not found. Available sheets: ${source.sheets.join(', ')}`), { status: 400 });
+    }
+    source.sheet = source.sheet || source.sheets[0] || null;
+}
+
+// Pull the first row off a row stream so the file's headers are known before the
+// rest is read. The returned rows still start with that first row; calling
+// rows.return() stops reading the file.
+async function peekRows(rowStream) {
+    const iterator = rowStream[Symbol.asyncIterator]();
+    const first = await iterator.next();
+    let pending = !first.done;
+    const rows = {
+        [Symbol.asyncIterator]() {
+            return this;
+        },
+        next() {
+            if (pending) {
+                pending = false;
+                return Promise.resolve(first);
+            }
+            return iterator.next();
+        },
+        return(value) {
+            pending = false;
+            return iterator.return ? iterator.return(value) : Promise.resolve({ value, done: true });
+        }
+    };
+    return {
+        headers: first.done ? null : Object.keys(first.value).filter(key => !key.startsWith('_')),
+        rows
+    };
+}
+
+// Open an uploaded results file, whatever its format, as a stream of row objects.
+// Returns the headers (null when there are no data rows), the rows, a description
+// of how the file is being read, and bytesRead() for tracking progress through it.
+// eventDetails (regattaName, regattaDate, venue) fill in what a Sailwave page leaves out.
+async function readUploadFile(filePath, { sheet, eventDetails = {} } = {}) {
+    const sample = readFileSample(filePath);
+
+    // .xlsx files are zip archives
+    if (sample[0] === 0x50 && sample[1] === 0x4B && sample[2] === 0x03 && sample[3] === 0x04) {
+        const input = fs.createReadStream(filePath);
+        const source = { format: 'xlsx' };
+        return {
+            ...await peekRows(streamXLSXRows(input, sheet, source)),
+            source,
+            bytesRead: () => input.bytesRead
+        };
+    }
+
+    // Legacy .xls files are OLE compound documents
+    if (sample[0] === 0xD0 && sample[1] === 0xCF && sample[2] === 0x11 && sample[3] === 0xE0) {
+        throw Object.assign(new Error('Legacy .xls files are not supported. Save the sheet as .xlsx or CSV and upload again.'), { status: 400 });
+    }
+
+    const encoding = detectEncoding(sample);
+
+    // Sailwave publishes results as HTML pages; these are small enough to parse whole
+    if (looksLikeHTML(iconv.decode(sample, encoding))) {
+        const html = fs.readFileSync(filePath);
+        let page;
+        try {
+            page = parseSailwaveHTML(iconv.decode(html, encoding), eventDetails);
+        } catch (error) {
+            throw Object.assign(error, { status: 400 });
+        }
+        return {
+            ...await peekRows(Readable.from(page.rows)),
+            source: {
+                format: 'sailwave',
+                encoding,
+                event: page.eventName,
+                date: page.regattaDate,
+                venue: page.venue,
+                fleets: page.fleets
+            },
+            bytesRead: () => html.length
+        };
+    }
+
+    const delimiter = detectDelimiter(iconv.decode(sample, encoding));
+    const input = fs.createReadStream(filePath);
+    return {
+        ...await peekRows(streamCSVRows(input, { encoding, delimiter })),
+        source: { format: 'csv', encoding, delimiter },
+        bytesRead: () => input.bytesRead
+    };
+}
+
+// Resolve the column mapping for an upload from the optional mapping (JSON object
+// of header -> field) and profileId form fields, or a profile saved for these headers
+async function resolveUploadColumns(headers, fields) {
+    let mapping = null;
+    if (fields.mapping) {
+        try {
+            mapping = JSON.parse(fields.mapping);
+        } catch {
+            throw Object.assign(new Error('Column mapping must be a JSON object'), { status: 400 });
+        }
+    }
+
+    const profileId = fields.profileId ? parseInt(fields.profileId) : null;
+    const profile = await findMappingProfile(headers, profileId);
+    if (profileId && !profile) {
+        throw Object.assign(new Error(`Mapping profile ${profileId} not found`), { status: 400 });
+    }
+
+    return resolveColumnMapping(headers, { mapping, profile });
+}
+
+// Accept boolean flags (dryRun, replace) from either the query string or the multipart form
+function isFlagSet(req, name) {
+    const value = req.query[name] ?? req.body?.[name];
+    return value === true || value === 'true' || value === '1';
+}
+
+// Read, validate and (unless it is a dry run) import an uploaded file as a
+// background job. Resolves to the response the upload would have got had it
+// waited: the dry run report or import summary, or the error and problems found.
+async function processUpload(job, file, { dryRun, fields, fileHash, previousImport, uploadedBy }) {
+    let upload = null;
+    try {
+        upload = await readUploadFile(file.path, {
+            sheet: fields.sheet,
+            eventDetails: {
+                regattaName: fields.regattaName?.trim(),
+                regattaDate: fields.regattaDate?.trim(),
+                venue: fields.venue?.trim()
+            }
+        });
+        const { headers, rows, source, bytesRead } = upload;
+        console.log(`Reading ${source.format.toUpperCase()} upload`, source);
+
+        // Validate CSV structure
+        if (!headers) {
+            return { httpStatus: 400, body: { error: 'Upload failed', details: 'File contains no data rows', source } };
+        }
+
+        // Map the file's headers onto our fields
+        const columns = await resolveUploadColumns(headers, fields);
+        if (columns.errors.length > 0) {
+            // A dry run still returns the mapping so it can be fixed in the preview
+            if (dryRun) {
+                let totalRows = 0;
+                for await (const _row of rows) totalRows++;
+                return { httpStatus: 200, body: { dryRun: true, totalRows, source, columns } };
+            }
+            return { httpStatus: 400, body: { error: 'Upload failed', details: columns.errors[0], columns } };
+        }
+
+        const importInfo = { fileHash, fileName: file.originalname, uploadedBy };
+        const progressHooks = {
+            onProgress: (progress) => updateJobProgress(job, {
+                ...progress,
+                bytesRead: bytesRead(),
+                totalBytes: file.size,
+                percent: file.size ? Math.min(100, Math.round(bytesRead() / file.size * 100)) : 100
+            }),
+            onProblem: (problem) => addJobWarning(job, problem)
+        };
+
+        if (dryRun) {
+            const report = await runImport(rows, columns.mapping, { dryRun, importInfo, ...progressHooks });
+            console.log(`Dry run complete: ${report.invalidRows} of ${report.totalRows} rows have problems`);
+            return { httpStatus: 200, body: { ...report, source, columns } };
+        }
+
+        // Validate and bulk insert all data
+        try {
+            const imported = await runImport(rows, columns.mapping, { importInfo, ...progressHooks });
+            console.log(`Upload completed successfully: ${imported.rows} rows`);
+
+            updateJobProgress(job, { phase: 'rating' });
+            await refreshRatings(`import ${imported.batchId}`);
+
+            const profileName = fields.saveProfileAs?.trim();
+            const savedProfile = profileName
+                ? await saveMappingProfile(profileName, headers, columns.mapping)
+                : null;
+
+            return {
+                httpStatus: 200,
+                body: {
+                    message: previousImport
+                        ? 'Regatta results successfully re-imported'
+                        : 'Regatta results successfully imported',
+                    batchId: imported.batchId,
+                    rowsImported: imported.rows,
+                    resultsInserted: imported.inserted,
+                    resultsUpdated: imported.updated,
+                    scoring: imported.scoring,
+                    mappingProfile: savedProfile ? { id: savedProfile.id, name: savedProfile.name } : columns.profile
+                }
+            };
+        } catch (dbError) {
+            if (dbError.status) throw dbError;
+
+            // Try to identify which row caused the database error
+            const errorRow = extractRowNumberFromError(dbError.message);
+            const errorMessage = errorRow 
+                ? `Database error on row ${errorRow}: ${dbError.message}`
+                : dbError.message;
+            throw new Error(errorMessage);
+        }
+    } catch (error) {
+        console.error('Upload error:', error);
+        return {
+            httpStatus: error.status || 500,
+            body: {
+                error: 'Upload failed',
+                details: error.message,
+                problems: error.problems
+            }
+        };
+    } finally {
+        // Clean up
+        await upload?.rows.return();
+        fs.unlink(file.path, () => {});
+    }
+}
+
+// 2. File upload route. The file is read and imported in the background;
+// the response is the job to follow (see /api/jobs/:id and /api/jobs/:id/events)
+app.post('/upload', audited('import'), requireRole('importer'), upload.single('file'), async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const dryRun = isFlagSet(req, 'dryRun');
+    const replace = isFlagSet(req, 'replace');
+    console.log(`Starting file upload process${dryRun ? ' (dry run)' : ''}`);
+    // A preview changes nothing
+    if (dryRun) res.locals.audit = null;
+    try {
+        const fileHash = await hashFile(req.file.path);
+
+        // Refuse an exact duplicate unless the caller asked to replace it
+        const previousImport = await findImportedFile(fileHash);
+        if (previousImport && !replace && !dryRun) {
+            fs.unlink(req.file.path, () => {});
+            return res.status(409).json({
+                error: 'Duplicate file',
+                details: `This file was already imported as "${previousImport.file_name}" on ${new Date(previousImport.imported_at).toLocaleString()}. Upload again with replace=true to re-import it.`,
+                previousImport
+            });
+        }
+
+        const job = createJob('upload', { fileName: req.file.originalname, dryRun });
+        startJob(job, () => processUpload(job, req.file, {
+            dryRun,
+            fields: { ...req.body, sheet: req.body?.sheet || req.query.sheet },
+            fileHash,
+            previousImport,
+            uploadedBy: requestedBy(req)
+        }));
+        console.log(`Upload job ${job.id} started for ${req.file.originalname}`);
+        if (res.locals.audit) {
+            res.locals.audit.after = whenJobFinished(job).then(({ httpStatus, result, createdAt, finishedAt }) => ({
+                status: httpStatus,
+                error: httpStatus >= 400 ? result.details || result.error : null,
+                rows: httpStatus < 400 ? {
+                    batchId: result.batchId,
+                    rowsImported: result.rowsImported,
+                    resultsInserted: result.resultsInserted,
+                    resultsUpdated: result.resultsUpdated
+                } : null,
+                durationMs: finishedAt - createdAt
+            }));
+        }
+
+        res.status(202).json({
+            jobId: job.id,
+            status: job.status,
+            statusUrl: `/api/jobs/${job.id}`,
+            eventsUrl: `/api/jobs/${job.id}/events`
+        });
+    } catch (error) {
+        console.error('Upload error:', error);
+        fs.unlink(req.file.path, () => {});
+        res.status(error.status || 500).json({ 
+            error: 'Upload failed',
+            details: error.message
+        });
+    }
+});
+
+// Background job status, progress and (once finished) result
+app.get('/api/jobs/:id', requireRole('importer'), (req, res) => {
+    const job = getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(job);
+});
+
+// Stream a job's progress, warnings and result as Server-Sent Events
+app.get('/api/jobs/:id/events', requireRole('importer'), (req, res) => {
+    const job = getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Stop proxies buffering the stream
+    });
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    // Catch up on what happened before this subscriber connected
+    send('progress', { status: job.status, progress: job.progress });
+    job.warnings.forEach(warning => send('warning', warning));
+    if (isJobFinished(job)) {
+        send('done', job);
+        return res.end();
+    }
+
+    const onProgress = (data) => send('progress', data);
+    const onWarning = (warning) => send('warning', warning);
+    const onDone = (finished) => {
+        send('done', finished);
+        res.end();
+    };
+    job.events.on('progress', onProgress);
+    job.events.on('warning', onWarning);
+    job.events.once('done', onDone);
+
+    // Keep idle connections from being closed by proxies
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+    req.on('close', () => {
+        clearInterval(keepAlive);
+        job.events.off('progress', onProgress);
+        job.events.off('warning', onWarning);
+        job.events.off('done', onDone);
+    });
+});
+
+// Undo a completed import: remove the rows it created, restore the results,
+// skipper clubs and regatta venues it updated, and drop skippers/races/regattas
+// left with nothing referencing them
+async function rollbackImportBatch(batchId) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const batch = await client.query(
+            'SELECT id, status, file_hash FROM import_batches WHERE id = $1 FOR UPDATE',
+            [batchId]
+        );
+        if (batch.rows.length === 0) {
+            throw Object.assign(new Error(`Import ${batchId} not found`), { status: 404 });
+        }
+        if (batch.rows[0].status !== 'completed') {
+            throw Object.assign(new Error(`Import ${batchId} is ${batch.rows[0].status} and cannot be rolled back`), { status: 409 });
+        }
+
+        // Undoing this batch would clobber later imports that touched the same
+        // results, skippers or regattas
+        const superseding = await client.query(`
+            SELECT DISTINCT later.batch_id
+            FROM (
+                SELECT rv.batch_id FROM import_batch_revisions rv
+                WHERE rv.result_id IN (
+                    SELECT id FROM results WHERE import_batch_id = $1
+                    UNION
+                    SELECT result_id FROM import_batch_revisions WHERE batch_id = $1
+                )
+                UNION
+                SELECT sv.batch_id FROM import_batch_skipper_revisions sv
+                WHERE sv.skipper_id IN (SELECT skipper_id FROM import_batch_skipper_revisions WHERE batch_id = $1)
+                UNION
+                SELECT gv.batch_id FROM import_batch_regatta_revisions gv
+                WHERE gv.regatta_id IN (SELECT regatta_id FROM import_batch_regatta_revisions WHERE batch_id = $1)
+            ) later
+            JOIN import_batches b ON later.batch_id = b.id AND b.status = 'completed'
+            WHERE later.batch_id > $1
+            ORDER BY later.batch_id
+        `, [batchId]);
+        if (superseding.rows.length > 0) {
+            const later = superseding.rows.map(r => r.batch_id).join(', ');
+            throw Object.assign(new Error(`Import ${batchId} has results, skippers or regattas that were later changed by import(s) ${later}; roll those back first`), { status: 409 });
+        }
+
+        // Nor should it undo corrections made by hand since (the edit routes, or rescoring a race)
+        const edited = await client.query(`
+            WITH batch AS (SELECT created_at FROM import_batches WHERE id = $1)
+            SELECT 'result' AS kind, res.id FROM results res
+            WHERE res.edited_at > (SELECT created_at FROM batch)
+            AND (res.import_batch_id = $1 OR res.id IN (SELECT result_id FROM import_batch_revisions WHERE batch_id = $1))
+            UNION ALL
+            SELECT 'skipper', s.id FROM skippers s
+            JOIN import_batch_skipper_revisions sv ON sv.skipper_id = s.id AND sv.batch_id = $1
+            WHERE s.edited_at > (SELECT created_at FROM batch)
+            UNION ALL
+            SELECT 'regatta', rg.id FROM regattas rg
+            JOIN import_batch_regatta_revisions gv ON gv.regatta_id = rg.id AND gv.batch_id = $1
+            WHERE rg.edited_at > (SELECT created_at FROM batch)
+            ORDER BY 1, 2
+        `, [batchId]);
+        if (edited.rows.length > 0) {
+            const records = edited.rows.map(r => `${r.kind} ${r.id}`).join(', ');
+            throw Object.assign(new Error(`Import ${batchId} has records that were corrected by hand or rescored since (${records}); rolling it back would undo the corrections`), { status: 409 });
+        }
+
+        // Boats the batch's updates pointed results at, which may be left unused
+        const revisedBoats = await client.query(`
+            SELECT res.boat_id FROM results res
+            JOIN import_batch_revisions rv ON rv.result_id = res.id AND rv.batch_id = $1
+            WHERE res.boat_id IS NOT NULL
+        `, [batchId]);
+
+        const restored = await client.query(`
+            UPDATE results res SET
+                boat_id = CASE WHEN rv.previous ? 'boat_id' THEN (rv.previous->>'boat_id')::INTEGER ELSE res.boat_id END,
+                boat_name = rv.previous->>'boat_name',
+                sail_number = rv.previous->>'sail_number',
+                position = (rv.previous->>'position')::INTEGER,
+                total_points = (rv.previous->>'total_points')::DECIMAL,
+                race_scores = NULLIF(rv.previous->'race_scores', 'null'::jsonb)
+            FROM import_batch_revisions rv
+            WHERE rv.batch_id = $1 AND res.id = rv.result_id
+        `, [batchId]);
+        // Clubs the batch moved skippers to, which may be left unused
+        const revisedClubs = await client.query(`
+            SELECT s.club_id FROM skippers s
+            JOIN import_batch_skipper_revisions sv ON sv.skipper_id = s.id AND sv.batch_id = $1
+            WHERE s.club_id IS NOT NULL
+        `, [batchId]);
+        const restoredSkippers = await client.query(`
+            UPDATE skippers s SET
+                yacht_club = sv.previous->>'yacht_club',
+                club_id = (sv.previous->>'club_id')::INTEGER
+            FROM import_batch_skipper_revisions sv
+            WHERE sv.batch_id = $1 AND s.id = sv.skipper_id
+        `, [batchId]);
+        const restoredRegattas = await client.query(`
+            UPDATE regattas rg SET venue = gv.previous->>'venue'
+            FROM import_batch_regatta_revisions gv
+            WHERE gv.batch_id = $1 AND rg.id = gv.regatta_id
+        `, [batchId]);
+
+        const deletedResults = await client.query(
+            'DELETE FROM results WHERE import_batch_id = $1 RETURNING skipper_id, boat_id',
+            [batchId]
+        );
+        const deletedRaces = await client.query(`
+            DELETE FROM races r
+            WHERE r.import_batch_id = $1
+            AND NOT EXISTS (SELECT 1 FROM results res WHERE res.race_id = r.id)
+        `, [batchId]);
+        const deletedRegattas = await client.query(`
+            DELETE FROM regattas rg
+            WHERE rg.import_batch_id = $1
+            AND NOT EXISTS (SELECT 1 FROM races r WHERE r.regatta_id = rg.id)
+        `, [batchId]);
+
+        // Only skippers whose results were removed here are candidates for cleanup.
+        // Skippers with aliases were curated (merged or named by hand), so they stay.
+        const skipperIds = [...new Set(deletedResults.rows
+            .map(r => r.skipper_id)
+            .filter(id => id !== null))];
+        const deletedSkippers = await client.query(`
+            DELETE FROM skippers s
+            WHERE s.id = ANY($1::int[])
+            AND NOT EXISTS (SELECT 1 FROM results res WHERE res.skipper_id = s.id)
+            AND NOT EXISTS (SELECT 1 FROM skipper_aliases sa WHERE sa.skipper_id = s.id)
+            RETURNING club_id
+        `, [skipperIds]);
+
+        // Same for clubs left without skippers, unless someone gave them a code or aliases
+        const clubIds = [...new Set([...deletedSkippers.rows, ...revisedClubs.rows]
+            .map(r => r.club_id)
+            .filter(id => id !== null))];
+        const deletedClubs = await client.query(`
+            DELETE FROM clubs c
+            WHERE c.id = ANY($1::int[])
+            AND c.short_code IS NULL
+            AND NOT EXISTS (SELECT 1 FROM skippers s WHERE s.club_id = c.id)
+            AND NOT EXISTS (SELECT 1 FROM club_aliases ca WHERE ca.club_id = c.id)
+        `, [clubIds]);
+
+        const boatIds = [...new Set([...deletedResults.rows, ...revisedBoats.rows]
+            .map(r => r.boat_id)
+            .filter(id => id !== null))];
+        const deletedBoats = await client.query(`
+            DELETE FROM boats b
+            WHERE b.id = ANY($1::int[])
+            AND NOT EXISTS (SELECT 1 FROM results res WHERE res.boat_id = b.id)
+        `, [boatIds]);
+
+        await client.query(
+            `UPDATE import_batches SET status = 'rolled_back', rolled_back_at = CURRENT_TIMESTAMP WHERE id = $1`,
+            [batchId]
+        );
+
+        // Let the same file be imported again unless another live batch still holds it
+        if (batch.rows[0].file_hash) {
+            await client.query(`
+                DELETE FROM imported_files f
+                WHERE f.file_hash = $1
+                AND NOT EXISTS (
+                    SELECT 1 FROM import_batches b
+                    WHERE b.file_hash = f.file_hash AND b.status = 'completed'
+                )
+            `, [batch.rows[0].file_hash]);
+        }
+
+        await client.query('COMMIT');
+        return {
+            resultsRestored: restored.rowCount,
+            skippersRestored: restoredSkippers.rowCount,
+            regattasRestored: restoredRegattas.rowCount,
+            resultsDeleted: deletedResults.rowCount,
+            racesDeleted: deletedRaces.rowCount,
+            regattasDeleted: deletedRegattas.rowCount,
+            skippersDeleted: deletedSkippers.rowCount,
+            clubsDeleted: deletedClubs.rowCount,
+            boatsDeleted: deletedBoats.rowCount
+        };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+// Suggest pairs of skippers that are probably the same person: names that are
+// similar as trigrams, or whose first and last names sound alike
+async function findDuplicateSkippers({ threshold = 0.5, limit = 50 } = {}) {
+    const extensions = await pool.query(
+        `SELECT COUNT(*) AS count FROM pg_extension WHERE extname IN ('pg_trgm', 'fuzzystrmatch')`
+    );
+    if (parseInt(extensions.rows[0].count) < 2) {
+        throw Object.assign(new Error('The pg_trgm and fuzzystrmatch extensions are not installed'), { status: 503 });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        // The % operator (and its index) uses this threshold
+        await client.query(`SELECT set_config('pg_trgm.similarity_threshold', $1, true)`, [String(threshold)]);
+        const result = await client.query(`
+            WITH names AS (
+                SELECT id, normalize_skipper_name(name) AS normalized
+                FROM skippers
+            ), sounds AS (
+                SELECT id, normalized,
+                       dmetaphone(SPLIT_PART(normalized, ' ', 1)) || ' ' ||
+                       dmetaphone(REGEXP_REPLACE(normalized, '^.* ', '')) AS sound
+                FROM names
+                WHERE normalized LIKE '% %'
+            ), pairs AS (
+                SELECT a.id AS skipper_id, b.id AS candidate_id
+                FROM names a
+                JOIN skippers b ON normalize_skipper_name(b.name) % a.normalized AND b.id > a.id
+                UNION
+                SELECT a.id, b.id
+                FROM sounds a
+                JOIN sounds b ON b.sound = a.sound AND b.id > a.id
+            ), result_counts AS (
+                SELECT skipper_id, COUNT(*) AS results FROM results GROUP BY skipper_id
+            )
+            SELECT a.id AS skipper_id, a.name AS skipper_name, a.yacht_club AS skipper_club,
+                   COALESCE(ra.results, 0) AS skipper_results,
+                   b.id AS candidate_id, b.name AS candidate_name, b.yacht_club AS candidate_club,
+                   COALESCE(rb.results, 0) AS candidate_results,
+                   ROUND(similarity(normalize_skipper_name(a.name), normalize_skipper_name(b.name))::NUMERIC, 3) AS similarity,
+                   sa.sound IS NOT NULL AND sa.sound = sb.sound AS sounds_alike
+            FROM pairs p
+            JOIN skippers a ON a.id = p.skipper_id
+            JOIN skippers b ON b.id = p.candidate_id
+            LEFT JOIN sounds sa ON sa.id = a.id
+            LEFT JOIN sounds sb ON sb.id = b.id
+            LEFT JOIN result_counts ra ON ra.skipper_id = a.id
+            LEFT JOIN result_counts rb ON rb.skipper_id = b.id
+            ORDER BY similarity DESC, a.name, b.name
+            LIMIT $1
+        `, [limit]);
+        await client.query('COMMIT');
+
+        return result.rows.map(row => ({
+            skipper: { id: row.skipper_id, name: row.skipper_name, yacht_club: row.skipper_club, results: parseInt(row.skipper_results) },
+            candidate: { id: row.candidate_id, name: row.candidate_name, yacht_club: row.candidate_club, results: parseInt(row.candidate_results) },
+            similarity: parseFloat(row.similarity),
+            soundsAlike: row.sounds_alike
+        }));
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+// Fold the source skippers into the target: their results move over, and their
+// names (and any aliases they had) become aliases of the target so later
+// imports resolve to it
+async function mergeSkippers(targetId, sourceIds) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const skippers = await client.query(
+            'SELECT id, name, yacht_club, club_id FROM skippers WHERE id = ANY($1::int[]) ORDER BY id FOR UPDATE',
+            [[targetId, ...sourceIds]]
+        );
+        const found = new Set(skippers.rows.map(s => s.id));
+        const missing = [targetId, ...sourceIds].filter(id => !found.has(id));
+        if (missing.length > 0) {
+            throw Object.assign(new Error(`Skipper(s) not found: ${missing.join(', ')}`), { status: 404 });
+        }
+
+        // A race can only hold one result per skipper, so two entries in one race
+        // mean these are different people (or a bad import to fix first)
+        const conflicts = await client.query(`
+            SELECT rg.name AS regatta_name, rg.regatta_date, r.category
+            FROM results res
+            JOIN races r ON res.race_id = r.id
+            JOIN regattas rg ON r.regatta_id = rg.id
+            WHERE res.skipper_id = ANY($1::int[])
+            GROUP BY r.id, rg.name, rg.regatta_date, r.category
+            HAVING COUNT(*) > 1
+            ORDER BY rg.regatta_date, rg.name
+            LIMIT 20
+        `, [[targetId, ...sourceIds]]);
+        if (conflicts.rows.length > 0) {
+            const races = conflicts.rows.map(c => `${c.regatta_name} ${c.regatta_date ? formatDate(c.regatta_date) : ''} ${c.category || ''}`.replace(/\s+/g, ' ').trim());
+            throw Object.assign(new Error(`These skippers have results in the same race: ${races.join('; ')}`), { status: 409 });
+        }
+
+        const movedResults = await client.query(
+            'UPDATE results SET skipper_id = $1 WHERE skipper_id = ANY($2::int[])',
+            [targetId, sourceIds]
+        );
+        await client.query(
+            'UPDATE skipper_aliases SET skipper_id = $1 WHERE skipper_id = ANY($2::int[])',
+            [targetId, sourceIds]
+        );
+        const addedAliases = await client.query(`
+            INSERT INTO skipper_aliases (skipper_id, alias)
+            SELECT $1, name FROM skippers WHERE id = ANY($2::int[])
+            ON CONFLICT (normalized_alias) DO NOTHING
+        `, [targetId, sourceIds]);
+
+        // Keep the target's club, or take the first one a source had
+        const sourceClub = skippers.rows.find(s => sourceIds.includes(s.id) && s.yacht_club) || {};
+        const target = await client.query(`
+            UPDATE skippers
+            SET club_id = CASE WHEN yacht_club IS NULL THEN $3 ELSE club_id END,
+                yacht_club = COALESCE(yacht_club, $2)
+            WHERE id = $1
+            RETURNING id, name, yacht_club
+        `, [targetId, sourceClub.yacht_club || null, sourceClub.club_id || null]);
+
+        await client.query('DELETE FROM skippers WHERE id = ANY($1::int[])', [sourceIds]);
+
+        await client.query('COMMIT');
+        return {
+            skipper: target.rows[0],
+            resultsMoved: movedResults.rowCount,
+            aliasesAdded: addedAliases.rowCount,
+            skippersRemoved: sourceIds.length
+        };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+// Fold the source clubs into the target: their skippers move over, and their
+// names, short codes and aliases become aliases of the target
+async function mergeClubs(targetId, sourceIds) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const clubs = await client.query(
+            'SELECT id, name, short_code FROM clubs WHERE id = ANY($1::int[]) ORDER BY id FOR UPDATE',
+            [[targetId, ...sourceIds]]
+        );
+        const found = new Set(clubs.rows.map(c => c.id));
+        const missing = [targetId, ...sourceIds].filter(id => !found.has(id));
+        if (missing.length > 0) {
+            throw Object.assign(new Error(`Club(s) not found: ${missing.join(', ')}`), { status: 404 });
+        }
+        const target = clubs.rows.find(c => c.id === targetId);
+
+        const movedSkippers = await client.query(
+            'UPDATE skippers SET club_id = $1, yacht_club = $2 WHERE club_id = ANY($3::int[])',
+            [targetId, target.name, sourceIds]
+        );
+        await client.query(
+            'UPDATE club_aliases SET club_id = $1 WHERE club_id = ANY($2::int[])',
+            [targetId, sourceIds]
+        );
+
+        // The target takes over a short code when it has none; other codes become aliases
+        const adoptedCode = target.short_code ? null : clubs.rows.find(c => c.id !== targetId && c.short_code)?.short_code || null;
+        const addedAliases = await client.query(`
+            INSERT INTO club_aliases (club_id, alias)
+            SELECT $1, alias FROM (
+                SELECT name AS alias FROM clubs WHERE id = ANY($2::int[])
+                UNION ALL
+                SELECT short_code FROM clubs WHERE id = ANY($2::int[]) AND short_code IS NOT NULL
+                AND short_code IS DISTINCT FROM $3
+            ) names
+            ON CONFLICT (normalized_alias) DO NOTHING
+        `, [targetId, sourceIds, adoptedCode]);
+
+        await client.query('DELETE FROM clubs WHERE id = ANY($1::int[])', [sourceIds]);
+        const merged = await client.query(
+            'UPDATE clubs SET short_code = COALESCE(short_code, $2) WHERE id = $1 RETURNING id, name, short_code',
+            [targetId, adoptedCode]
+        );
+
+        await client.query('COMMIT');
+        return {
+            club: merged.rows[0],
+            skippersMoved: movedSkippers.rowCount,
+            aliasesAdded: addedAliases.rowCount,
+            clubsRemoved: sourceIds.length
+        };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+// The club another club's name or alias would be confused with, if any
+async function findConflictingClub(name, clubId = null) {
+    const result = await pool.query(
+        'SELECT id, name FROM clubs WHERE id = find_club($1) AND id IS DISTINCT FROM $2',
+        [name, clubId]
+    );
+    return result.rows[0] || null;
+}
+
+// Score a stored race (one fleet at a regatta) from its results' per-race
+// scores. options are scoreSeries options (discards, tieBreak).
+async function scoreStoredRace(raceId, options, client = pool) {
+    const race = await client.query(`
+        SELECT r.id, r.category, rg.id AS regatta_id, rg.name AS regatta_name, rg.regatta_date
+        FROM races r JOIN regattas rg ON r.regatta_id = rg.id
+        WHERE r.id = $1
+    `, [raceId]);
+    if (race.rows.length === 0) {
+        throw Object.assign(new Error(`Race ${raceId} not found`), { status: 404 });
+    }
+
+    const results = await client.query(`
+        SELECT res.id, s.name AS skipper_name, res.sail_number, res.position, res.total_points, res.race_scores
+        FROM results res
+        LEFT JOIN skippers s ON res.skipper_id = s.id
+        WHERE res.race_id = $1
+        ORDER BY res.position ASC NULLS LAST, res.id
+    `, [raceId]);
+    if (!results.rows.some(row => row.race_scores)) {
+        throw Object.assign(new Error(`Race ${raceId} has no per-race scores to score`), { status: 409 });
+    }
+
+    const scored = scoreSeries(results.rows.map(row => ({
+        id: row.id,
+        raceScores: row.race_scores || [],
+        position: row.position,
+        totalPoints: row.total_points === null ? null : parseFloat(row.total_points)
+    })), options);
+
+    const byId = new Map(results.rows.map(row => [row.id, row]));
+    return {
+        race: race.rows[0],
+        ...scored,
+        standings: scored.standings.map(({ id, ...standing }) => ({
+            resultId: id,
+            skipper: byId.get(id).skipper_name,
+            sailNumber: byId.get(id).sail_number,
+            ...standing
+        }))
+    };
+}
+
+// How a regatta result scores in a series: by its finishing position (low
+// point, RRS A4) or by the points the regatta published
+const SERIES_SCORING_RULES = ['low_point', 'regatta_points'];
+
+// Check a series definition from a request body. With partial set only the
+// fields given are checked, for updates. Throws with status 400.
+function readSeriesDefinition(body, { partial = false } = {}) {
+    const invalid = message => Object.assign(new Error(message), { status: 400 });
+    const given = field => body[field] !== undefined;
+    const series = {};
+
+    if (!partial || given('name')) {
+        if (typeof body.name !== 'string' || !/[a-z0-9]/i.test(body.name)) {
+            throw invalid('name is required');
+        }
+        series.name = body.name.trim();
+    }
+    if (given('category')) {
+        if (body.category !== null && typeof body.category !== 'string') {
+            throw invalid('category must be a string');
+        }
+        series.category = body.category?.trim() || null;
+    }
+    if (given('scoringRule')) {
+        if (!SERIES_SCORING_RULES.includes(body.scoringRule)) {
+            throw invalid(`scoringRule must be one of: ${SERIES_SCORING_RULES.join(', ')}`);
+        }
+        series.scoringRule = body.scoringRule;
+    }
+    if (given('discards')) {
+        const discards = body.discards === null ? '' : String(body.discards).trim();
+        parseDiscards(discards);
+        series.discards = discards && discards !== 'auto' ? discards : null;
+    }
+    if (given('tieBreak')) {
+        if (!TIE_BREAKS.includes(body.tieBreak)) {
+            throw invalid(`tieBreak must be one of: ${TIE_BREAKS.join(', ')}`);
+        }
+        series.tieBreak = body.tieBreak;
+    }
+    if (!partial || given('regattaIds')) {
+        const regattaIds = Array.isArray(body.regattaIds) ? [...new Set(body.regattaIds.map(id => parseInt(id)))] : [];
+        if (regattaIds.length === 0 || regattaIds.some(isNaN)) {
+            throw invalid('regattaIds must be a non-empty array of regatta ids');
+        }
+        series.regattaIds = regattaIds;
+    }
+    return series;
+}
+
+// Replace a series' regattas, checking they all exist
+async function setSeriesRegattas(client, seriesId, regattaIds) {
+    const found = await client.query('SELECT id FROM regattas WHERE id = ANY($1::int[])', [regattaIds]);
+    const foundIds = new Set(found.rows.map(row => row.id));
+    const missing = regattaIds.filter(id => !foundIds.has(id));
+    if (missing.length > 0) {
+        throw Object.assign(new Error(`Regatta(s) not found: ${missing.join(', ')}`), { status: 404 });
+    }
+
+    await client.query('DELETE FROM series_regattas WHERE series_id = $1', [seriesId]);
+    await client.query(
+        'INSERT INTO series_regattas (series_id, regatta_id) SELECT $1, UNNEST($2::int[])',
+        [seriesId, regattaIds]
+    );
+}
+
+async function findConflictingSeries(name, seriesId = null, client = pool) {
+    const result = await client.query(
+        'SELECT id, name FROM series WHERE LOWER(name) = LOWER($1) AND ($2::int IS NULL OR id <> $2)',
+        [name, seriesId]
+    );
+    return result.rows[0] || null;
+}
+
+// A series with its regattas in date order
+async function loadSeries(seriesId, client = pool) {
+    const result = await client.query(`
+        SELECT s.id, s.name, s.category, s.scoring_rule, s.discards, s.tie_break,
+               COALESCE((
+                   SELECT json_agg(json_build_object(
+                       'id', rg.id, 'name', rg.name, 'regatta_date', rg.regatta_date, 'venue', rg.venue
+                   ) ORDER BY rg.regatta_date ASC NULLS LAST, rg.id)
+                   FROM series_regattas sr
+                   JOIN regattas rg ON sr.regatta_id = rg.id
+                   WHERE sr.series_id = s.id
+               ), '[]'::json) AS regattas
+        FROM series s
+        WHERE s.id = $1
+    `, [seriesId]);
+    if (result.rows.length === 0) {
+        throw Object.assign(new Error(`Series ${seriesId} not found`), { status: 404 });
+    }
+    return result.rows[0];
+}
+
+/**
+ * Standings for a series: each regatta counts as one race of the series,
+ * scored under RRS Appendix A. Skippers score their regatta position (or the
+ * regatta's points, with the regatta_points rule); regattas they missed score
+ * DNC. A series without a category is scored per category.
+ *
+ * options.discards and options.tieBreak override the series' own settings.
+ */
+async function computeSeriesStandings(seriesId, options = {}, client = pool) {
+    const series = await loadSeries(seriesId, client);
+    const discards = options.discards !== undefined && options.discards !== '' ? options.discards : series.discards;
+    const tieBreak = options.tieBreak || series.tie_break;
+
+    const results = await client.query(`
+        SELECT DISTINCT ON (r.regatta_id, LOWER(COALESCE(r.category, '')), res.skipper_id)
+            r.regatta_id, COALESCE(r.category, '') AS category,
+            res.skipper_id, s.name AS skipper_name, s.yacht_club,
+            res.position, res.total_points
+        FROM series_regattas sr
+        JOIN races r ON r.regatta_id = sr.regatta_id
+        JOIN results res ON res.race_id = r.id
+        JOIN skippers s ON res.skipper_id = s.id
+        WHERE sr.series_id = $1
+        AND ($2::TEXT IS NULL OR LOWER(r.category) = LOWER($2))
+        ORDER BY r.regatta_id, LOWER(COALESCE(r.category, '')), res.skipper_id, res.position ASC NULLS LAST
+    `, [seriesId, series.category]);
+
+    // Regattas are the races of the series, labelled by name (and date, when
+    // two share a name)
+    const labels = new Map(series.regattas.map(regatta => {
+        const sameName = series.regattas.filter(other => other.name === regatta.name).length > 1;
+        const date = regatta.regatta_date ? String(regatta.regatta_date).slice(0, 10) : `#${regatta.id}`;
+        return [regatta.id, sameName ? `${regatta.name} (${date})` : regatta.name];
+    }));
+
+    const fleets = new Map();
+    for (const row of results.rows) {
+        const key = row.category.toLowerCase();
+        if (!fleets.has(key)) fleets.set(key, { category: row.category, skippers: new Map() });
+        const skippers = fleets.get(key).skippers;
+        if (!skippers.has(row.skipper_id)) {
+            skippers.set(row.skipper_id, { id: row.skipper_id, name: row.skipper_name, yachtClub: row.yacht_club, raceScores: [] });
+        }
+        const points = series.scoring_rule === 'regatta_points'
+            ? (row.total_points === null ? null : parseFloat(row.total_points))
+            : row.position;
+        skippers.get(row.skipper_id).raceScores.push({
+            race: labels.get(row.regatta_id),
+            regattaId: row.regatta_id,
+            points,
+            // An entry without a result counts as did not finish
+            code: points === null ? 'DNF' : null
+        });
+    }
+
+    const regattaIds = new Map([...labels].map(([id, label]) => [label, id]));
+    return {
+        series,
+        fleets: [...fleets.values()].map(fleet => {
+            const competitors = [...fleet.skippers.values()];
+            // Only regattas this fleet sailed count
+            const races = [...labels.values()].filter(label =>
+                competitors.some(c => c.raceScores.some(score => score.race === label)));
+            const scored = scoreSeries(competitors, { races, discards, tieBreak });
+            return {
+                category: fleet.category || null,
+                regattas: races,
+                entries: scored.entries,
+                discards: scored.discards,
+                standings: scored.standings.map(({ id, position, total, net, races: scores }) => ({
+                    skipperId: id,
+                    skipper: fleet.skippers.get(id).name,
+                    yachtClub: fleet.skippers.get(id).yachtClub,
+                    position,
+                    total,
+                    net,
+                    regattas: scores.map(score => ({ regattaId: regattaIds.get(score.race), ...score }))
+                }))
+            };
+        })
+    };
+}
+
+// A skipper given by id or by name (see find_skipper). Throws with status 404
+// when nothing matches.
+async function findSkipperRef(value) {
+    const text = String(value ?? '').trim();
+    const result = /^\d+$/.test(text)
+        ? await pool.query('SELECT id, name, yacht_club FROM skippers WHERE id = $1', [parseInt(text)])
+        : await pool.query('SELECT id, name, yacht_club FROM skippers WHERE id = find_skipper($1)', [text]);
+    if (result.rows.length === 0) {
+        throw Object.assign(new Error(`No skipper matches "${text}"`), { status: 404 });
+    }
+    return result.rows[0];
+}
+
+/**
+ * How two skippers do against each other: every race (a regatta's category)
+ * both have a result in, how often each finished ahead, and the average
+ * position gap (positive when skipperA finishes ahead). Meetings where either
+ * has no position count towards meetings only. recent is how many of the
+ * latest meetings to list.
+ */
+async function compareSkippers(skipperA, skipperB, { recent = 5 } = {}) {
+    if (skipperA.id === skipperB.id) {
+        throw Object.assign(new Error(`Both names refer to ${skipperA.name}`), { status: 400 });
+    }
+
+    const meetings = await pool.query(`
+        SELECT rg.id AS regatta_id, rg.name AS regatta_name, rg.regatta_date, r.id AS race_id, r.category,
+               a.position AS position_a, b.position AS position_b,
+               (SELECT COUNT(*) FROM results f WHERE f.race_id = r.id) AS fleet_size
+        FROM results a
+        JOIN results b ON b.race_id = a.race_id
+        JOIN races r ON a.race_id = r.id
+        JOIN regattas rg ON r.regatta_id = rg.id
+        WHERE a.skipper_id = $1 AND b.skipper_id = $2
+        ORDER BY rg.regatta_date DESC NULLS LAST, r.id DESC
+    `, [skipperA.id, skipperB.id]);
+
+    const rows = meetings.rows.map(row => ({ ...row, fleet_size: parseInt(row.fleet_size) }));
+    const placed = rows.filter(row => row.position_a !== null && row.position_b !== null);
+    const gap = placed.reduce((sum, row) => sum + row.position_b - row.position_a, 0);
+    return {
+        skipperA,
+        skipperB,
+        meetings: rows.length,
+        aheadA: placed.filter(row => row.position_a < row.position_b).length,
+        aheadB: placed.filter(row => row.position_b < row.position_a).length,
+        tied: placed.filter(row => row.position_a === row.position_b).length,
+        averageGap: placed.length > 0 ? Math.round(gap / placed.length * 100) / 100 : null,
+        recentMeetings: rows.slice(0, recent)
+    };
+}
+
+// "1st", "2nd", "11th", "23rd"
+function ordinal(position) {
+    const tens = position % 100;
+    const suffix = tens >= 11 && tens <= 13 ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' })[position % 10] || 'th';
+    return `${position}${suffix}`;
+}
+
+// Rating updates take this advisory lock so two can't replay at once
+const RATINGS_LOCK_ID = 7015;
+
+// Results that count for ratings: placed, with a skipper and a dated regatta,
+// in races with at least two such results
+const RATED_RESULTS_SQL = `
+    SELECT * FROM (
+        SELECT res.race_id, r.regatta_id, rg.regatta_date, res.skipper_id, res.position,
+               COUNT(*) OVER (PARTITION BY res.race_id) AS field_size
+        FROM results res
+        JOIN races r ON res.race_id = r.id
+        JOIN regattas rg ON r.regatta_id = rg.id
+        WHERE res.position IS NOT NULL AND res.skipper_id IS NOT NULL AND rg.regatta_date IS NOT NULL
+    ) rated
+    WHERE field_size > 1
+`;
+
+/**
+ * Bring skipper ratings up to date with the results. Rating history is kept
+ * per race, so anything that changed a rated race (an import, an undo, a
+ * merge, a rescore) shows up as results and history that no longer agree.
+ * Ratings are replayed in date order from the earliest such regatta date; an
+ * import of newer regattas only rates the new races. With full set every
+ * race is rated again.
+ *
+ * Returns { from, races, results }: where the replay started (null when
+ * nothing changed) and how much was rated.
+ */
+async function updateRatings({ full = false } = {}) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        await client.query('SELECT pg_advisory_xact_lock($1)', [RATINGS_LOCK_ID]);
+
+        const stale = await client.query(`
+            SELECT MIN(LEAST(rated.regatta_date, h.regatta_date))::TEXT AS stale_from
+            FROM (${RATED_RESULTS_SQL}) rated
+            FULL OUTER JOIN skipper_rating_history h
+                ON h.race_id = rated.race_id AND h.skipper_id = rated.skipper_id
+            WHERE $1 OR rated.race_id IS NULL OR h.id IS NULL
+            OR h.position <> rated.position
+            OR h.field_size <> rated.field_size
+            OR h.regatta_date <> rated.regatta_date
+        `, [full]);
+        const from = stale.rows[0].stale_from;
+        if (!from) {
+            await client.query('COMMIT');
+            return { from: null, races: 0, results: 0 };
+        }
+
+        await client.query('DELETE FROM skipper_rating_history WHERE regatta_date >= $1', [from]);
+
+        // Ratings as they stood before the replay
+        const ratings = new Map();
+        const current = await client.query('SELECT skipper_id, rating, races FROM skipper_ratings');
+        for (const row of current.rows) {
+            ratings.set(row.skipper_id, { rating: parseFloat(row.rating), races: parseInt(row.races) });
+        }
+
+        const results = await client.query(`
+            SELECT rated.*, rated.regatta_date::TEXT AS regatta_day
+            FROM (${RATED_RESULTS_SQL}) rated
+            WHERE rated.regatta_date >= $1
+            ORDER BY rated.regatta_date, rated.regatta_id, rated.race_id, rated.position
+        `, [from]);
+
+        const history = [];
+        let races = 0;
+        for (let start = 0; start < results.rows.length;) {
+            let end = start;
+            while (end < results.rows.length && results.rows[end].race_id === results.rows[start].race_id) end++;
+            const race = results.rows.slice(start, end);
+            const rated = rateRace(race.map(row => ({ skipperId: row.skipper_id, position: row.position })), ratings);
+            rated.forEach((entry, i) => history.push({ ...entry, raceId: race[i].race_id, regattaDate: race[i].regatta_day, fieldSize: race.length }));
+            races++;
+            start = end;
+        }
+
+        for (let i = 0; i < history.length; i += 5000) {
+            const chunk = history.slice(i, i + 5000);
+            await client.query(`
+                INSERT INTO skipper_rating_history
+                    (skipper_id, race_id, regatta_date, position, field_size, rating_before, rating_after)
+                SELECT * FROM UNNEST($1::int[], $2::int[], $3::date[], $4::int[], $5::int[], $6::numeric[], $7::numeric[])
+            `, [
+                chunk.map(h => h.skipperId), chunk.map(h => h.raceId), chunk.map(h => h.regattaDate),
+                chunk.map(h => h.position), chunk.map(h => h.fieldSize),
+                chunk.map(h => h.ratingBefore), chunk.map(h => h.ratingAfter)
+            ]);
+        }
+
+        await client.query('COMMIT');
+        return { from, races, results: history.length };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+// Update ratings after a change to the results. Ratings catch up on the next
+// update if this fails, so it only warns.
+async function refreshRatings(reason) {
+    try {
+        const summary = await updateRatings();
+        if (summary.from) {
+            console.log(`📈 Ratings updated after ${reason}: ${summary.races} races from ${summary.from}`);
+        }
+        return summary;
+    } catch (error) {
+        console.warn(`⚠️ Failed to update ratings after ${reason}:`, error.message);
+        return null;
+    }
+}
+
+// Import history
+app.get('/api/imports', requireRole('importer'), async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+        const result = await pool.query(`
+            SELECT id, file_name, uploaded_by, status, row_count,
+                   results_inserted, results_updated, error, created_at, rolled_back_at
+            FROM import_batches
+            ORDER BY created_at DESC, id DESC
+            LIMIT $1
+        `, [limit]);
+        res.json({ imports: result.rows });
+    } catch (error) {
+        console.error('Import history error:', error);
+        res.status(500).json({ error: 'Failed to load import history', details: error.message });
+    }
+});
+
+app.delete('/api/imports/:id', audited('import.rollback'), requireRole('importer'), async (req, res) => {
+    const batchId = parseInt(req.params.id);
+    if (isNaN(batchId)) {
+        return res.status(400).json({ error: 'Invalid import id' });
+    }
+
+    try {
+        const summary = await rollbackImportBatch(batchId);
+        console.log(`Rolled back import ${batchId}:`, summary);
+        auditRows(res, summary);
+        await refreshRatings(`rolling back import ${batchId}`);
+        res.json({ message: `Import ${batchId} rolled back successfully`, ...summary });
+    } catch (error) {
+        console.error('Import rollback error:', error);
+        res.status(error.status || 500).json({
+            error: 'Failed to roll back import',
+            details: error.message
+        });
+    }
+});
+
+// Column mapping profiles
+app.get('/api/mapping-profiles', requireRole('importer'), async (req, res) => {
+    try {
+        const result = await pool.query(`
+            SELECT id, name, header_signature, mapping, created_at, last_modified
+            FROM column_mapping_profiles
+            ORDER BY name ASC
+        `);
+        res.json({ profiles: result.rows, fields: [...EXPECTED_CSV_FIELDS.optional, RACE_SCORE_FIELD] });
+    } catch (error) {
+        console.error('Mapping profile list error:', error);
+        res.status(500).json({ error: 'Failed to load mapping profiles', details: error.message });
+    }
+});
+
+app.post('/api/mapping-profiles', audited('mapping_profile.save'), requireRole('importer'), async (req, res) => {
+    try {
+        const { name, headers, mapping } = req.body;
+        if (!name?.trim() || !Array.isArray(headers) || !mapping || typeof mapping !== 'object') {
+            return res.status(400).json({ error: 'name, headers (array) and mapping (object) are required' });
+        }
+
+        // Reuse the upload rules so a profile can't map to unknown or duplicate fields
+        const columns = resolveColumnMapping(headers, { mapping });
+        if (columns.errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid column mapping', details: columns.errors.join('; ') });
+        }
+        const profile = await saveMappingProfile(name.trim(), headers, columns.mapping);
+        auditRows(res, { profilesSaved: 1 });
+        res.json({ message: 'Mapping profile saved', profile });
+    } catch (error) {
+        console.error('Mapping profile save error:', error);
+        res.status(error.status || 500).json({ error: 'Failed to save mapping profile', details: error.message });
+    }
+});
+
+app.delete('/api/mapping-profiles/:id', audited('mapping_profile.delete'), requireRole('importer'), async (req, res) => {
+    try {
+        const result = await pool.query('DELETE FROM column_mapping_profiles WHERE id = $1', [parseInt(req.params.id) || 0]);
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: 'Mapping profile not found' });
+        }
+        auditRows(res, { profilesDeleted: 1 });
+        res.json({ message: 'Mapping profile deleted' });
+    } catch (error) {
+        console.error('Mapping profile delete error:', error);
+        res.status(500).json({ error: 'Failed to delete mapping profile', details: error.message });
+    }
+});
+
+// Read-only REST resources for scripts and club websites. Lists take the
+// filters that apply to them (?search=, ?club=, ?category=, ?year=), ?sort=
+// and cursor pagination (?limit=, ?cursor=; see lib/pagination.js), and are
+// described at /api/openapi.json.
+
+function readListFilters(query) {
+    const text = value => typeof value === 'string' && value.trim() ? value.trim() : null;
+    const year = text(query.year);
+    if (year !== null && validateInput(year, 'year') === null) {
+        throw Object.assign(new Error(`year must be a year like 2024, got "${year}"`), { status: 400 });
+    }
+    return {
+        search: text(query.search),
+        club: text(query.club),
+        category: text(query.category),
+        year: year === null ? null : validateInput(year, 'year')
+    };
+}
+
+// Skippers with their racing record over the results the filters keep
+function skipperListQuery({ search = null, club = null, category = null, year = null, id = null }) {
+    return {
+        query: `
+            SELECT s.id, s.name, s.yacht_club, s.club_id, c.name AS club_name,${RACING_RECORD_SQL},
+                   sr.rating, sr.races AS rated_races, s.last_modified::TEXT AS last_modified
+            FROM skippers s
+            LEFT JOIN clubs c ON c.id = s.club_id
+            LEFT JOIN results res ON s.id = res.skipper_id
+            LEFT JOIN races r ON res.race_id = r.id
+            LEFT JOIN regattas rg ON r.regatta_id = rg.id
+            LEFT JOIN skipper_ratings sr ON sr.skipper_id = s.id
+            WHERE ($1::TEXT IS NULL OR ${skipperNameMatchSQL('$1')})
+            AND ($2::TEXT IS NULL OR ${clubMatchSQL('$2')})
+            AND ($3::TEXT IS NULL OR LOWER(r.category) = LOWER($3))
+            AND ${yearMatchSQL('$4')}
+            AND ($5::INT IS NULL OR s.id = $5)
+            GROUP BY s.id, s.name, s.yacht_club, s.club_id, c.name, sr.rating, sr.races, s.last_modified
+        `,
+        params: [search, club, category, year, id]
+    };
+}
+
+const SKIPPER_SORTS = {
+    name: [{ sql: `LOWER(COALESCE(items.name, ''))`, type: 'text' }],
+    races: [{ sql: 'items.total_races', type: 'bigint' }],
+    wins: [{ sql: 'items.wins', type: 'bigint' }],
+    rating: [{ sql: `COALESCE(items.rating, ${INITIAL_RATING})`, type: 'numeric' }],
+    last_race: [{ sql: `COALESCE(items.last_race, DATE '0001-01-01')`, type: 'date' }]
+};
+
+// Unrated skippers are reported at the starting rating, as /api/skippers/:id/rating does
+function skipperFromRow(row) {
+    const ratedRaces = parseInt(row.rated_races) || 0;
+    return {
+        ...row,
+        total_races: parseInt(row.total_races),
+        wins: parseInt(row.wins),
+        rating: row.rating === null ? INITIAL_RATING : parseFloat(row.rating),
+        rated_races: ratedRaces,
+        provisional: isProvisional(ratedRaces)
+    };
+}
+
+// Regattas with what they held; club and category keep regattas where that
+// club's skippers or that category raced
+function regattaListQuery({ search = null, club = null, category = null, year = null }) {
+    return {
+        query: `
+            SELECT rg.id, rg.name, rg.regatta_date, rg.venue,${REGATTA_SUMMARY_SQL}
+            FROM regattas rg
+            LEFT JOIN races r ON rg.id = r.regatta_id
+            LEFT JOIN results res ON r.id = res.race_id
+            WHERE ($1::TEXT IS NULL OR LOWER(rg.name) LIKE LOWER('%' || $1 || '%')
+                OR LOWER(rg.venue) LIKE LOWER('%' || $1 || '%'))
+            AND ($2::TEXT IS NULL OR EXISTS (
+                SELECT 1 FROM races cr
+                JOIN results cres ON cres.race_id = cr.id
+                JOIN skippers s ON s.id = cres.skipper_id
+                WHERE cr.regatta_id = rg.id AND ${clubMatchSQL('$2')}
+            ))
+            AND ($3::TEXT IS NULL OR EXISTS (
+                SELECT 1 FROM races cr WHERE cr.regatta_id = rg.id AND LOWER(cr.category) = LOWER($3)
+            ))
+            AND ${yearMatchSQL('$4')}
+            GROUP BY rg.id, rg.name, rg.regatta_date, rg.venue
+        `,
+        params: [search, club, category, year]
+    };
+}
+
+const REGATTA_SORTS = {
+    date: [{ sql: `COALESCE(items.regatta_date, DATE '0001-01-01')`, type: 'date' }],
+    name: [{ sql: `LOWER(COALESCE(items.name, ''))`, type: 'text' }],
+    participants: [{ sql: 'items.participants', type: 'bigint' }]
+};
+
+// One regatta's results; search matches the skipper's name or an alias
+function regattaResultsQuery(regattaId, { search = null, club = null, category = null }) {
+    return {
+        query: `
+            SELECT res.id, r.id AS race_id, r.category, res.position, res.total_points, res.race_scores,
+                   s.id AS skipper_id, s.name AS skipper_name, s.yacht_club,
+                   res.boat_id, res.boat_name, res.sail_number
+            FROM races r
+            JOIN results res ON r.id = res.race_id
+            JOIN skippers s ON res.skipper_id = s.id
+            WHERE r.regatta_id = $1
+            AND ($2::TEXT IS NULL OR ${skipperNameMatchSQL('$2')})
+            AND ($3::TEXT IS NULL OR ${clubMatchSQL('$3')})
+            AND ($4::TEXT IS NULL OR LOWER(r.category) = LOWER($4))
+        `,
+        params: [regattaId, search, club, category]
+    };
+}
+
+// Results read fleet by fleet, as regatta_results lists them in the chat
+const RESULT_SORTS = {
+    position: [
+        { sql: `LOWER(COALESCE(items.category, ''))`, type: 'text' },
+        { sql: 'COALESCE(items.position, 2147483647)', type: 'int' }
+    ],
+    points: [
+        { sql: `LOWER(COALESCE(items.category, ''))`, type: 'text' },
+        { sql: 'COALESCE(items.total_points, 999.99)', type: 'numeric' }
+    ],
+    skipper: [{ sql: `LOWER(items.skipper_name)`, type: 'text' }]
+};
+
+// Boats by sail number or any name they raced under; club, category and
+// year keep boats with results that match
+function boatListQuery({ search = null, club = null, category = null, year = null }) {
+    return {
+        query: `
+            SELECT b.id, b.sail_number, b.sail_key,
+                   (SELECT h.name FROM boat_name_history h WHERE h.boat_id = b.id
+                    ORDER BY h.last_seen DESC NULLS LAST LIMIT 1) AS current_name,
+                   (SELECT COUNT(*) FROM results res WHERE res.boat_id = b.id) AS results,
+                   (SELECT MAX(h.last_seen) FROM boat_name_history h WHERE h.boat_id = b.id) AS last_raced
+            FROM boats b
+            WHERE ($1::TEXT IS NULL
+                OR b.id = find_boat($1)
+                OR EXISTS (
+                    SELECT 1 FROM boat_name_history h
+                    WHERE h.boat_id = b.id AND LOWER(h.name) LIKE LOWER('%' || $1 || '%')
+                ))
+            AND (($2::TEXT IS NULL AND $3::TEXT IS NULL AND $4::INT IS NULL) OR EXISTS (
+                SELECT 1 FROM results res
+                JOIN races r ON res.race_id = r.id
+                JOIN regattas rg ON r.regatta_id = rg.id
+                LEFT JOIN skippers s ON res.skipper_id = s.id
+                WHERE res.boat_id = b.id
+                AND ($2::TEXT IS NULL OR ${clubMatchSQL('$2')})
+                AND ($3::TEXT IS NULL OR LOWER(r.category) = LOWER($3))
+                AND ${yearMatchSQL('$4')}
+            ))
+        `,
+        params: [search, club, category, year]
+    };
+}
+
+const BOAT_SORTS = {
+    sail_number: [{ sql: 'items.sail_key', type: 'text' }],
+    name: [{ sql: `LOWER(COALESCE(items.current_name, ''))`, type: 'text' }],
+    results: [{ sql: 'items.results', type: 'bigint' }],
+    last_raced: [{ sql: `COALESCE(items.last_raced, DATE '0001-01-01')`, type: 'date' }]
+};
+
+// Clubs by name, short code or alias; category and year keep clubs whose
+// skippers raced in them
+function clubListQuery({ search = null, category = null, year = null }) {
+    return {
+        query: `
+            SELECT c.id, c.name, c.short_code,
+                   COALESCE((
+                       SELECT json_agg(json_build_object('id', ca.id, 'alias', ca.alias) ORDER BY ca.alias)
+                       FROM club_aliases ca WHERE ca.club_id = c.id
+                   ), '[]'::json) AS aliases,
+                   (SELECT COUNT(*) FROM skippers s WHERE s.club_id = c.id) AS skippers
+            FROM clubs c
+            WHERE ($1::TEXT IS NULL
+                OR LOWER(c.name) LIKE LOWER('%' || $1 || '%')
+                OR UPPER(c.short_code) = UPPER($1)
+                OR EXISTS (
+                    SELECT 1 FROM club_aliases ca
+                    WHERE ca.club_id = c.id AND LOWER(ca.alias) LIKE LOWER('%' || $1 || '%')
+                ))
+            AND (($2::TEXT IS NULL AND $3::INT IS NULL) OR EXISTS (
+                SELECT 1 FROM skippers s
+                JOIN results res ON res.skipper_id = s.id
+                JOIN races r ON res.race_id = r.id
+                JOIN regattas rg ON r.regatta_id = rg.id
+                WHERE s.club_id = c.id
+                AND ($2::TEXT IS NULL OR LOWER(r.category) = LOWER($2))
+                AND ${yearMatchSQL('$3')}
+            ))
+        `,
+        params: [search, category, year]
+    };
+}
+
+const CLUB_SORTS = {
+    name: [{ sql: 'LOWER(items.name)', type: 'text' }],
+    skippers: [{ sql: 'items.skippers', type: 'bigint' }]
+};
+
+app.get('/api/openapi.json', (req, res) => {
+    res.json(openApiDocument);
+});
+
+app.get('/api/skippers', requireRole('viewer'), async (req, res) => {
+    try {
+        const page = readPageOptions(req.query, SKIPPER_SORTS, 'name');
+        const { rows, nextCursor } = await paginate(pool, skipperListQuery(readListFilters(req.query)), page);
+        res.json({ skippers: rows.map(skipperFromRow), nextCursor });
+    } catch (error) {
+        console.error('Skipper list error:', error);
+        res.status(error.status || 500).json({ error: 'Failed to load skippers', details: error.message });
+    }
+});
+
+// Digits only, so /api/skippers/duplicates isn't taken for a skipper id
+app.get('/api/skippers/:id(\\d+)', requireRole('viewer'), async (req, res) => {
+    const skipperId = parseInt(req.params.id);
+    try {
+        const { query, params } = skipperListQuery({ id: skipperId });
+        const skipper = await pool.query(query, params);
+        if (skipper.rows.length === 0) {
+            return res.status(404).json({ error: 'Skipper not found' });
+        }
+
+        const aliases = await pool.query(
+            'SELECT id, alias FROM skipper_aliases WHERE skipper_id = $1 ORDER BY alias',
+            [skipperId]
+        );
+        const recent = await pool.query(`
+            SELECT res.id, rg.id AS regatta_id, rg.name AS regatta_name, rg.regatta_date, r.category,
+                   res.boat_id, res.boat_name, res.sail_number, res.position, res.total_points
+            FROM results res
+            JOIN races r ON res.race_id = r.id
+            JOIN regattas rg ON r.regatta_id = rg.id
+            WHERE res.skipper_id = $1
+            ORDER BY rg.regatta_date DESC NULLS LAST, res.id DESC
+            LIMIT 10
+        `, [skipperId]);
+
+        res.json({
+            skipper: { ...skipperFromRow(skipper.rows[0]), aliases: aliases.rows },
+            recentResults: recent.rows.map(result => ({
+                ...result,
+                total_points: result.total_points === null ? null : parseFloat(result.total_points)
+            }))
+        });
+    } catch (error) {
+        console.error('Skipper load error:', error);
+        res.status(500).json({ error: 'Failed to load skipper', details: error.message });
+    }
+});
+
+app.get('/api/regattas', requireRole('viewer'), async (req, res) => {
+    try {
+        const page = readPageOptions(req.query, REGATTA_SORTS, '-date');
+        const { rows, nextCursor } = await paginate(pool, regattaListQuery(readListFilters(req.query)), page);
+        res.json({
+            regattas: rows.map(regatta => ({
+                ...regatta,
+                races: parseInt(regatta.races),
+                participants: parseInt(regatta.participants)
+            })),
+            nextCursor
+        });
+    } catch (error) {
+        console.error('Regatta list error:', error);
+        res.status(error.status || 500).json({ error: 'Failed to load regattas', details: error.message });
+    }
+});
+
+app.get('/api/regattas/:id/results', requireRole('viewer'), async (req, res) => {
+    try {
+        const regatta = await pool.query(
+            'SELECT id, name, regatta_date, venue FROM regattas WHERE id = $1',
+            [parseInt(req.params.id) || 0]
+        );
+        if (regatta.rows.length === 0) {
+            return res.status(404).json({ error: 'Regatta not found' });
+        }
+        const page = readPageOptions(req.query, RESULT_SORTS, 'position');
+        const { rows, nextCursor } = await paginate(
+            pool, regattaResultsQuery(regatta.rows[0].id, readListFilters(req.query)), page);
+        res.json({
+            regatta: regatta.rows[0],
+            results: rows.map(result => ({
+                ...result,
+                total_points: result.total_points === null ? null : parseFloat(result.total_points)
+            })),
+            nextCursor
+        });
+    } catch (error) {
+        console.error('Regatta results error:', error);
+        res.status(error.status || 500).json({ error: 'Failed to load regatta results', details: error.message });
+    }
+});
+
+// Send a table as a file download named after name (see lib/export.js)
+async function sendExport(res, name, format, table) {
+    const file = await renderExport(format, { sheetName: name, ...table });
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'export';
+    res.set('Content-Type', file.contentType);
+    res.set('Content-Disposition', `attachment; filename="${slug}.${file.extension}"`);
+    res.send(file.body);
+}
+
+// Results in the column layout /upload reads, race scores included, so an
+// export imports back into this or another instance as the same results
+async function loadResultsExport({ regattaId = null, skipperId = null, year = null, club = null, category = null }) {
+    const result = await pool.query(`
+        SELECT rg.name AS regatta_name, rg.regatta_date::TEXT AS regatta_date, rg.venue,
+               s.name AS skipper, s.yacht_club, r.category, res.boat_name, res.sail_number,
+               res.position, res.total_points, res.race_scores
+        FROM results res
+        JOIN races r ON res.race_id = r.id
+        JOIN regattas rg ON r.regatta_id = rg.id
+        JOIN skippers s ON res.skipper_id = s.id
+        WHERE ($1::INT IS NULL OR rg.id = $1)
+        AND ($2::INT IS NULL OR s.id = $2)
+        AND ${yearMatchSQL('$3')}
+        AND ($4::TEXT IS NULL OR ${clubMatchSQL('$4')})
+        AND ($5::TEXT IS NULL OR LOWER(r.category) = LOWER($5))
+        ORDER BY rg.regatta_date ASC NULLS LAST, rg.name, rg.id, r.category, res.position ASC NULLS LAST, s.name
+    `, [regattaId, skipperId, year, club, category]);
+
+    // One column per race label. Labels /upload wouldn't take for a race
+    // column (Sailwave's "Q1", say) get the next free R<n> header.
+    const labels = [...new Set(result.rows.flatMap(row => (row.race_scores || []).map(score => score.race)))];
+    const raceHeaders = new Map(labels.filter(isRaceColumn).map(label => [label, label.trim()]));
+    const taken = new Set([...raceHeaders.values()].map(normalizeHeader));
+    let next = 1;
+    for (const label of labels.filter(label => !isRaceColumn(label))) {
+        while (taken.has(`r${next}`)) next++;
+        raceHeaders.set(label, `R${next}`);
+        taken.add(`r${next}`);
+    }
+    const raceColumns = labels.map(label => raceHeaders.get(label));
+
+    const rows = result.rows.map(row => {
+        const scores = Object.fromEntries((row.race_scores || []).map(score =>
+            [raceHeaders.get(score.race), formatRaceScore(score)]));
+        return {
+            Regatta_Name: row.regatta_name,
+            Regatta_Date: row.regatta_date,
+            Venue: row.venue,
+            Skipper: row.skipper,
+            Yacht_Club: row.yacht_club,
+            Category: row.category,
+            Boat_Name: row.boat_name,
+            Sail_Number: row.sail_number,
+            Position: row.position,
+            Total_Points: row.total_points === null ? null : parseFloat(row.total_points),
+            ...Object.fromEntries(raceColumns.map(column => [column, scores[column] ?? null]))
+        };
+    });
+    return { columns: [...EXPECTED_CSV_FIELDS.optional, ...raceColumns], rows };
+}
+
+// Exports: ?format=csv (default), json or xlsx
+app.get('/api/results/export', requireRole('viewer'), async (req, res) => {
+    try {
+        const format = readExportFormat(req.query.format);
+        const filters = readListFilters(req.query);
+        const table = await loadResultsExport(filters);
+        await sendExport(res, ['results', filters.club, filters.category, filters.year].filter(Boolean).join(' '), format, table);
+    } catch (error) {
+        console.error('Results export error:', error);
+        res.status(error.status || 500).json({ error: 'Failed to export results', details: error.message });
+    }
+});
+
+app.get('/api/regattas/:id/results/export', requireRole('viewer'), async (req, res) => {
+    try {
+        const format = readExportFormat(req.query.format);
+        const regatta = await pool.query(
+            'SELECT id, name, regatta_date::TEXT AS regatta_date FROM regattas WHERE id = $1',
+            [parseInt(req.params.id) || 0]
+        );
+        if (regatta.rows.length === 0) {
+            return res.status(404).json({ error: 'Regatta not found' });
+        }
+        const { id, name, regatta_date } = regatta.rows[0];
+        const table = await loadResultsExport({ regattaId: id });
+        await sendExport(res, [name || 'regatta', regatta_date, 'results'].filter(Boolean).join(' '), format, table);
+    } catch (error) {
+        console.error('Regatta export error:', error);
+        res.status(error.status || 500).json({ error: 'Failed to export regatta results', details: error.message });
+    }
+});
+
+app.get('/api/skippers/:id(\\d+)/results/export', requireRole('viewer'), async (req, res) => {
+    try {
+        const format = readExportFormat(req.query.format);
+        const skipper = await pool.query('SELECT id, name FROM skippers WHERE id = $1', [parseInt(req.params.id)]);
+        if (skipper.rows.length === 0) {
+            return res.status(404).json({ error: 'Skipper not found' });
+        }
+        const table = await loadResultsExport({ skipperId: skipper.rows[0].id });
+        await sendExport(res, `${skipper.rows[0].name} results`, format, table);
+    } catch (error) {
+        console.error('Skipper export error:', error);
+        res.status(error.status || 500).json({ error: 'Failed to export skipper results', details: error.message });
+    }
+});
+
+// Skipper identity: duplicate suggestions, merging and aliases
+app.get('/api/skippers/duplicates', requireRole('viewer'), async (req, res) => {
+    try {
+        const threshold = req.query.threshold !== undefined ? parseFloat(req.query.threshold) : 0.5;
+        if (isNaN(threshold) || threshold <= 0 || threshold > 1) {
+            return res.status(400).json({ error: 'threshold must be a number between 0 and 1' });
+        }
+        const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+        const duplicates = await findDuplicateSkippers({ threshold, limit });
+        res.json({ threshold, duplicates });
+    } catch (error) {
+        console.error('Duplicate skipper search error:', error);
+        res.status(error.status || 500).json({ error: 'Failed to find duplicate skippers', details: error.message });
+    }
+});
+
+app.post('/api/skippers/merge', audited('skipper.merge'), requireRole('importer'), async (req, res) => {
+    const targetId = parseInt(req.body.targetId);
+    const sourceIds = Array.isArray(req.body.sourceIds) ? [...new Set(req.body.sourceIds.map(id => parseInt(id)))] : [];
+    if (isNaN(targetId) || sourceIds.length === 0 || sourceIds.some(isNaN)) {
+        return res.status(400).json({ error: 'targetId and a non-empty sourceIds array of skipper ids are required' });
+    }
+    if (sourceIds.includes(targetId)) {
+        return res.status(400).json({ error: 'A skipper cannot be merged into itself' });
+    }
+
+    try {
+        const summary = await mergeSkippers(targetId, sourceIds);
+        console.log(`🔀 Merged skippers ${sourceIds.join(', ')} into ${targetId}:`, summary);
+        const { skipper, ...mergedRows } = summary;
+        auditRows(res, mergedRows);
+        await refreshRatings('merging skippers');
+        res.json({ message: `Merged ${sourceIds.length} skipper(s) into ${summary.skipper.name}`, ...summary });
+    } catch (error) {
+        console.error('Skipper merge error:', error);
+        res.status(error.status || 500).json({ error: 'Failed to merge skippers', details: error.message });
+    }
+});
+
+app.get('/api/skippers/:id/aliases', requireRole('viewer'), async (req, res) => {
+    try {
+        const skipper = await pool.query('SELECT id, name, yacht_club FROM skippers WHERE id = $1', [parseInt(req.params.id) || 0]);
+        if (skipper.rows.length === 0) {
+            return res.status(404).json({ error: 'Skipper not found' });
+        }
+        const aliases = await pool.query(
+            'SELECT id, alias, created_at FROM skipper_aliases WHERE skipper_id = $1 ORDER BY alias',
+            [skipper.rows[0].id]
+        );
+        res.json({ skipper: skipper.rows[0], aliases: aliases.rows });
+    } catch (error) {
+        console.error('Skipper alias list error:', error);
+        res.status(500).json({ error: 'Failed to load skipper aliases', details: error.message });
+    }
+});
+
+app.post('/api/skippers/:id/aliases', audited('skipper.alias.add'), requireRole('importer'), async (req, res) => {
+    const alias = typeof req.body.alias === 'string' ? req.body.alias.trim() : '';
+    if (!/[a-z0-9]/i.test(alias)) {
+        return res.status(400).json({ error: 'alias is required' });
+    }
+
+    try {
+        const skipper = await pool.query('SELECT id FROM skippers WHERE id = $1', [parseInt(req.params.id) || 0]);
+        if (skipper.rows.length === 0) {
+            return res.status(404).json({ error: 'Skipper not found' });
+        }
+
+        // An alias may only point at one skipper, and not at another skipper's own name
+        const taken = await pool.query(`
+            SELECT s.id, s.name FROM skipper_aliases sa JOIN skippers s ON s.id = sa.skipper_id
+            WHERE sa.normalized_alias = normalize_skipper_name($1)
+            UNION ALL
+            SELECT s.id, s.name FROM skippers s
+            WHERE normalize_skipper_name(s.name) = normalize_skipper_name($1)
+            LIMIT 1
+        `, [alias]);
+        if (taken.rows.length > 0) {
+            const owner = taken.rows[0];
+            const details = owner.id === skipper.rows[0].id
+                ? 'This skipper already goes by that name'
+                : `That name belongs to skipper ${owner.id} (${owner.name}); merge the skippers instead`;
+            return res.status(409).json({ error: 'Alias already in use', details });
+        }
+
+        const result = await pool.query(
+            'INSERT INTO skipper_aliases (skipper_id, alias) VALUES ($1, $2) RETURNING id, alias, created_at',
+            [skipper.rows[0].id, alias]
+        );
+        auditRows(res, { aliasesAdded: 1 });
+        res.status(201).json({ message: 'Alias added', alias: result.rows[0] });
+    } catch (error) {
+        console.error('Skipper alias save error:', error);
+        res.status(500).json({ error: 'Failed to add skipper alias', details: error.message });
+    }
+});
+
+app.delete('/api/skippers/:id/aliases/:aliasId', audited('skipper.alias.delete'), requireRole('importer'), async (req, res) => {
+    try {
+        const result = await pool.query(
+            'DELETE FROM skipper_aliases WHERE id = $1 AND skipper_id = $2',
+            [parseInt(req.params.aliasId) || 0, parseInt(req.params.id) || 0]
+        );
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: 'Alias not found' });
+        }
+        auditRows(res, { aliasesDeleted: 1 });
+        res.json({ message: 'Alias deleted' });
+    } catch (error) {
+        console.error('Skipper alias delete error:', error);
+        res.status(500).json({ error: 'Failed to delete skipper alias', details: error.message });
+    }
+});
+
+// Skill ratings (see lib/rating.js)
+app.get('/api/skippers/:id/rating', requireRole('viewer'), async (req, res) => {
+    const skipperId = parseInt(req.params.id) || 0;
+    try {
+        const skipper = await pool.query(`
+            SELECT s.id, s.name, s.yacht_club, sr.rating, sr.races, sr.last_raced
+            FROM skippers s
+            LEFT JOIN skipper_ratings sr ON sr.skipper_id = s.id
+            WHERE s.id = $1
+        `, [skipperId]);
+        if (skipper.rows.length === 0) {
+            return res.status(404).json({ error: 'Skipper not found' });
+        }
+
+        const history = await pool.query(`
+            SELECT h.race_id, rg.id AS regatta_id, rg.name AS regatta_name, r.category, h.regatta_date,
+                   h.position, h.field_size, h.rating_before, h.rating_after
+            FROM skipper_rating_history h
+            LEFT JOIN races r ON h.race_id = r.id
+            LEFT JOIN regattas rg ON r.regatta_id = rg.id
+            WHERE h.skipper_id = $1
+            ORDER BY h.regatta_date ASC, h.id ASC
+        `, [skipperId]);
+
+        const { rating, races, last_raced, ...info } = skipper.rows[0];
+        const racesRated = parseInt(races) || 0;
+        res.json({
+            skipper: info,
+            rating: rating === null ? INITIAL_RATING : parseFloat(rating),
+            races: racesRated,
+            provisional: isProvisional(racesRated),
+            lastRaced: last_raced,
+            history: history.rows.map(row => ({
+                ...row,
+                rating_before: parseFloat(row.rating_before),
+                rating_after: parseFloat(row.rating_after),
+                change: Math.round((row.rating_after - row.rating_before) * 100) / 100
+            }))
+        });
+    } catch (error) {
+        console.error('Skipper rating error:', error);
+        res.status(500).json({ error: 'Failed to load skipper rating', details: error.message });
+    }
+});
+
+// Highest rated skippers. Provisional ratings are left out unless
+// provisional=1 is given.
+app.get('/api/ratings', requireRole('viewer'), async (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 200);
+    try {
+        const result = await pool.query(`
+            SELECT s.id, s.name, s.yacht_club, sr.rating, sr.races, sr.last_raced
+            FROM skipper_ratings sr
+            JOIN skippers s ON s.id = sr.skipper_id
+            WHERE ($1 OR sr.races >= $2)
+            ORDER BY sr.rating DESC, s.name ASC
+            LIMIT $3
+        `, [isFlagSet(req, 'provisional'), PROVISIONAL_RACES, limit]);
+        res.json({
+            ratings: result.rows.map(row => ({
+                ...row,
+                rating: parseFloat(row.rating),
+                races: parseInt(row.races),
+                provisional: isProvisional(parseInt(row.races))
+            }))
+        });
+    } catch (error) {
+        console.error('Ratings list error:', error);
+        res.status(500).json({ error: 'Failed to load ratings', details: error.message });
+    }
+});
+
+// Rate every race again from the start
+app.post('/api/ratings/recompute', audited('ratings.recompute'), requireRole('importer'), async (req, res) => {
+    try {
+        const summary = await updateRatings({ full: true });
+        console.log(`📈 Ratings recomputed: ${summary.races} races`);
+        auditRows(res, { racesRated: summary.races });
+        res.json({ message: `Rated ${summary.races} races`, ...summary });
+    } catch (error) {
+        console.error('Ratings recompute error:', error);
+        res.status(500).json({ error: 'Failed to recompute ratings', details: error.message });
+    }
+});
+
+// Head to head: a and b are skipper ids or names
+app.get('/api/head-to-head', requireRole('viewer'), async (req, res) => {
+    if (!req.query.a || !req.query.b) {
+        return res.status(400).json({ error: 'a and b (skipper ids or names) are required' });
+    }
+    try {
+        const recent = Math.min(Math.max(parseInt(req.query.recent) || 5, 0), 100);
+        const comparison = await compareSkippers(
+            await findSkipperRef(req.query.a),
+            await findSkipperRef(req.query.b),
+            { recent }
+        );
+        res.json(comparison);
+    } catch (error) {
+        console.error('Head to head error:', error);
+        res.status(error.status || 500).json({ error: 'Failed to compare skippers', details: error.message });
+    }
+});
+
+// Clubs: canonical names, short codes, aliases and merging
+app.get('/api/clubs', requireRole('viewer'), async (req, res) => {
+    try {
+        const page = readPageOptions(req.query, CLUB_SORTS, 'name');
+        const { rows, nextCursor } = await paginate(pool, clubListQuery(readListFilters(req.query)), page);
+        res.json({ clubs: rows.map(club => ({ ...club, skippers: parseInt(club.skippers) })), nextCursor });
+    } catch (error) {
+        console.error('Club list error:', error);
+        res.status(error.status || 500).json({ error: 'Failed to load clubs', details: error.message });
+    }
+});
+
+app.post('/api/clubs', audited('club.create'), requireRole('importer'), async (req, res) => {
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    const shortCode = typeof req.body.shortCode === 'string' && req.body.shortCode.trim() ? req.body.shortCode.trim() : null;
+    if (!/[a-z0-9]/i.test(name)) {
+        return res.status(400).json({ error: 'name is required' });
+    }
+
+    try {
+        for (const value of [name, shortCode].filter(Boolean)) {
+            const existing = await findConflictingClub(value);
+            if (existing) {
+                return res.status(409).json({ error: 'Club already exists', details: `"${value}" already refers to club ${existing.id} (${existing.name})` });
+            }
+        }
+        const result = await pool.query(
+            'INSERT INTO clubs (name, short_code) VALUES ($1, $2) RETURNING id, name, short_code',
+            [name, shortCode]
+        );
+        auditRows(res, { clubsCreated: 1 });
+        res.status(201).json({ message: 'Club created', club: result.rows[0] });
+    } catch (error) {
+        console.error('Club create error:', error);
+        res.status(500).json({ error: 'Failed to create club', details: error.message });
+    }
+});
+
+app.post('/api/clubs/merge', audited('club.merge'), requireRole('importer'), async (req, res) => {
+    const targetId = parseInt(req.body.targetId);
+    const sourceIds = Array.isArray(req.body.sourceIds) ? [...new Set(req.body.sourceIds.map(id => parseInt(id)))] : [];
+    if (isNaN(targetId) || sourceIds.length === 0 || sourceIds.some(isNaN)) {
+        return res.status(400).json({ error: 'targetId and a non-empty sourceIds array of club ids are required' });
+    }
+    if (sourceIds.includes(targetId)) {
+        return res.status(400).json({ error: 'A club cannot be merged into itself' });
+    }
+
+    try {
+        const summary = await mergeClubs(targetId, sourceIds);
+        console.log(`🔀 Merged clubs ${sourceIds.join(', ')} into ${targetId}:`, summary);
+        const { club, ...mergedRows } = summary;
+        auditRows(res, mergedRows);
+        res.json({ message: `Merged ${sourceIds.length} club(s) into ${summary.club.name}`, ...summary });
+    } catch (error) {
+        console.error('Club merge error:', error);
+        res.status(error.status || 500).json({ error: 'Failed to merge clubs', details: error.message });
+    }
+});
+
+// Rename a club or change its short code (an empty shortCode clears it)
+app.patch('/api/clubs/:id', audited('club.update'), requireRole('importer'), async (req, res) => {
+    const clubId = parseInt(req.params.id) || 0;
+    const { name, shortCode } = req.body;
+    if (name !== undefined && (typeof name !== 'string' || !/[a-z0-9]/i.test(name))) {
+        return res.status(400).json({ error: 'name must be a non-empty string' });
+    }
+    if (shortCode !== undefined && shortCode !== null && typeof shortCode !== 'string') {
+        return res.status(400).json({ error: 'shortCode must be a string' });
+    }
+
+    const client = await pool.connect();
+    try {
+        for (const value of [name?.trim(), shortCode?.trim()].filter(Boolean)) {
+            const existing = await findConflictingClub(value, clubId);
+            if (existing) {
+                return res.status(409).json({ error: 'Club name in use', details: `"${value}" already refers to club ${existing.id} (${existing.name})` });
+            }
+        }
+
+        await client.query('BEGIN');
+        const result = await client.query(`
+            UPDATE clubs SET
+                name = COALESCE($2, name),
+                short_code = CASE WHEN $3 THEN NULLIF($4, '') ELSE short_code END
+            WHERE id = $1
+            RETURNING id, name, short_code
+        `, [clubId, name?.trim() || null, shortCode !== undefined, shortCode?.trim() || null]);
+        if (result.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Club not found' });
+        }
+        // Skippers show the club's current name
+        const renamed = await client.query('UPDATE skippers SET yacht_club = $2 WHERE club_id = $1', [clubId, result.rows[0].name]);
+        await client.query('COMMIT');
+        auditRows(res, { clubsUpdated: 1, skippersUpdated: renamed.rowCount });
+        res.json({ message: 'Club updated', club: result.rows[0] });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Club update error:', error);
+        res.status(500).json({ error: 'Failed to update club', details: error.message });
+    } finally {
+        client.release();
+    }
+});
+
+app.post('/api/clubs/:id/aliases', audited('club.alias.add'), requireRole('importer'), async (req, res) => {
+    const alias = typeof req.body.alias === 'string' ? req.body.alias.trim() : '';
+    if (!/[a-z0-9]/i.test(alias)) {
+        return res.status(400).json({ error: 'alias is required' });
+    }
+
+    try {
+        const club = await pool.query('SELECT id FROM clubs WHERE id = $1', [parseInt(req.params.id) || 0]);
+        if (club.rows.length === 0) {
+            return res.status(404).json({ error: 'Club not found' });
+        }
+
+        const owner = await findConflictingClub(alias);
+        if (owner) {
+            const details = owner.id === club.rows[0].id
+                ? 'This club already goes by that name'
+                : `That name belongs to club ${owner.id} (${owner.name}); merge the clubs instead`;
+            return res.status(409).json({ error: 'Alias already in use', details });
+        }
+
+        const result = await pool.query(
+            'INSERT INTO club_aliases (club_id, alias) VALUES ($1, $2) RETURNING id, alias, created_at',
+            [club.rows[0].id, alias]
+        );
+        auditRows(res, { aliasesAdded: 1 });
+        res.status(201).json({ message: 'Alias added', alias: result.rows[0] });
+    } catch (error) {
+        console.error('Club alias save error:', error);
+        res.status(500).json({ error: 'Failed to add club alias', details: error.message });
+    }
+});
+
+app.delete('/api/clubs/:id/aliases/:aliasId', audited('club.alias.delete'), requireRole('importer'), async (req, res) => {
+    try {
+        const result = await pool.query(
+            'DELETE FROM club_aliases WHERE id = $1 AND club_id = $2',
+            [parseInt(req.params.aliasId) || 0, parseInt(req.params.id) || 0]
+        );
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: 'Alias not found' });
+        }
+        auditRows(res, { aliasesDeleted: 1 });
+        res.json({ message: 'Alias deleted' });
+    } catch (error) {
+        console.error('Club alias delete error:', error);
+        res.status(500).json({ error: 'Failed to delete club alias', details: error.message });
+    }
+});
+
+// Boats, with the names they have raced under and who sailed them
+app.get('/api/boats', requireRole('viewer'), async (req, res) => {
+    try {
+        const page = readPageOptions(req.query, BOAT_SORTS, 'sail_number');
+        const { rows, nextCursor } = await paginate(pool, boatListQuery(readListFilters(req.query)), page);
+        res.json({ boats: rows.map(boat => ({ ...boat, results: parseInt(boat.results) })), nextCursor });
+    } catch (error) {
+        console.error('Boat list error:', error);
+        res.status(error.status || 500).json({ error: 'Failed to load boats', details: error.message });
+    }
+});
+
+app.get('/api/boats/:id', requireRole('viewer'), async (req, res) => {
+    try {
+        const boat = await pool.query(
+            'SELECT id, sail_number, sail_key, created_at FROM boats WHERE id = $1',
+            [parseInt(req.params.id) || 0]
+        );
+        if (boat.rows.length === 0) {
+            return res.status(404).json({ error: 'Boat not found' });
+        }
+        const names = await pool.query(`
+            SELECT name, first_seen, last_seen, results
+            FROM boat_name_history
+            WHERE boat_id = $1
+            ORDER BY first_seen ASC NULLS FIRST, name
+        `, [boat.rows[0].id]);
+        const skippers = await pool.query(`
+            SELECT h.skipper_id, s.name, s.yacht_club, h.first_seen, h.last_seen, h.results
+            FROM boat_skipper_history h
+            JOIN skippers s ON s.id = h.skipper_id
+            WHERE h.boat_id = $1
+            ORDER BY h.first_seen ASC NULLS FIRST, s.name
+        `, [boat.rows[0].id]);
+        const count = row => ({ ...row, results: parseInt(row.results) });
+        res.json({ boat: boat.rows[0], names: names.rows.map(count), skippers: skippers.rows.map(count) });
+    } catch (error) {
+        console.error('Boat lookup error:', error);
+        res.status(500).json({ error: 'Failed to load boat', details: error.message });
+    }
+});
+
+// Scoring: check a race's stored results against RRS Appendix A, or rewrite
+// their positions and points from the per-race scores
+app.get('/api/races/:id/scoring', requireRole('viewer'), async (req, res) => {
+    try {
+        const scoring = await scoreStoredRace(parseInt(req.params.id) || 0, {
+            discards: req.query.discards,
+            tieBreak: req.query.tieBreak
+        });
+        res.json(scoring);
+    } catch (error) {
+        console.error('Race scoring error:', error);
+        res.status(error.status || 500).json({ error: 'Failed to score race', details: error.message });
+    }
+});
+
+app.post('/api/races/:id/rescore', audited('race.rescore'), requireRole('importer'), async (req, res) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const scoring = await scoreStoredRace(parseInt(req.params.id) || 0, {
+            discards: req.body.discards,
+            tieBreak: req.body.tieBreak
+        }, client);
+
+        // Marked as edited, so undoing the import they came from doesn't undo the rescore
+        for (const standing of scoring.standings) {
+            await client.query(
+                'UPDATE results SET position = $2, total_points = $3, race_scores = $4, edited_at = CURRENT_TIMESTAMP WHERE id = $1',
+                [standing.resultId, standing.position, standing.net, JSON.stringify(standing.races)]
+            );
+        }
+        await client.query('COMMIT');
+
+        console.log(`🧮 Rescored race ${scoring.race.id}: ${scoring.standings.length} results`);
+        auditRows(res, { resultsUpdated: scoring.standings.length });
+        res.json({ message: `Rescored ${scoring.standings.length} results`, ...scoring });
+        refreshRatings(`rescoring race ${scoring.race.id}`);
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Race rescore error:', error);
+        res.status(error.status || 500).json({ error: 'Failed to rescore race', details: error.message });
+    } finally {
+        client.release();
+    }
+});
+
+// Series: season standings across several regattas
+app.get('/api/series', requireRole('viewer'), async (req, res) => {
+    try {
+        const result = await pool.query(`
+            SELECT s.id, s.name, s.category, s.scoring_rule, s.discards, s.tie_break,
+                   (SELECT COUNT(*) FROM series_regattas sr WHERE sr.series_id = s.id) AS regattas
+            FROM series s
+            ORDER BY s.name ASC
+        `);
+        res.json({ series: result.rows.map(series => ({ ...series, regattas: parseInt(series.regattas) })) });
+    } catch (error) {
+        console.error('Series list error:', error);
+        res.status(500).json({ error: 'Failed to load series', details: error.message });
+    }
+});
+
+app.post('/api/series', audited('series.create'), requireRole('importer'), async (req, res) => {
+    const client = await pool.connect();
+    try {
+        const definition = readSeriesDefinition(req.body);
+        const existing = await findConflictingSeries(definition.name, null, client);
+        if (existing) {
+            return res.status(409).json({ error: 'Series already exists', details: `"${definition.name}" is series ${existing.id}` });
+        }
+
+        await client.query('BEGIN');
+        const created = await client.query(`
+            INSERT INTO series (name, category, scoring_rule, discards, tie_break)
+            VALUES ($1, $2, COALESCE($3, 'low_point'), $4, COALESCE($5, 'rrs'))
+            RETURNING id
+        `, [definition.name, definition.category || null, definition.scoringRule, definition.discards || null, definition.tieBreak]);
+        await setSeriesRegattas(client, created.rows[0].id, definition.regattaIds);
+        await client.query('COMMIT');
+
+        const series = await loadSeries(created.rows[0].id);
+        console.log(`🏆 Created series ${series.name} with ${series.regattas.length} regattas`);
+        auditRows(res, { seriesCreated: 1, regattasLinked: series.regattas.length });
+        res.status(201).json({ message: 'Series created', series });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Series create error:', error);
+        res.status(error.status || 500).json({ error: 'Failed to create series', details: error.message });
+    } finally {
+        client.release();
+    }
+});
+
+app.get('/api/series/:id', requireRole('viewer'), async (req, res) => {
+    try {
+        res.json({ series: await loadSeries(parseInt(req.params.id) || 0) });
+    } catch (error) {
+        console.error('Series lookup error:', error);
+        res.status(error.status || 500).json({ error: 'Failed to load series', details: error.message });
+    }
+});
+
+// Change a series' settings or its regattas (regattaIds replaces the list)
+app.patch('/api/series/:id', audited('series.update'), requireRole('importer'), async (req, res) => {
+    const seriesId = parseInt(req.params.id) || 0;
+    const client = await pool.connect();
+    try {
+        const definition = readSeriesDefinition(req.body, { partial: true });
+        if (definition.name) {
+            const existing = await findConflictingSeries(definition.name, seriesId, client);
+            if (existing) {
+                return res.status(409).json({ error: 'Series name in use', details: `"${definition.name}" is series ${existing.id}` });
+            }
+        }
+
+        await client.query('BEGIN');
+        const updated = await client.query(`
+            UPDATE series SET
+                name = COALESCE($2, name),
+                category = CASE WHEN $3 THEN $4 ELSE category END,
+                scoring_rule = COALESCE($5, scoring_rule),
+                discards = CASE WHEN $6 THEN $7 ELSE discards END,
+                tie_break = COALESCE($8, tie_break)
+            WHERE id = $1
+            RETURNING id
+        `, [
+            seriesId, definition.name || null,
+            'category' in definition, definition.category || null,
+            definition.scoringRule || null,
+            'discards' in definition, definition.discards || null,
+            definition.tieBreak || null
+        ]);
+        if (updated.rows.length === 0) {
+            throw Object.assign(new Error(`Series ${seriesId} not found`), { status: 404 });
+        }
+        if (definition.regattaIds) {
+            await setSeriesRegattas(client, seriesId, definition.regattaIds);
+        }
+        await client.query('COMMIT');
+        auditRows(res, { seriesUpdated: 1 });
+
+        res.json({ message: 'Series updated', series: await loadSeries(seriesId) });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Series update error:', error);
+        res.status(error.status || 500).json({ error: 'Failed to update series', details: error.message });
+    } finally {
+        client.release();
+    }
+});
+
+app.delete('/api/series/:id', audited('series.delete'), requireRole('importer'), async (req, res) => {
+    try {
+        const result = await pool.query('DELETE FROM series WHERE id = $1 RETURNING id, name', [parseInt(req.params.id) || 0]);
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Series not found' });
+        }
+        auditRows(res, { seriesDeleted: 1 });
+        res.json({ message: `Series ${result.rows[0].name} deleted` });
+    } catch (error) {
+        console.error('Series delete error:', error);
+        res.status(500).json({ error: 'Failed to delete series', details: error.message });
+    }
+});
+
+app.get('/api/series/:id/standings', requireRole('viewer'), async (req, res) => {
+    try {
+        const standings = await computeSeriesStandings(parseInt(req.params.id) || 0, {
+            discards: req.query.discards,
+            tieBreak: req.query.tieBreak
+        });
+        res.json(standings);
+    } catch (error) {
+        console.error('Series standings error:', error);
+        res.status(error.status || 500).json({ error: 'Failed to compute series standings', details: error.message });
+    }
+});
+
+// Editing skippers, races and results by hand. Text, dates, positions and
+// points are checked as /upload checks them (see validateRow). Updates and
+// deletes only go ahead if the record hasn't changed since the caller read it:
+// they send back its last_modified as lastModified, and get 409 with the
+// record as it is now when it no longer matches.
+
+function invalidEdit(message) {
+    return Object.assign(new Error(message), { status: 400 });
+}
+
+// A text field from an edit, trimmed (null when blank) and no longer than an
+// upload allows. key is its TEXT_FIELD_LIMITS key, for the label.
+function readEditText(value, key, { required = false } = {}) {
+    const { label } = TEXT_FIELD_LIMITS.find(field => field.key === key);
+    if (value !== null && value !== undefined && typeof value !== 'string' && typeof value !== 'number') {
+        throw invalidEdit(`${label} must be text`);
+    }
+    const text = trimmed(value) || null;
+    if (required && !text) {
+        throw invalidEdit(`${label} is required`);
+    }
+    if (text && text.length > MAX_FIELD_LENGTH) {
+        throw invalidEdit(`${label} too long (max ${MAX_FIELD_LENGTH} chars)`);
+    }
+    return text;
+}
+
+// Fields to create a record with, or with partial the ones given to change
+function readSkipperFields(body, { partial = false } = {}) {
+    const fields = {};
+    if (!partial || body.name !== undefined) {
+        fields.name = readEditText(body.name, 'skipper', { required: true });
+    }
+    if (!partial || body.yachtClub !== undefined) {
+        fields.yachtClub = readEditText(body.yachtClub, 'yachtClub');
+    }
+    return fields;
+}
+
+// A race is one fleet (category) at a regatta; the regatta's name, date and
+// venue are shared with its other fleets
+function readRaceFields(body, { partial = false } = {}) {
+    const fields = {};
+    if (!partial || body.regattaName !== undefined) {
+        fields.regattaName = readEditText(body.regattaName, 'regattaName', { required: true });
+    }
+    if (!partial || body.regattaDate !== undefined) {
+        const date = trimmed(body.regattaDate);
+        if (!date) {
+            throw invalidEdit('Date is required');
+        }
+        if (!parseDate(date)) {
+            throw invalidEdit(`Invalid date format: ${date}`);
+        }
+        fields.regattaDate = formatDate(parseDate(date));
+    }
+    if (!partial || body.venue !== undefined) {
+        fields.venue = readEditText(body.venue, 'venue');
+    }
+    if (!partial || body.category !== undefined) {
+        fields.category = readEditText(body.category, 'category');
+    }
+    return fields;
+}
+
+function readResultFields(body, { partial = false } = {}) {
+    const fields = {};
+    for (const [key, what] of [['raceId', 'race'], ['skipperId', 'skipper']]) {
+        if (!partial || body[key] !== undefined) {
+            fields[key] = Number(body[key]);
+            if (!Number.isInteger(fields[key]) || fields[key] < 1) {
+                throw invalidEdit(`${key} must be a ${what} id`);
+            }
+        }
+    }
+    if (!partial || body.boatName !== undefined) {
+        fields.boatName = readEditText(body.boatName, 'boatName');
+    }
+    if (!partial || body.sailNumber !== undefined) {
+        fields.sailNumber = readEditText(body.sailNumber, 'sailNumber');
+    }
+    if (!partial || body.position !== undefined) {
+        const position = trimmed(body.position);
+        if (positionProblem(position)) {
+            throw invalidEdit(`${positionProblem(position)}: ${position}`);
+        }
+        fields.position = position ? parseInt(position) : null;
+    }
+    if (!partial || body.totalPoints !== undefined) {
+        const totalPoints = trimmed(body.totalPoints);
+        if (totalPointsProblem(totalPoints)) {
+            throw invalidEdit(`${totalPointsProblem(totalPoints)}: ${totalPoints}`);
+        }
+        fields.totalPoints = totalPoints ? parseFloat(totalPoints) : null;
+    }
+    return fields;
+}
+
+// What the edit routes read and return. last_modified is text so it goes
+// back exactly as stored; a race's also changes with its regatta's.
+const EDITABLE_RECORDS = {
+    skipper: {
+        label: 'Skipper',
+        alias: 's',
+        lock: 's',
+        sql: `
+            SELECT s.id, s.name, s.yacht_club, s.club_id,
+                   (SELECT COUNT(*)::INT FROM results res WHERE res.skipper_id = s.id) AS results,
+                   s.last_modified::TEXT AS last_modified
+            FROM skippers s`
+    },
+    race: {
+        label: 'Race',
+        alias: 'r',
+        lock: 'r, rg',
+        sql: `
+            SELECT r.id, r.regatta_id, rg.name AS regatta_name, rg.regatta_date::TEXT AS regatta_date,
+                   rg.venue, r.category,
+                   (SELECT COUNT(*)::INT FROM results res WHERE res.race_id = r.id) AS results,
+                   GREATEST(r.last_modified, rg.last_modified)::TEXT AS last_modified
+            FROM races r
+            JOIN regattas rg ON r.regatta_id = rg.id`
+    },
+    result: {
+        label: 'Result',
+        alias: 'res',
+        lock: 'res',
+        sql: `
+            SELECT res.id, res.race_id, r.regatta_id, rg.name AS regatta_name,
+                   rg.regatta_date::TEXT AS regatta_date, r.category,
+                   res.skipper_id, s.name AS skipper_name, res.boat_id, res.boat_name, res.sail_number,
+                   res.position, res.total_points::FLOAT AS total_points,
+                   res.last_modified::TEXT AS last_modified
+            FROM results res
+            JOIN races r ON res.race_id = r.id
+            JOIN regattas rg ON r.regatta_id = rg.id
+            LEFT JOIN skippers s ON res.skipper_id = s.id`
+    }
+};
+
+// One record by id; lock holds it (and a race's regatta) until the transaction ends
+async function findRecord(client, kind, id, { lock = false } = {}) {
+    const { label, alias, sql } = EDITABLE_RECORDS[kind];
+    const result = await client.query(
+        `${sql} WHERE ${alias}.id = $1${lock ? ` FOR UPDATE OF ${EDITABLE_RECORDS[kind].lock}` : ''}`,
+        [id]
+    );
+    if (result.rows.length === 0) {
+        throw Object.assign(new Error(`${label} ${id} not found`), { status: 404 });
+    }
+    return result.rows[0];
+}
+
+// Refuse to change a record that was changed after the caller read it
+function checkLastModified(kind, record, lastModified) {
+    if (typeof lastModified !== 'string' || !lastModified.trim()) {
+        throw invalidEdit('lastModified is required: send back the last_modified you read, so changes made since are not overwritten');
+    }
+    if (lastModified.trim() !== record.last_modified) {
+        throw Object.assign(
+            new Error(`${EDITABLE_RECORDS[kind].label} ${record.id} was changed at ${record.last_modified}, after you read it; reload it and try again`),
+            { status: 409, current: record }
+        );
+    }
+}
+
+// DELETE requests may not carry a body, so lastModified can be a query parameter too
+function requestLastModified(req) {
+    return req.body?.lastModified ?? req.query.lastModified;
+}
+
+// Another skipper already going by a name, directly or as an alias
+async function findConflictingSkipper(name, skipperId = null, client = pool) {
+    const result = await client.query(`
+        SELECT s.id, s.name FROM skipper_aliases sa JOIN skippers s ON s.id = sa.skipper_id
+        WHERE sa.normalized_alias = normalize_skipper_name($1) AND s.id IS DISTINCT FROM $2
+        UNION ALL
+        SELECT s.id, s.name FROM skippers s
+        WHERE normalize_skipper_name(s.name) = normalize_skipper_name($1) AND s.id IS DISTINCT FROM $2
+        LIMIT 1
+    `, [name, skipperId]);
+    return result.rows[0] || null;
+}
+
+// The boat a sail number belongs to, added if it's new; null without a usable number
+async function findOrCreateBoat(client, sailNumber) {
+    if (!sailNumber) return null;
+    const found = await client.query('SELECT find_boat($1) AS id', [sailNumber]);
+    if (found.rows[0].id) return found.rows[0].id;
+    const created = await client.query(`
+        INSERT INTO boats (sail_number, sail_key)
+        SELECT $1, sail_key FROM (SELECT normalize_sail_number($1) AS sail_key) n
+        WHERE sail_key IS NOT NULL
+        ON CONFLICT (sail_key) DO UPDATE SET sail_key = EXCLUDED.sail_key
+        RETURNING id
+    `, [sailNumber]);
+    return created.rows[0]?.id ?? null;
+}
+
+// The regatta with this name and date, created if there isn't one; a venue
+// given is kept, as an import does
+async function findOrCreateRegatta(client, { regattaName, regattaDate, venue }) {
+    const result = await client.query(`
+        INSERT INTO regattas (name, regatta_date, venue)
+        VALUES ($1, $2, $3)
+        ON CONFLICT ((COALESCE(name, '')), (COALESCE(regatta_date, DATE '0001-01-01')))
+        DO UPDATE SET venue = COALESCE(EXCLUDED.venue, regattas.venue)
+        RETURNING id
+    `, [regattaName, regattaDate, venue]);
+    return result.rows[0].id;
+}
+
+// Races with their regatta; search matches the regatta name or venue, club
+// keeps races that club's skippers sailed
+function raceListQuery({ search = null, club = null, category = null, year = null }) {
+    return {
+        query: `${EDITABLE_RECORDS.race.sql}
+            WHERE ($1::TEXT IS NULL OR LOWER(rg.name) LIKE LOWER('%' || $1 || '%') OR LOWER(rg.venue) LIKE LOWER('%' || $1 || '%'))
+            AND ($2::TEXT IS NULL OR EXISTS (
+                SELECT 1 FROM results res JOIN skippers s ON res.skipper_id = s.id
+                WHERE res.race_id = r.id AND ${clubMatchSQL('$2')}
+            ))
+            AND ($3::TEXT IS NULL OR LOWER(r.category) = LOWER($3))
+            AND ${yearMatchSQL('$4')}
+        `,
+        params: [search, club, category, year]
+    };
+}
+
+const RACE_SORTS = {
+    date: [
+        { sql: `COALESCE(items.regatta_date, '')`, type: 'text' },
+        { sql: `LOWER(COALESCE(items.category, ''))`, type: 'text' }
+    ],
+    name: [{ sql: `LOWER(COALESCE(items.regatta_name, ''))`, type: 'text' }]
+};
+
+// Results across regattas; search matches the skipper, regatta the regatta name
+function resultListQuery({ search = null, club = null, category = null, year = null, regatta = null }) {
+    return {
+        query: `${EDITABLE_RECORDS.result.sql}
+            WHERE ($1::TEXT IS NULL OR ${skipperNameMatchSQL('$1')})
+            AND ($2::TEXT IS NULL OR ${clubMatchSQL('$2')})
+            AND ($3::TEXT IS NULL OR LOWER(r.category) = LOWER($3))
+            AND ${yearMatchSQL('$4')}
+            AND ($5::TEXT IS NULL OR LOWER(rg.name) LIKE LOWER('%' || $5 || '%'))
+        `,
+        params: [search, club, category, year, regatta]
+    };
+}
+
+const RESULT_LIST_SORTS = {
+    date: [{ sql: `COALESCE(items.regatta_date, '')`, type: 'text' }],
+    skipper: [{ sql: `LOWER(COALESCE(items.skipper_name, ''))`, type: 'text' }],
+    position: [{ sql: 'COALESCE(items.position, 2147483647)', type: 'int' }]
+};
+
+app.post('/api/skippers', audited('skipper.create'), requireRole('importer'), async (req, res) => {
+    let client = null;
+    try {
+        const fields = readSkipperFields(req.body);
+        const existing = await findConflictingSkipper(fields.name);
+        if (existing) {
+            return res.status(409).json({ error: 'Skipper already exists', details: `"${fields.name}" is skipper ${existing.id} (${existing.name})` });
+        }
+
+        client = await pool.connect();
+        await client.query('BEGIN');
+        // Linked to the club the name refers to, under its canonical name
+        const created = await client.query(`
+            INSERT INTO skippers (name, yacht_club, club_id)
+            VALUES ($1, COALESCE((SELECT name FROM clubs WHERE id = find_club($2::TEXT)), $2), find_club($2::TEXT))
+            RETURNING id
+        `, [fields.name, fields.yachtClub]);
+        const skipper = await findRecord(client, 'skipper', created.rows[0].id);
+        await client.query('COMMIT');
+
+        console.log(`✏️ Skipper ${skipper.id} (${skipper.name}) added by ${requestedBy(req)}`);
+        auditRows(res, { skippersCreated: 1 });
+        res.status(201).json({ message: 'Skipper created', skipper });
+    } catch (error) {
+        await rollbackQuietly(client);
+        console.error('Skipper create error:', error);
+        res.status(error.status || 500).json({ error: 'Failed to create skipper', details: error.message });
+    } finally {
+        client?.release();
+    }
+});
+
+app.patch('/api/skippers/:id(\\d+)', audited('skipper.update'), requireRole('importer'), async (req, res) => {
+    let client = null;
+    try {
+        const fields = readSkipperFields(req.body, { partial: true });
+        if (Object.keys(fields).length === 0) {
+            return res.status(400).json({ error: 'Nothing to change: give name or yachtClub' });
+        }
+
+        client = await pool.connect();
+        await client.query('BEGIN');
+        const skipper = await findRecord(client, 'skipper', parseInt(req.params.id), { lock: true });
+        checkLastModified('skipper', skipper, req.body.lastModified);
+        if (fields.name) {
+            const existing = await findConflictingSkipper(fields.name, skipper.id, client);
+            if (existing) {
+                throw Object.assign(new Error(`"${fields.name}" is skipper ${existing.id} (${existing.name}); merge the skippers instead`), { status: 409 });
+            }
+        }
+        await client.query(`
+            UPDATE skippers SET
+                name = COALESCE($2, name),
+                yacht_club = CASE WHEN $3 THEN COALESCE((SELECT name FROM clubs WHERE id = find_club($4::TEXT)), $4) ELSE yacht_club END,
+                club_id = CASE WHEN $3 THEN find_club($4::TEXT) ELSE club_id END,
+                edited_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+        `, [skipper.id, fields.name || null, 'yachtClub' in fields, fields.yachtClub]);
+        const updated = await findRecord(client, 'skipper', skipper.id);
+        await client.query('COMMIT');
+
+        console.log(`✏️ Skipper ${skipper.id} edited by ${requestedBy(req)}`);
+        auditRows(res, { skippersUpdated: 1 });
+        res.json({ message: 'Skipper updated', skipper: updated });
+    } catch (error) {
+        await rollbackQuietly(client);
+        console.error('Skipper update error:', error);
+        res.status(error.status || 500).json({ error: 'Failed to update skipper', details: error.message, current: error.current });
+    } finally {
+        client?.release();
+    }
+});
+
+// Only skippers without results; merge the others into the skipper they duplicate
+app.delete('/api/skippers/:id(\\d+)', audited('skipper.delete'), requireRole('importer'), async (req, res) => {
+    let client = null;
+    try {
+        client = await pool.connect();
+        await client.query('BEGIN');
+        const skipper = await findRecord(client, 'skipper', parseInt(req.params.id), { lock: true });
+        checkLastModified('skipper', skipper, requestLastModified(req));
+        if (skipper.results > 0) {
+            throw Object.assign(new Error(`${skipper.name} has ${skipper.results} results; merge them into another skipper or delete the results first`), { status: 409 });
+        }
+        await client.query('DELETE FROM skippers WHERE id = $1', [skipper.id]);
+        await client.query('COMMIT');
+
+        console.log(`✏️ Skipper ${skipper.id} (${skipper.name}) deleted by ${requestedBy(req)}`);
+        auditRows(res, { skippersDeleted: 1 });
+        res.json({ message: `Skipper ${skipper.name} deleted` });
+    } catch (error) {
+        await rollbackQuietly(client);
+        console.error('Skipper delete error:', error);
+        res.status(error.status || 500).json({ error: 'Failed to delete skipper', details: error.message, current: error.current });
+    } finally {
+        client?.release();
+    }
+});
+
+app.get('/api/races', requireRole('viewer'), async (req, res) => {
+    try {
+        const page = readPageOptions(req.query, RACE_SORTS, '-date');
+        const { rows, nextCursor } = await paginate(pool, raceListQuery(readListFilters(req.query)), page);
+        res.json({ races: rows, nextCursor });
+    } catch (error) {
+        console.error('Race list error:', error);
+        res.status(error.status || 500).json({ error: 'Failed to load races', details: error.message });
+    }
+});
+
+app.get('/api/races/:id(\\d+)', requireRole('viewer'), async (req, res) => {
+    try {
+        res.json({ race: await findRecord(pool, 'race', parseInt(req.params.id)) });
+    } catch (error) {
+        console.error('Race lookup error:', error);
+        res.status(error.status || 500).json({ error: 'Failed to load race', details: error.message });
+    }
+});
+
+// Add a fleet to a regatta, creating the regatta if there isn't one with that name and date
+app.post('/api/races', audited('race.create'), requireRole('importer'), async (req, res) => {
+    let client = null;
+    try {
+        const fields = readRaceFields(req.body);
+        client = await pool.connect();
+        await client.query('BEGIN');
+        const regattaId = await findOrCreateRegatta(client, fields);
+        const created = await client.query(
+            'INSERT INTO races (regatta_id, category) VALUES ($1, $2) RETURNING id',
+            [regattaId, fields.category]
+        );
+        const race = await findRecord(client, 'race', created.rows[0].id);
+        await client.query('COMMIT');
+
+        console.log(`✏️ Race ${race.id} added to ${race.regatta_name} by ${requestedBy(req)}`);
+        auditRows(res, { racesCreated: 1 });
+        res.status(201).json({ message: 'Race created', race });
+    } catch (error) {
+        await rollbackQuietly(client);
+        if (error.code === '23505') {
+            return res.status(409).json({ error: 'Race already exists', details: 'That regatta already has a race for this category' });
+        }
+        console.error('Race create error:', error);
+        res.status(error.status || 500).json({ error: 'Failed to create race', details: error.message });
+    } finally {
+        client?.release();
+    }
+});
+
+// Changing the regatta name, date or venue changes them for the regatta's other fleets too
+app.patch('/api/races/:id(\\d+)', audited('race.update'), requireRole('importer'), async (req, res) => {
+    let client = null;
+    try {
+        const fields = readRaceFields(req.body, { partial: true });
+        if (Object.keys(fields).length === 0) {
+            return res.status(400).json({ error: 'Nothing to change: give regattaName, regattaDate, venue or category' });
+        }
+
+        client = await pool.connect();
+        await client.query('BEGIN');
+        const race = await findRecord(client, 'race', parseInt(req.params.id), { lock: true });
+        checkLastModified('race', race, req.body.lastModified);
+        if ('regattaName' in fields || 'regattaDate' in fields || 'venue' in fields) {
+            await client.query(
+                'UPDATE regattas SET name = $2, regatta_date = $3, venue = $4, edited_at = CURRENT_TIMESTAMP WHERE id = $1',
+                [
+                    race.regatta_id,
+                    'regattaName' in fields ? fields.regattaName : race.regatta_name,
+                    'regattaDate' in fields ? fields.regattaDate : race.regatta_date,
+                    'venue' in fields ? fields.venue : race.venue
+                ]
+            );
+        }
+        if ('category' in fields) {
+            await client.query('UPDATE races SET category = $2 WHERE id = $1', [race.id, fields.category]);
+        }
+        const updated = await findRecord(client, 'race', race.id);
+        await client.query('COMMIT');
+
+        console.log(`✏️ Race ${race.id} edited by ${requestedBy(req)}`);
+        auditRows(res, { racesUpdated: 1 });
+        res.json({ message: 'Race updated', race: updated });
+        // In the background: an old regatta means replaying every race since
+        refreshRatings(`editing race ${race.id}`);
+    } catch (error) {
+        await rollbackQuietly(client);
+        if (error.code === '23505') {
+            return res.status(409).json({ error: 'Race already exists', details: 'Another regatta has that name and date, or this regatta already has a race for that category' });
+        }
+        console.error('Race update error:', error);
+        res.status(error.status || 500).json({ error: 'Failed to update race', details: error.message, current: error.current });
+    } finally {
+        client?.release();
+    }
+});
+
+// Only races without results. A regatta left without races goes too, unless
+// a series includes it.
+app.delete('/api/races/:id(\\d+)', audited('race.delete'), requireRole('importer'), async (req, res) => {
+    let client = null;
+    try {
+        client = await pool.connect();
+        await client.query('BEGIN');
+        const race = await findRecord(client, 'race', parseInt(req.params.id), { lock: true });
+        checkLastModified('race', race, requestLastModified(req));
+        if (race.results > 0) {
+            throw Object.assign(new Error(`Race ${race.id} has ${race.results} results; delete them first`), { status: 409 });
+        }
+        await client.query('DELETE FROM races WHERE id = $1', [race.id]);
+        const regattas = await client.query(`
+            DELETE FROM regattas rg
+            WHERE rg.id = $1
+            AND NOT EXISTS (SELECT 1 FROM races r WHERE r.regatta_id = rg.id)
+            AND NOT EXISTS (SELECT 1 FROM series_regattas sr WHERE sr.regatta_id = rg.id)
+        `, [race.regatta_id]);
+        await client.query('COMMIT');
+
+        console.log(`✏️ Race ${race.id} deleted by ${requestedBy(req)}`);
+        auditRows(res, { racesDeleted: 1, regattasDeleted: regattas.rowCount });
+        res.json({ message: `Race ${race.id} deleted`, regattaDeleted: regattas.rowCount > 0 });
+    } catch (error) {
+        await rollbackQuietly(client);
+        console.error('Race delete error:', error);
+        res.status(error.status || 500).json({ error: 'Failed to delete race', details: error.message, current: error.current });
+    } finally {
+        client?.release();
+    }
+});
+
+app.get('/api/results', requireRole('viewer'), async (req, res) => {
+    try {
+        const page = readPageOptions(req.query, RESULT_LIST_SORTS, '-date');
+        const filters = readListFilters(req.query);
+        const regatta = typeof req.query.regatta === 'string' && req.query.regatta.trim() ? req.query.regatta.trim() : null;
+        const { rows, nextCursor } = await paginate(pool, resultListQuery({ ...filters, regatta }), page);
+        res.json({ results: rows, nextCursor });
+    } catch (error) {
+        console.error('Result list error:', error);
+        res.status(error.status || 500).json({ error: 'Failed to load results', details: error.message });
+    }
+});
+
+app.get('/api/results/:id(\\d+)', requireRole('viewer'), async (req, res) => {
+    try {
+        res.json({ result: await findRecord(pool, 'result', parseInt(req.params.id)) });
+    } catch (error) {
+        console.error('Result lookup error:', error);
+        res.status(error.status || 500).json({ error: 'Failed to load result', details: error.message });
+    }
+});
+
+// The race and skipper a result is for must exist
+async function checkResultReferences(client, { raceId, skipperId }) {
+    for (const [id, table, key] of [[raceId, 'races', 'raceId'], [skipperId, 'skippers', 'skipperId']]) {
+        if (id === undefined) continue;
+        const found = await client.query(`SELECT 1 FROM ${table} WHERE id = $1`, [id]);
+        if (found.rows.length === 0) {
+            throw invalidEdit(`${key} ${id} does not exist`);
+        }
+    }
+}
+
+app.post('/api/results', audited('result.create'), requireRole('importer'), async (req, res) => {
+    let client = null;
+    try {
+        const fields = readResultFields(req.body);
+        client = await pool.connect();
+        await client.query('BEGIN');
+        await checkResultReferences(client, fields);
+        const created = await client.query(`
+            INSERT INTO results (race_id, skipper_id, boat_id, boat_name, sail_number, position, total_points)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+            RETURNING id
+        `, [
+            fields.raceId, fields.skipperId, await findOrCreateBoat(client, fields.sailNumber),
+            fields.boatName, fields.sailNumber, fields.position, fields.totalPoints
+        ]);
+        const result = await findRecord(client, 'result', created.rows[0].id);
+        await client.query('COMMIT');
+
+        console.log(`✏️ Result ${result.id} added by ${requestedBy(req)}`);
+        auditRows(res, { resultsCreated: 1 });
+        res.status(201).json({ message: 'Result created', result });
+        refreshRatings(`adding result ${result.id}`);
+    } catch (error) {
+        await rollbackQuietly(client);
+        if (error.code === '23505') {
+            return res.status(409).json({ error: 'Result already exists', details: 'That skipper already has a result in this race' });
+        }
+        console.error('Result create error:', error);
+        res.status(error.status || 500).json({ error: 'Failed to create result', details: error.message });
+    } finally {
+        client?.release();
+    }
+});
+
+app.patch('/api/results/:id(\\d+)', audited('result.update'), requireRole('importer'), async (req, res) => {
+    let client = null;
+    try {
+        const fields = readResultFields(req.body, { partial: true });
+        if (Object.keys(fields).length === 0) {
+            return res.status(400).json({ error: 'Nothing to change: give raceId, skipperId, boatName, sailNumber, position or totalPoints' });
+        }
+
+        client = await pool.connect();
+        await client.query('BEGIN');
+        const result = await findRecord(client, 'result', parseInt(req.params.id), { lock: true });
+        checkLastModified('result', result, req.body.lastModified);
+        await checkResultReferences(client, fields);
+        const changed = {
+            race_id: fields.raceId ?? result.race_id,
+            skipper_id: fields.skipperId ?? result.skipper_id,
+            boat_name: 'boatName' in fields ? fields.boatName : result.boat_name,
+            sail_number: 'sailNumber' in fields ? fields.sailNumber : result.sail_number,
+            position: 'position' in fields ? fields.position : result.position,
+            total_points: 'totalPoints' in fields ? fields.totalPoints : result.total_points
+        };
+        // A new sail number may mean another boat
+        const boatId = 'sailNumber' in fields ? await findOrCreateBoat(client, fields.sailNumber) : result.boat_id;
+        await client.query(`
+            UPDATE results SET race_id = $2, skipper_id = $3, boat_id = $4, boat_name = $5,
+                sail_number = $6, position = $7, total_points = $8, edited_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+        `, [
+            result.id, changed.race_id, changed.skipper_id, boatId, changed.boat_name,
+            changed.sail_number, changed.position, changed.total_points
+        ]);
+        const updated = await findRecord(client, 'result', result.id);
+        await client.query('COMMIT');
+
+        console.log(`✏️ Result ${result.id} edited by ${requestedBy(req)}`);
+        auditRows(res, { resultsUpdated: 1 });
+        res.json({ message: 'Result updated', result: updated });
+        refreshRatings(`editing result ${result.id}`);
+    } catch (error) {
+        await rollbackQuietly(client);
+        if (error.code === '23505') {
+            return res.status(409).json({ error: 'Result already exists', details: 'That skipper already has a result in this race' });
+        }
+        console.error('Result update error:', error);
+        res.status(error.status || 500).json({ error: 'Failed to update result', details: error.message, current: error.current });
+    } finally {
+        client?.release();
+    }
+});
+
+app.delete('/api/results/:id(\\d+)', audited('result.delete'), requireRole('importer'), async (req, res) => {
+    let client = null;
+    try {
+        client = await pool.connect();
+        await client.query('BEGIN');
+        const result = await findRecord(client, 'result', parseInt(req.params.id), { lock: true });
+        checkLastModified('result', result, requestLastModified(req));
+        await client.query('DELETE FROM results WHERE id = $1', [result.id]);
+        await client.query('COMMIT');
+
+        console.log(`✏️ Result ${result.id} deleted by ${requestedBy(req)}`);
+        auditRows(res, { resultsDeleted: 1 });
+        res.json({ message: `Result ${result.id} deleted` });
+        refreshRatings(`deleting result ${result.id}`);
+    } catch (error) {
+        await rollbackQuietly(client);
+        console.error('Result delete error:', error);
+        res.status(error.status || 500).json({ error: 'Failed to delete result', details: error.message, current: error.current });
+    } finally {
+        client?.release();
+    }
+});
+
+// Backups: copies of the results tables kept in the database as
+// backup_<stamp>_<table>, listed in the backups table
+
+// The tables a backup holds, parents before the rows that reference them.
+// Accounts, API tokens and mapping profiles aren't results; backups and
+// restores leave them alone.
+const BACKUP_TABLES = [
+    'import_batches', 'imported_files', 'clubs', 'club_aliases', 'skippers', 'skipper_aliases', 'boats',
+    'regattas', 'races', 'results', 'import_batch_revisions', 'import_batch_skipper_revisions',
+    'import_batch_regatta_revisions', 'series', 'series_regattas', 'skipper_rating_history'
+];
+
+// A backup without these can't be restored, e.g. the races and results
+// copies the migrations keep
+const RESTORE_REQUIRED_TABLES = ['skippers', 'regattas', 'races', 'results'];
+
+// Retention policy applied after every new backup when set: keep the newest
+// BACKUP_KEEP backups, and delete older ones past BACKUP_MAX_AGE_DAYS
+const BACKUP_RETENTION = {
+    keep: parseInt(process.env.BACKUP_KEEP) || null,
+    maxAgeDays: parseInt(process.env.BACKUP_MAX_AGE_DAYS) || null
+};
+
+function backupStamp() {
+    return new Date().toISOString().replace(/[^0-9]/g, '');
+}
+
+// Who to record against a backup: the user, or the address of an anonymous caller
+function requestedBy(req) {
+    return req.user ? req.user.username : req.ip;
+}
 
-            case "boat_search":
-                if (result.rows.length === 0) {
-                    message = `I couldn't find any boats matching "${analysis.boatName}". Try a different name or partial name.`;
-                } else {
-                    message = `Found ${result.rows.length} match(es). `;
-                    if (result.rows.length === 1) {
-                        const boat = result.rows[0];
-                        message += `${boat.boat_name} is a boat. `;
-                        message += `It is skippered by ${boat.skipper_name} from ${boat.yacht_club || 'unknown club'}. `;
-                        message += `It has competed in ${boat.total_races} races with ${boat.wins} wins. `;
-                        if (boat.best_position) {
-                            message += `Best finish: ${boat.best_position}${boat.best_position === 1 ? 'st' : 'th'} place.`;
-                        }
-                    }
-                }
-                break;
+// What the API shows of a backups row; tables maps each table to its row count
+function backupSummary(row) {
+    const tables = Object.fromEntries(Object.entries(row.tables).map(([table, copy]) => [table, copy.rows]));
+    return {
+        id: row.id,
+        label: row.label,
+        reason: row.reason,
+        created_by: row.created_by,
+        created_at: row.created_at,
+        tables,
+        total_rows: Object.values(tables).reduce((sum, rows) => sum + rows, 0),
+        restorable: RESTORE_REQUIRED_TABLES.every(table => row.tables[table])
+    };
+}
 
-            case "top_sailors":
-                if (result.rows.length === 0) {
-                    message = `I couldn't find any sailors from "${analysis.yachtClub}".`;
-                } else {
-                    message = `Top ${result.rows.length} sailors from ${analysis.yachtClub}:\n`;
-                    result.rows.forEach((sailor, index) => {
-                        message += `\n${index + 1}. ${sailor.skipper_name}: ${sailor.wins} wins from ${sailor.total_races} races`;
-                        message += ` (best: ${sailor.best_position}${sailor.best_position === 1 ? 'st' : 'th'} place)`;
-                    });
-                }
-                break;
+async function findBackup(client, id) {
+    const result = await client.query('SELECT * FROM backups WHERE id = $1', [id]);
+    if (result.rows.length === 0) {
+        throw Object.assign(new Error(`Backup ${id} not found`), { status: 404 });
+    }
+    return result.rows[0];
+}
 
-            case "regatta_results":
-                if (result.rows.length === 0) {
-                    message = `I couldn't find any results for "${analysis.regattaName}".`;
-                } else {
-                    const regatta = result.rows[0];
-                    message = `Results for ${regatta.regatta_name} (${new Date(regatta.regatta_date).toLocaleDateString()}):\n`;
-                    result.rows.forEach((row, index) => {
-                        message += `\n${row.position}${row.position === 1 ? 'st' : 'th'}: ${row.skipper_name}`;
-                        if (row.boat_name) message += ` on ${row.boat_name}`;
-                        if (row.yacht_club) message += ` (${row.yacht_club})`;
-                    });
-                }
-                break;
+// Copy the results tables into a new backup. Runs on the caller's client so
+// clearing or restoring backs up in the same transaction.
+async function createBackup(client, { label = null, reason = 'manual', createdBy = null } = {}) {
+    const stamp = backupStamp();
+    const tables = {};
+    for (const table of BACKUP_TABLES) {
+        const copy = `backup_${stamp}_${table}`;
+        const result = await client.query(`CREATE TABLE ${copy} AS SELECT * FROM ${table}`);
+        tables[table] = { table: copy, rows: result.rowCount };
+    }
+    const result = await client.query(`
+        INSERT INTO backups (label, reason, tables, created_by)
+        VALUES ($1, $2, $3, $4)
+        RETURNING *
+    `, [label, reason, JSON.stringify(tables), createdBy]);
+    return result.rows[0];
+}
+
+// The columns of a backup copy, and whether a restore writes each one: not
+// generated columns, nor ones the live table no longer has
+async function backupColumns(client, table, copy) {
+    const result = await client.query(`
+        SELECT b.column_name AS name,
+               COALESCE(l.is_generated = 'NEVER', FALSE) AS restorable
+        FROM information_schema.columns b
+        LEFT JOIN information_schema.columns l
+            ON l.table_schema = b.table_schema AND l.table_name = $2 AND l.column_name = b.column_name
+        WHERE b.table_schema = current_schema() AND b.table_name = $1
+        ORDER BY b.ordinal_position
+    `, [copy, table]);
+    return result.rows;
+}
+
+// Backup tables whose id comes from a sequence, which a restore has to move
+// past the restored ids
+async function serialBackupTables(client) {
+    const result = await client.query(`
+        SELECT table_name FROM information_schema.columns
+        WHERE table_schema = current_schema() AND table_name = ANY($1)
+        AND column_name = 'id' AND column_default LIKE 'nextval(%'
+    `, [BACKUP_TABLES]);
+    return new Set(result.rows.map(row => row.table_name));
+}
 
-            default:
-                message = result.rows.length === 0 ? 
-                    'No results found for your query.' : 
-                    `Found ${result.rows.length} results.`;
+/**
+ * Replace the results tables with a backup's copies. The current data is
+ * backed up first; tables the backup predates are left empty, and new ids
+ * carry on after the restored ones.
+ *
+ * Returns { backup, safetyBackup, restored } with restored counting the rows
+ * put back in each table.
+ */
+async function restoreBackup(id, createdBy) {
+    let client = null;
+    try {
+        client = await pool.connect();
+        await client.query('BEGIN');
+        const backup = await findBackup(client, id);
+        const missing = RESTORE_REQUIRED_TABLES.filter(table => !backup.tables[table]);
+        if (missing.length > 0) {
+            throw Object.assign(new Error(`Backup ${id} has no copy of ${missing.join(', ')}, so it can't be restored`), { status: 409 });
         }
 
-        res.json({
-            message,
-            data: result.rows
+        const safetyBackup = await createBackup(client, { label: `Before restoring backup ${id}`, reason: 'restore', createdBy });
+
+        await client.query(`TRUNCATE ${BACKUP_TABLES.join(', ')}`);
+        const restored = {};
+        for (const table of BACKUP_TABLES) {
+            const copy = backup.tables[table];
+            if (!copy) continue;
+            const columns = (await backupColumns(client, table, copy.table))
+                .filter(column => column.restorable)
+                .map(column => `"${column.name}"`)
+                .join(', ');
+            const result = await client.query(`INSERT INTO ${table} (${columns}) SELECT ${columns} FROM ${copy.table}`);
+            restored[table] = result.rowCount;
+        }
+        for (const table of await serialBackupTables(client)) {
+            await client.query(
+                `SELECT setval(pg_get_serial_sequence($1, 'id'), COALESCE(MAX(id), 0) + 1, false) FROM ${table}`,
+                [table]
+            );
+        }
+
+        await client.query('COMMIT');
+        return { backup, safetyBackup, restored };
+    } catch (error) {
+        await rollbackQuietly(client);
+        throw error;
+    } finally {
+        client?.release();
+    }
+}
+
+async function dropBackup(client, backup) {
+    for (const copy of Object.values(backup.tables)) {
+        await client.query(`DROP TABLE IF EXISTS ${copy.table}`);
+    }
+    await client.query('DELETE FROM backups WHERE id = $1', [backup.id]);
+}
+
+// Read a retention policy from a request, falling back to BACKUP_KEEP and
+// BACKUP_MAX_AGE_DAYS; throws with status 400 when there's none
+function readRetention(body) {
+    const policy = {};
+    for (const key of ['keep', 'maxAgeDays']) {
+        const value = body[key] ?? BACKUP_RETENTION[key];
+        if (value === null || value === '') {
+            policy[key] = null;
+            continue;
+        }
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < 1) {
+            throw Object.assign(new Error(`${key} must be a whole number of at least 1`), { status: 400 });
+        }
+        policy[key] = number;
+    }
+    if (!policy.keep && !policy.maxAgeDays) {
+        throw Object.assign(new Error('Give keep, maxAgeDays or both, or set BACKUP_KEEP or BACKUP_MAX_AGE_DAYS'), { status: 400 });
+    }
+    return policy;
+}
+
+/**
+ * Delete the backups a retention policy doesn't keep: all but the newest
+ * keep, and of those only ones older than maxAgeDays when that is set.
+ * With dryRun nothing is deleted.
+ *
+ * Resolves to the summaries of the backups deleted (or that would be).
+ */
+async function pruneBackups({ keep = null, maxAgeDays = null, dryRun = false }) {
+    let client = null;
+    try {
+        client = await pool.connect();
+        await client.query('BEGIN');
+        const expired = await client.query(`
+            SELECT * FROM (
+                SELECT *, ROW_NUMBER() OVER (ORDER BY created_at DESC, id DESC) AS newest
+                FROM backups
+            ) ranked
+            WHERE newest > $1
+            AND ($2::INTEGER IS NULL OR created_at < CURRENT_TIMESTAMP - $2 * INTERVAL '1 day')
+            ORDER BY created_at, id
+        `, [keep || 0, maxAgeDays]);
+        if (!dryRun) {
+            for (const backup of expired.rows) {
+                await dropBackup(client, backup);
+            }
+        }
+        await client.query('COMMIT');
+        return expired.rows.map(backupSummary);
+    } catch (error) {
+        await rollbackQuietly(client);
+        throw error;
+    } finally {
+        client?.release();
+    }
+}
+
+// Apply the configured retention policy after a new backup. The backup is
+// already made, so a failure here only warns.
+async function applyBackupRetention() {
+    if (!BACKUP_RETENTION.keep && !BACKUP_RETENTION.maxAgeDays) return;
+    try {
+        const pruned = await pruneBackups(BACKUP_RETENTION);
+        if (pruned.length > 0) {
+            console.log(`🧹 Pruned ${pruned.length} backups past the retention policy`);
+            await writeAudit({ action: 'backup.prune', params: BACKUP_RETENTION, rows: { backupsDeleted: pruned.length } });
+        }
+    } catch (error) {
+        console.warn('⚠️ Failed to prune backups:', error.message);
+    }
+}
+
+// A backup's copies as lib/backup-files.js writes them: each row as JSON
+// text, in restore order
+async function loadBackupFileTables(backup) {
+    const serial = await serialBackupTables(pool);
+    const tables = [];
+    for (const table of BACKUP_TABLES) {
+        const copy = backup.tables[table];
+        if (!copy) continue;
+        const columns = await backupColumns(pool, table, copy.table);
+        const rows = await pool.query(`SELECT row_to_json(b)::TEXT AS row FROM ${copy.table} b`);
+        tables.push({
+            name: table,
+            columns: columns.filter(column => column.restorable).map(column => column.name),
+            rows: rows.rows.map(row => row.row),
+            serial: serial.has(table)
         });
+    }
+    return tables;
+}
+
+/**
+ * Store the tables of an uploaded backup file as a new backup. Only tables a
+ * backup holds are accepted, and only the columns the live tables have are
+ * kept. Restoring it is a separate step.
+ */
+async function importBackupFile(tables, { label, createdBy }) {
+    const unknown = Object.keys(tables).filter(table => !BACKUP_TABLES.includes(table));
+    if (unknown.length > 0) {
+        throw Object.assign(new Error(`Not tables a backup holds: ${unknown.join(', ')}`), { status: 400 });
+    }
+    if (Object.keys(tables).length === 0) {
+        throw Object.assign(new Error('The backup file has no tables'), { status: 400 });
+    }
+
+    let client = null;
+    try {
+        client = await pool.connect();
+        await client.query('BEGIN');
+        const stamp = backupStamp();
+        const copies = {};
+        for (const table of BACKUP_TABLES) {
+            const rows = tables[table];
+            if (!rows) continue;
+            const present = new Set(rows.flatMap(row => Object.keys(row)));
+            const live = await client.query(`
+                SELECT column_name FROM information_schema.columns
+                WHERE table_schema = current_schema() AND table_name = $1
+                ORDER BY ordinal_position
+            `, [table]);
+            // An empty table keeps every column, so it restores as empty
+            const columns = live.rows
+                .map(row => row.column_name)
+                .filter(column => rows.length === 0 || present.has(column))
+                .map(column => `"${column}"`)
+                .join(', ');
 
+            const copy = `backup_${stamp}_${table}`;
+            await client.query(`CREATE TABLE ${copy} AS SELECT ${columns} FROM ${table} WITH NO DATA`);
+            for (let i = 0; i < rows.length; i += 1000) {
+                await client.query(
+                    `INSERT INTO ${copy} (${columns}) SELECT ${columns} FROM json_populate_recordset(NULL::${copy}, $1)`,
+                    [JSON.stringify(rows.slice(i, i + 1000))]
+                );
+            }
+            copies[table] = { table: copy, rows: rows.length };
+        }
+        const result = await client.query(`
+            INSERT INTO backups (label, reason, tables, created_by)
+            VALUES ($1, 'upload', $2, $3)
+            RETURNING *
+        `, [label, JSON.stringify(copies), createdBy]);
+        await client.query('COMMIT');
+        return result.rows[0];
     } catch (error) {
-        console.error('Chat error:', error);
-        res.status(500).json({ 
-            error: 'Failed to process your question',
-            details: error.message
+        await rollbackQuietly(client);
+        // Values that don't fit the columns are a problem with the file
+        if (/^22/.test(error.code || '')) {
+            error.status = 400;
+        }
+        throw error;
+    } finally {
+        client?.release();
+    }
+}
+
+// Parse the date in a backup stamp (YYYYMMDDHHMMSSmmm, UTC)
+function stampDate(stamp) {
+    const [, year, month, day, hours, minutes, seconds, ms] =
+        stamp.match(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})(\d{3})/) || [];
+    return year ? new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds, ms)) : new Date();
+}
+
+// List backup tables made before the backups table: backup_<stamp>_<table>
+// from the old backup button, and <table>_backup_<stamp> from clearing the
+// database and from the migrations. Each stamp becomes one backup.
+async function adoptLegacyBackups() {
+    const result = await pool.query(`
+        SELECT table_name FROM information_schema.tables
+        WHERE table_schema = current_schema() AND table_type = 'BASE TABLE'
+        AND (table_name ~ '^backup_[0-9]+_' OR table_name ~ '_backup_[0-9]+$')
+        AND table_name NOT IN (SELECT copy.value->>'table' FROM backups, jsonb_each(backups.tables) copy)
+        ORDER BY table_name
+    `);
+
+    const stamps = new Map();
+    for (const { table_name: name } of result.rows) {
+        const newer = name.match(/^backup_(\d+)_([a-z_]+)$/);
+        const older = name.match(/^([a-z_]+)_backup_(\d+)$/);
+        const [stamp, table] = newer ? [newer[1], newer[2]] : older ? [older[2], older[1]] : [];
+        if (!BACKUP_TABLES.includes(table)) continue;
+        if (!stamps.has(stamp)) stamps.set(stamp, {});
+        const count = await pool.query(`SELECT COUNT(*) AS rows FROM ${name}`);
+        stamps.get(stamp)[table] = { table: name, rows: parseInt(count.rows[0].rows) };
+    }
+
+    for (const [stamp, tables] of stamps) {
+        await pool.query(`
+            INSERT INTO backups (label, reason, tables, created_at)
+            VALUES ('Made before backups were listed', 'legacy', $1, $2)
+        `, [JSON.stringify(tables), stampDate(stamp)]);
+    }
+    if (stamps.size > 0) {
+        console.log(`💾 Listed ${stamps.size} older backups`);
+    }
+}
+
+app.get('/api/backups', requireRole('admin'), async (req, res) => {
+    try {
+        const result = await pool.query('SELECT * FROM backups ORDER BY created_at DESC, id DESC');
+        res.json({
+            backups: result.rows.map(backupSummary),
+            restoreEnabled: ENABLE_DB_WIPE,
+            retention: BACKUP_RETENTION
         });
+    } catch (error) {
+        console.error('Backup list error:', error);
+        res.status(500).json({ error: 'Failed to list backups', details: error.message });
+    }
+});
+
+app.post('/api/backups', audited('backup.create'), requireRole('admin'), async (req, res) => {
+    const label = typeof req.body.label === 'string' ? req.body.label.trim() || null : null;
+    let client = null;
+    try {
+        client = await pool.connect();
+        await client.query('BEGIN');
+        const backup = await createBackup(client, { label, createdBy: requestedBy(req) });
+        await client.query('COMMIT');
+        console.log(`💾 Backup ${backup.id} created by ${backup.created_by}`);
+        auditRows(res, { backupId: backup.id, ...backupSummary(backup).tables });
+        res.status(201).json({ message: 'Backup created', backup: backupSummary(backup) });
+        applyBackupRetention();
+    } catch (error) {
+        await rollbackQuietly(client);
+        console.error('Backup error:', error);
+        res.status(500).json({ error: 'Failed to create backup', details: error.message });
+    } finally {
+        client?.release();
     }
 });
 
-// 2. File upload route
-app.post('/upload', upload.single('file'), async (req, res) => {
+// Upload a backup file written by the download below; it is added to the
+// list to restore like any other
+app.post('/api/backups/upload', audited('backup.upload'), requireRole('admin'), upload.single('file'), async (req, res) => {
     if (!req.file) {
         return res.status(400).json({ error: 'No file uploaded' });
     }
+    try {
+        const { meta, tables } = parseBackupFile(await fs.promises.readFile(req.file.path, 'utf8'));
+        const label = (typeof req.body.label === 'string' && req.body.label.trim()) ||
+            meta.label || `Uploaded ${req.file.originalname}`;
+        const backup = await importBackupFile(tables, { label, createdBy: requestedBy(req) });
+        console.log(`💾 Backup ${backup.id} uploaded from ${req.file.originalname}`);
+        auditRows(res, { backupId: backup.id, ...backupSummary(backup).tables });
+        res.status(201).json({ message: 'Backup uploaded', backup: backupSummary(backup) });
+        applyBackupRetention();
+    } catch (error) {
+        console.error('Backup upload error:', error);
+        res.status(error.status || 500).json({ error: 'Failed to upload backup', details: error.message });
+    } finally {
+        fs.unlink(req.file.path, () => {});
+    }
+});
 
-    console.log('Starting file upload process');
+// Preview with dryRun: true, which lists what would go without deleting it
+app.post('/api/backups/prune', audited('backup.prune'), requireRole('admin'), async (req, res) => {
     try {
-        const results = [];
-        let lineNumber = 1; // Track header row
-        fs.createReadStream(req.file.path)
-            .pipe(parse({
-                columns: true,
-                skip_empty_lines: true,
-                trim: true
-            }))
-            .on('data', (data) => {
-                lineNumber++; // Increment for each data row
-                data._lineNumber = lineNumber; // Store line number with row data
-                results.push(data);
-            })
-            .on('end', async () => {
-                console.log(`Parsed ${results.length} rows from CSV`);
-                try {
-                    // Validate CSV structure
-                    if (results.length === 0) {
-                        throw new Error('CSV file is empty');
-                    }
+        const policy = readRetention(req.body);
+        const dryRun = req.body.dryRun === true;
+        const pruned = await pruneBackups({ ...policy, dryRun });
+        if (dryRun) {
+            res.locals.audit = null;
+        } else if (pruned.length > 0) {
+            console.log(`🧹 ${requestedBy(req)} pruned ${pruned.length} backups`);
+        }
+        auditRows(res, { backupsDeleted: pruned.length });
+        res.json({
+            message: dryRun ? `${pruned.length} backups would be deleted` : `${pruned.length} backups deleted`,
+            policy,
+            dryRun,
+            pruned
+        });
+    } catch (error) {
+        console.error('Backup prune error:', error);
+        res.status(error.status || 500).json({ error: 'Failed to prune backups', details: error.message });
+    }
+});
 
-                    // Validate required columns and data
-                    for (const row of results) {
-                        try {
-                            const rowNum = row._lineNumber;
-                            if (!row.Regatta_Name?.trim()) {
-                                throw new Error(`Missing Regatta Name in row ${rowNum}`);
-                            }
-                            if (!row.Skipper?.trim()) {
-                                throw new Error(`Missing Skipper in row ${rowNum}`);
-                            }
-                            if (!row.Regatta_Date?.trim()) {
-                                throw new Error(`Missing Date in row ${rowNum}`);
-                            }
-
-                            // Validate date
-                            const dateStr = row.Regatta_Date.trim();
-                            let parsedDate;
-                            if (dateStr.includes('/')) {
-                                const [month, day, year] = dateStr.split('/');
-                                parsedDate = new Date(year, month - 1, day);
-                            } else if (dateStr.includes('-')) {
-                                parsedDate = new Date(dateStr);
-                            } else if (dateStr.match(/[A-Za-z]+/)) {
-                                parsedDate = new Date(dateStr);
-                                if (isNaN(parsedDate.getTime())) {
-                                    const match = dateStr.match(/([A-Za-z]+)\s+(\d+),?\s+(\d{4})/);
-                                    if (match) {
-                                        const [_, month, day, year] = match;
-                                        parsedDate = new Date(`${month} ${day}, ${year}`);
-                                    }
-                                }
-                            }
-                            if (isNaN(parsedDate?.getTime())) {
-                                throw new Error(`Invalid date format in row ${rowNum}: ${dateStr}`);
-                            }
-                        } catch (rowError) {
-                            // Add line number context to error if not already present
-                            const errorMessage = rowError.message.includes('row') 
-                                ? rowError.message 
-                                : `Error in row ${row._lineNumber}: ${rowError.message}`;
-                            throw new Error(errorMessage);
-                        }
-                    }
+app.get('/api/backups/:id(\\d+)', requireRole('admin'), async (req, res) => {
+    try {
+        const backup = await findBackup(pool, parseInt(req.params.id));
+        res.json({ backup: backupSummary(backup) });
+    } catch (error) {
+        console.error('Backup lookup error:', error);
+        res.status(error.status || 500).json({ error: 'Failed to load backup', details: error.message });
+    }
+});
 
-                    // Bulk insert all data
-                    try {
-                        const rowsInserted = await bulkInsertData(results);
-                        // Clean up
-                        fs.unlinkSync(req.file.path);
-                        console.log('Upload completed successfully');
-
-                        res.json({
-                            message: 'Regatta results successfully imported',
-                            rowsImported: rowsInserted
-                        });
-                    } catch (dbError) {
-                        // Try to identify which row caused the database error
-                        const errorRow = extractRowNumberFromError(dbError.message);
-                        const errorMessage = errorRow 
-                            ? `Database error on row ${errorRow}: ${dbError.message}`
-                            : dbError.message;
-                        throw new Error(errorMessage);
-                    }
-                } catch (error) {
-                    console.error('Upload error:', error);
-                    res.status(500).json({ 
-                        error: 'Upload failed',
-                        details: error.message
-                    });
-                }
-            });
+// The backup as a file: ?format=json (default) or sql
+app.get('/api/backups/:id(\\d+)/download', requireRole('admin'), async (req, res) => {
+    try {
+        const format = readBackupFormat(req.query.format);
+        const backup = await findBackup(pool, parseInt(req.params.id));
+        const file = renderBackupFile(format, {
+            id: backup.id,
+            label: backup.label,
+            reason: backup.reason,
+            createdAt: backup.created_at
+        }, await loadBackupFileTables(backup));
+        res.set('Content-Type', file.contentType);
+        res.set('Content-Disposition', `attachment; filename="backup-${backup.id}.${file.extension}"`);
+        res.send(file.body);
+    } catch (error) {
+        console.error('Backup download error:', error);
+        res.status(error.status || 500).json({ error: 'Failed to download backup', details: error.message });
+    }
+});
+
+app.post('/api/backups/:id(\\d+)/restore', audited('backup.restore'), requireRole('admin'), async (req, res) => {
+    if (!ENABLE_DB_WIPE) {
+        return res.status(403).json({
+            error: 'Database wipe protection is enabled',
+            details: 'Set ENABLE_DB_WIPE=true on the server to allow clearing or restoring the database'
+        });
+    }
+    try {
+        const { backup, safetyBackup, restored } = await restoreBackup(parseInt(req.params.id), requestedBy(req));
+        console.log(`♻️ Backup ${backup.id} restored by ${requestedBy(req)}; previous data kept as backup ${safetyBackup.id}`);
+        auditRows(res, { safetyBackupId: safetyBackup.id, ...restored });
+        res.json({
+            message: 'Database restored successfully',
+            backup: backupSummary(backup),
+            safetyBackup: backupSummary(safetyBackup),
+            restored
+        });
+        // Rating history is restored with the results; this catches up on
+        // backups that predate it
+        await refreshRatings('restore');
+        applyBackupRetention();
+    } catch (error) {
+        console.error('Restore error:', error);
+        res.status(error.status || 500).json({ error: 'Failed to restore backup', details: error.message });
+    }
+});
+
+app.delete('/api/backups/:id(\\d+)', audited('backup.delete'), requireRole('admin'), async (req, res) => {
+    let client = null;
+    try {
+        client = await pool.connect();
+        await client.query('BEGIN');
+        const backup = await findBackup(client, parseInt(req.params.id));
+        await dropBackup(client, backup);
+        await client.query('COMMIT');
+        console.log(`🗑️ Backup ${backup.id} deleted by ${requestedBy(req)}`);
+        auditRows(res, { backupsDeleted: 1 });
+        res.json({ message: `Backup ${backup.id} deleted` });
+    } catch (error) {
+        await rollbackQuietly(client);
+        console.error('Backup delete error:', error);
+        res.status(error.status || 500).json({ error: 'Failed to delete backup', details: error.message });
+    } finally {
+        client?.release();
+    }
+});
+
+// Clear the results tables, after backing them up
+app.post('/api/clear-database', audited('database.clear'), requireRole('admin'), async (req, res) => {
+    if (!ENABLE_DB_WIPE) {
+        return res.status(403).json({
+            error: 'Database wipe protection is enabled',
+            details: 'Set ENABLE_DB_WIPE=true on the server to allow clearing or restoring the database'
+        });
+    }
+    let client = null;
+    try {
+        client = await pool.connect();
+        await client.query('BEGIN');
+        const backup = await createBackup(client, {
+            label: 'Before clearing the database',
+            reason: 'clear',
+            createdBy: requestedBy(req)
+        });
+        await client.query(`TRUNCATE ${BACKUP_TABLES.join(', ')}`);
+        await client.query('COMMIT');
+        console.log(`🧨 Database cleared by ${requestedBy(req)}; data kept as backup ${backup.id}`);
+        auditRows(res, { backupId: backup.id, ...backupSummary(backup).tables });
+
+        res.json({
+            message: 'Database cleared successfully',
+            backup: backupSummary(backup)
+        });
+        applyBackupRetention();
+    } catch (error) {
+        await rollbackQuietly(client);
+        console.error('Database clear error:', error);
+        res.status(500).json({
+            error: 'Failed to clear database',
+            details: error.message
+        });
+    } finally {
+        client?.release();
+    }
+});
+
+// Audit log, newest first; see readAuditFilters in lib/audit.js for the filters
+app.get('/api/audit', requireRole('importer'), async (req, res) => {
+    try {
+        const page = readPageOptions(req.query, AUDIT_SORTS, '-at');
+        const { rows, nextCursor } = await paginate(pool, auditListQuery(readAuditFilters(req.query)), page);
+        res.json({ entries: rows, nextCursor });
     } catch (error) {
-        console.error('File processing error:', error);
-        res.status(500).json({ error: 'File processing failed', details: error.message });
+        console.error('Audit log error:', error);
+        res.status(error.status || 500).json({ error: 'Failed to load audit log', details: error.message });
     }
 });
 
 // 3. Page routes in specific order
-app.get('/upload', (req, res) => {
+app.get('/upload', requirePageRole('importer'), (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
+app.get('/edit', requirePageRole('importer'), (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'edit.html'));
+});
+
+app.get('/login', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'login.html'));
+});
+
 // 4. Root route (serve chat page by default)
-app.get('/', (req, res) => {
+app.get('/', requirePageRole('viewer'), (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'chat.html'));
 });
 
@@ -849,9 +5539,18 @@ app.get('*', (req, res) => {
 // Call this function when the server starts
 app.listen(port, async () => {
     try {
-        await initializeDatabase();
-        await updateDatabaseSchema();
+        const migrated = await migrateUp(pool);
+        if (migrated.length > 0) {
+            await writeAudit({ action: 'schema.migrate', params: { migrations: migrated } });
+        }
+        await adoptLegacyBackups();
+        await ensureAdminUser();
+        if (ANONYMOUS_ROLE) {
+            console.log(`🔓 Callers who aren't logged in get the ${ANONYMOUS_ROLE} role`);
+        }
         console.log(`CSV2POSTGRES Service is running on port ${port}`);
+        // Rate anything imported before ratings existed; no need to hold up startup
+        refreshRatings('startup');
     } catch (error) {
         console.error('Failed to start server:', error);
         process.exit(1);
@@ -864,6 +5563,7 @@ const EXPECTED_CSV_FIELDS = {
     optional: [
         'Regatta_Name',    // Name of the regatta event (can be blank)
         'Regatta_Date',    // Date in format: MM/DD/YYYY, YYYY-MM-DD, or "Month DD, YYYY" (can be blank)
+        'Venue',           // Where the regatta was sailed (can be blank)
         'Skipper',         // Skipper's full name (can be blank)
         'Yacht_Club',      // Club affiliation (can be blank)
         'Category',        // Race category/class (can be blank)
@@ -874,131 +5574,196 @@ const EXPECTED_CSV_FIELDS = {
     ]
 };
 
-// Update the CSV validation to be more lenient
-function validateCSVHeaders(firstRow) {
-    // Check that at least some of the expected fields are present
-    const validFields = EXPECTED_CSV_FIELDS.optional;
-    const foundFields = Object.keys(firstRow).filter(field => validFields.includes(field));
-    
-    if (foundFields.length === 0) {
-        throw new Error('CSV file does not contain any recognized columns. Expected some of: ' + validFields.join(', '));
-    }
-    
-    // Warn about unexpected fields but don't error
-    const unexpectedFields = Object.keys(firstRow).filter(field => !validFields.includes(field));
-    if (unexpectedFields.length > 0) {
-        console.warn(`Warning: Unexpected columns found: ${unexpectedFields.join(', ')}`);
-    }
-}
-
-// Add database clear endpoint
-app.post('/api/clear-database', async (req, res) => {
-    try {
-        await pool.query('BEGIN');
-        
-        // Create backup tables before clearing
-        const timestamp = new Date().toISOString().replace(/[^0-9]/g, "");
-        await pool.query(`CREATE TABLE IF NOT EXISTS results_backup_${timestamp} AS SELECT * FROM results`);
-        await pool.query(`CREATE TABLE IF NOT EXISTS races_backup_${timestamp} AS SELECT * FROM races`);
-        await pool.query(`CREATE TABLE IF NOT EXISTS skippers_backup_${timestamp} AS SELECT * FROM skippers`);
-        
-        // Clear tables in correct order
-        await pool.query('DELETE FROM results');
-        await pool.query('DELETE FROM races');
-        await pool.query('DELETE FROM skippers');
-        
-        await pool.query('COMMIT');
-        
-        res.json({ 
-            message: 'Database cleared successfully',
-            backupTimestamp: timestamp
-        });
-    } catch (error) {
-        await pool.query('ROLLBACK');
-        console.error('Database clear error:', error);
-        res.status(500).json({ 
-            error: 'Failed to clear database',
-            details: error.message
-        });
+// Mapping target for per-race score columns (R1, R2, "Race 3", ...). Any number
+// of columns can map to it; each cell is a score such as "3", "(12 DNF)" or "DNC".
+const RACE_SCORE_FIELD = 'Race_Score';
+
+function isRaceColumn(header) {
+    return /^r(ace)?\d+$/.test(normalizeHeader(header));
+}
+
+// Header names other scoring programs use for our fields, in normalized form
+// (see normalizeHeader). "Place" is deliberately a Position synonym, not Venue.
+const HEADER_SYNONYMS = {
+    Regatta_Name: ['regatta', 'regattaname', 'event', 'eventname', 'series', 'competition'],
+    Regatta_Date: ['date', 'regattadate', 'eventdate', 'racedate'],
+    Venue: ['venue', 'location'],
+    Skipper: ['skipper', 'skippername', 'helm', 'helmname', 'helmsman', 'sailor', 'name', 'competitor'],
+    Yacht_Club: ['yachtclub', 'club', 'clubname', 'sailingclub'],
+    Category: ['category', 'class', 'boatclass', 'fleet', 'division'],
+    Boat_Name: ['boatname', 'boat', 'yacht', 'yachtname'],
+    Sail_Number: ['sailnumber', 'sailno', 'sail', 'sailnum', 'bow', 'bownumber'],
+    Position: ['position', 'pos', 'rank', 'place', 'overall', 'finish'],
+    Total_Points: ['totalpoints', 'total', 'points', 'pts', 'nett', 'net', 'nettpoints', 'netpoints']
+};
+
+// Lower-case a header and strip everything but letters and digits ("Sail No." -> "sailno")
+function normalizeHeader(header) {
+    return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Edit distance between two short strings, used for suggesting header mappings
+function levenshtein(a, b) {
+    const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        let diagonal = previous[0];
+        previous[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const above = previous[j];
+            previous[j] = Math.min(
+                previous[j] + 1,
+                previous[j - 1] + 1,
+                diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+            diagonal = above;
+        }
     }
-});
+    return previous[b.length];
+}
 
-// Add backup and restore endpoints
-app.post('/api/backup-database', async (req, res) => {
-    try {
-        await pool.query('BEGIN');
-        
-        const timestamp = new Date().toISOString().replace(/[^0-9]/g, "");
-        const backupPrefix = `backup_${timestamp}`;
-        
-        // Create backup tables
-        await pool.query(`CREATE TABLE ${backupPrefix}_results AS SELECT * FROM results`);
-        await pool.query(`CREATE TABLE ${backupPrefix}_races AS SELECT * FROM races`);
-        await pool.query(`CREATE TABLE ${backupPrefix}_skippers AS SELECT * FROM skippers`);
-        
-        await pool.query('COMMIT');
-        
-        res.json({ 
-            message: 'Database backup created successfully',
-            backupTimestamp: timestamp
-        });
-    } catch (error) {
-        await pool.query('ROLLBACK');
-        console.error('Backup error:', error);
-        res.status(500).json({ error: 'Failed to create backup' });
+// Work out which of our fields a header most likely means.
+// Returns { field, match } where match is 'exact', 'synonym' or 'fuzzy', or null.
+function suggestField(header) {
+    const normalized = normalizeHeader(header);
+    if (!normalized) return null;
+
+    for (const field of EXPECTED_CSV_FIELDS.optional) {
+        if (normalizeHeader(field) === normalized) {
+            return { field, match: 'exact' };
+        }
+    }
+    for (const [field, synonyms] of Object.entries(HEADER_SYNONYMS)) {
+        if (synonyms.includes(normalized)) {
+            return { field, match: 'synonym' };
+        }
     }
-});
 
-app.get('/api/latest-backup', async (req, res) => {
-    try {
-        const result = await pool.query(`
-            SELECT table_name 
-            FROM information_schema.tables 
-            WHERE table_name LIKE 'backup_%'
-            ORDER BY table_name DESC
-            LIMIT 1
-        `);
-        
-        if (result.rows.length > 0) {
-            const backupTimestamp = result.rows[0].table_name.split('_')[1];
-            res.json({ backupTimestamp });
-        } else {
-            res.json({ backupTimestamp: null });
+    // Typos and near misses ("Skiper", "Sail Nbr") are only ever suggested
+    let best = null;
+    for (const [field, synonyms] of Object.entries(HEADER_SYNONYMS)) {
+        for (const synonym of synonyms) {
+            if (synonym.length < 4) continue;
+            const distance = levenshtein(normalized, synonym);
+            if (distance <= 2 && (!best || distance < best.distance)) {
+                best = { field, match: 'fuzzy', distance };
+            }
         }
-    } catch (error) {
-        console.error('Error checking backup:', error);
-        res.status(500).json({ error: 'Failed to check backup status' });
     }
-});
+    return best ? { field: best.field, match: best.match } : null;
+}
 
-app.post('/api/restore-database', async (req, res) => {
-    try {
-        const { backupTimestamp } = req.body;
-        if (!backupTimestamp) {
-            throw new Error('No backup timestamp provided');
+// Identify a header set independent of column order and spelling details
+function headerSignature(headers) {
+    return [...new Set(headers.map(normalizeHeader))].sort().join('|');
+}
+
+// Work out how each CSV header maps to our fields. An explicit mapping wins,
+// then a saved profile for this header set, then exact and synonym matches;
+// fuzzy matches are reported as suggestions but never applied automatically.
+// Problems with the mapping are returned in errors so the caller can still show it.
+function resolveColumnMapping(headers, { mapping: explicit = null, profile = null } = {}) {
+    const validFields = EXPECTED_CSV_FIELDS.optional;
+    const mapping = {};
+    const suggestions = {};
+
+    // Profiles match on normalized headers, so look their columns up the same way
+    const profileMapping = new Map(profile
+        ? Object.entries(profile.mapping).map(([header, field]) => [normalizeHeader(header), field])
+        : []);
+
+    for (const header of headers) {
+        const suggestion = suggestField(header);
+        if (suggestion) {
+            suggestions[header] = suggestion;
+        }
+
+        if (explicit && Object.prototype.hasOwnProperty.call(explicit, header)) {
+            mapping[header] = explicit[header] || null;
+        } else if (profileMapping.has(normalizeHeader(header))) {
+            mapping[header] = profileMapping.get(normalizeHeader(header)) || null;
+        } else if (suggestion && suggestion.match !== 'fuzzy') {
+            mapping[header] = suggestion.field;
+        } else if (isRaceColumn(header)) {
+            mapping[header] = RACE_SCORE_FIELD;
+        } else {
+            mapping[header] = null;
         }
+    }
 
-        await pool.query('BEGIN');
+    const errors = [];
+    const mappedFields = Object.values(mapping).filter(field => field && field !== RACE_SCORE_FIELD);
+    const invalid = mappedFields.filter(field => !validFields.includes(field));
+    if (invalid.length > 0) {
+        errors.push(`Unknown target field(s) in column mapping: ${invalid.join(', ')}`);
+    }
+    const duplicated = mappedFields.filter((field, index) => mappedFields.indexOf(field) !== index);
+    if (duplicated.length > 0) {
+        errors.push(`More than one column is mapped to: ${[...new Set(duplicated)].join(', ')}`);
+    }
+    if (mappedFields.length === 0) {
+        errors.push('CSV file does not contain any recognized columns. Expected some of: ' + validFields.join(', '));
+    }
 
-        // Clear current tables
-        await pool.query('DELETE FROM results');
-        await pool.query('DELETE FROM races');
-        await pool.query('DELETE FROM skippers');
+    const unknown = headers.filter(header => !mapping[header]);
+    if (unknown.length > 0) {
+        console.warn(`Warning: Unmapped columns ignored: ${unknown.join(', ')}`);
+    }
 
-        // Restore from backup
-        await pool.query(`INSERT INTO results SELECT * FROM backup_${backupTimestamp}_results`);
-        await pool.query(`INSERT INTO races SELECT * FROM backup_${backupTimestamp}_races`);
-        await pool.query(`INSERT INTO skippers SELECT * FROM backup_${backupTimestamp}_skippers`);
+    return {
+        headers,
+        mapping,
+        suggestions,
+        unknown,
+        missing: validFields.filter(field => !mappedFields.includes(field)),
+        profile: profile ? { id: profile.id, name: profile.name } : null,
+        errors
+    };
+}
 
-        await pool.query('COMMIT');
-        
-        res.json({ message: 'Database restored successfully' });
-    } catch (error) {
-        await pool.query('ROLLBACK');
-        console.error('Restore error:', error);
-        res.status(500).json({ error: 'Failed to restore database' });
+// Rename the columns of a parsed row to our field names, dropping unmapped ones
+function applyColumnMapping(row, mapping) {
+    const mapped = {};
+    // Keep parser metadata (keys starting with _) such as line numbers
+    for (const [key, value] of Object.entries(row)) {
+        if (key.startsWith('_')) {
+            mapped[key] = value;
+        }
     }
-});
+    for (const [header, field] of Object.entries(mapping)) {
+        if (field === RACE_SCORE_FIELD) {
+            const score = parseRaceScore(row[header]);
+            if (score) {
+                mapped._raceScores = mapped._raceScores || [];
+                mapped._raceScores.push({ race: header.trim(), ...score });
+            }
+        } else if (field) {
+            mapped[field] = row[header];
+        }
+    }
+    return mapped;
+}
+
+// Find the saved mapping profile for an upload: the one requested, or the one
+// saved for exactly this header set
+async function findMappingProfile(headers, profileId) {
+    const result = profileId
+        ? await pool.query('SELECT id, name, mapping FROM column_mapping_profiles WHERE id = $1', [profileId])
+        : await pool.query('SELECT id, name, mapping FROM column_mapping_profiles WHERE header_signature = $1', [headerSignature(headers)]);
+    return result.rows[0] || null;
+}
+
+// Create or replace a named mapping profile
+async function saveMappingProfile(name, headers, mapping) {
+    const result = await pool.query(
+        `INSERT INTO column_mapping_profiles (name, header_signature, mapping)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (name)
+         DO UPDATE SET header_signature = EXCLUDED.header_signature, mapping = EXCLUDED.mapping
+         RETURNING id, name, header_signature, mapping`,
+        [name, headerSignature(headers), JSON.stringify(mapping)]
+    );
+    return result.rows[0];
+}
 
 // Helper function to try to extract row numbers from common database error messages
 function extractRowNumberFromError(errorMessage) {
@@ -1018,23 +5783,3 @@ function extractRowNumberFromError(errorMessage) {
     return null;
 }
 
-// Add this function to update existing tables
-async function updateDatabaseSchema() {
-    try {
-        await pool.query(`
-            ALTER TABLE skippers 
-            ALTER COLUMN name TYPE VARCHAR(300),
-            ALTER COLUMN yacht_club TYPE VARCHAR(300);
-
-            ALTER TABLE races
-            ALTER COLUMN regatta_name TYPE VARCHAR(300),
-            ALTER COLUMN category TYPE VARCHAR(300),
-            ALTER COLUMN boat_name TYPE VARCHAR(300),
-            ALTER COLUMN sail_number TYPE VARCHAR(300);
-        `);
-        console.log('Database schema updated successfully');
-    } catch (error) {
-        console.error('Failed to update database schema:', error);
-        throw error;
-    }
-}
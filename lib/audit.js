@@ -0,0 +1,112 @@
+// The audit log: what is kept about each data-changing request (see
+// recordAudit in index.js), and the filters for reading it back
+
+// Requests with these methods are recorded; reads never are
+const AUDITED_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Parameters whose values stay out of the log
+const SECRET_PARAMS = /password|token|secret/i;
+
+// Longer strings are cut short, so a pasted file doesn't fill the log
+const MAX_PARAM_LENGTH = 500;
+
+function badRequest(message) {
+    return Object.assign(new Error(message), { status: 400 });
+}
+
+function redact(value) {
+    if (typeof value === 'string') {
+        return value.length > MAX_PARAM_LENGTH ? `${value.slice(0, MAX_PARAM_LENGTH)}…` : value;
+    }
+    if (Array.isArray(value)) {
+        return value.map(redact);
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) =>
+            [key, SECRET_PARAMS.test(key) ? '[redacted]' : redact(item)]));
+    }
+    return value;
+}
+
+// A request's path parameters, query, body and uploaded file, leaving out
+// empty parts and secrets
+function requestParams(req) {
+    const params = {
+        path: req.params,
+        query: req.query,
+        body: req.body,
+        file: req.file ? { name: req.file.originalname, size: req.file.size } : null
+    };
+    return redact(Object.fromEntries(Object.entries(params)
+        .filter(([, part]) => part && Object.keys(part).length > 0)));
+}
+
+/**
+ * Read the /api/audit filters:
+ *
+ * action: comma-separated actions; "backup" also matches backup.create,
+ *   backup.restore and the rest.
+ * actor: a username; ip: the caller's address.
+ * outcome: ok (status below 400, or a change the server made itself) or
+ *   failed (including requests the caller gave up on before the answer).
+ * from, to: dates (YYYY-MM-DD), both inclusive.
+ *
+ * Throws with status 400 for an unknown outcome or a malformed date.
+ */
+function readAuditFilters(query) {
+    const text = value => typeof value === 'string' && value.trim() ? value.trim() : null;
+    const date = (name) => {
+        const value = text(query[name]);
+        if (value !== null && (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(Date.parse(value)))) {
+            throw badRequest(`${name} must be a date like 2024-05-31, got "${value}"`);
+        }
+        return value;
+    };
+
+    const outcome = text(query.outcome);
+    if (outcome !== null && outcome !== 'ok' && outcome !== 'failed') {
+        throw badRequest(`outcome must be ok or failed, got "${outcome}"`);
+    }
+    const actions = text(query.action);
+    return {
+        actions: actions ? actions.split(',').map(action => action.trim()).filter(Boolean) : null,
+        actor: text(query.actor),
+        ip: text(query.ip),
+        outcome,
+        from: date('from'),
+        to: date('to')
+    };
+}
+
+// The audit_log rows the filters keep, for lib/pagination.js
+function auditListQuery({ actions = null, actor = null, ip = null, outcome = null, from = null, to = null }) {
+    return {
+        query: `
+            SELECT id, at, action, actor, user_id, role, ip, method, path, status,
+                   params, row_counts, error, duration_ms
+            FROM audit_log
+            WHERE ($1::TEXT[] IS NULL OR EXISTS (
+                SELECT 1 FROM UNNEST($1::TEXT[]) wanted
+                WHERE action = wanted OR STARTS_WITH(action, wanted || '.')
+            ))
+            AND ($2::TEXT IS NULL OR LOWER(actor) = LOWER($2))
+            AND ($3::TEXT IS NULL OR ip = $3)
+            AND ($4::TEXT IS NULL OR COALESCE(status < 400, method IS NULL) = ($4 = 'ok'))
+            AND ($5::DATE IS NULL OR at >= $5::DATE)
+            AND ($6::DATE IS NULL OR at < $6::DATE + 1)
+        `,
+        params: [actions, actor, ip, outcome, from, to]
+    };
+}
+
+const AUDIT_SORTS = {
+    at: [{ sql: 'items.at', type: 'timestamp' }]
+};
+
+module.exports = {
+    AUDITED_METHODS,
+    AUDIT_SORTS,
+    requestParams,
+    readAuditFilters,
+    auditListQuery
+};
@@ -0,0 +1,84 @@
+// Roles, password hashing and the tokens behind login sessions and API access
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Each role can do everything the roles before it can
+const ROLES = ['viewer', 'importer', 'admin'];
+
+// Cookie holding the login session of the pages
+const SESSION_COOKIE = 'session';
+
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const MIN_PASSWORD_LENGTH = 8;
+
+function isRole(role) {
+    return ROLES.includes(role);
+}
+
+function hasRole(granted, required) {
+    return isRole(granted) && ROLES.indexOf(granted) >= ROLES.indexOf(required);
+}
+
+// The lesser of two roles: a token never grants more than its user has
+function lesserRole(a, b) {
+    return ROLES.indexOf(a) <= ROLES.indexOf(b) ? a : b;
+}
+
+// Stored as scrypt$<salt>$<hash>, both base64
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, 64);
+    return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+async function verifyPassword(password, stored) {
+    const [scheme, salt, expected] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !expected) return false;
+    const hash = await scrypt(String(password), Buffer.from(salt, 'base64'), 64);
+    const expectedHash = Buffer.from(expected, 'base64');
+    return hash.length === expectedHash.length && crypto.timingSafeEqual(hash, expectedHash);
+}
+
+// A new secret for a session or API token. Only its hash is stored, so a
+// database dump doesn't hand out working credentials.
+function generateToken(kind) {
+    return `${kind}_${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// One cookie's value from a Cookie header, or null
+function readCookie(header, name) {
+    for (const part of String(header || '').split(';')) {
+        const index = part.indexOf('=');
+        if (index > 0 && part.slice(0, index).trim() === name) {
+            try {
+                return decodeURIComponent(part.slice(index + 1).trim());
+            } catch (error) {
+                return null;
+            }
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    ROLES,
+    SESSION_COOKIE,
+    SESSION_TTL_MS,
+    MIN_PASSWORD_LENGTH,
+    isRole,
+    hasRole,
+    lesserRole,
+    hashPassword,
+    verifyPassword,
+    generateToken,
+    hashToken,
+    readCookie
+};
@@ -0,0 +1,170 @@
+// Backups as files: a JSON document, or a SQL script psql can run to restore
+// it. Both can be uploaded again; the SQL is read back, never executed.
+
+const BACKUP_FILE_FORMATS = {
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+    sql: { contentType: 'application/sql; charset=utf-8', extension: 'sql' }
+};
+
+const FILE_MARKER = 'csv2sql-backup';
+const FILE_VERSION = 1;
+
+// Rows per INSERT in a SQL file
+const SQL_CHUNK_ROWS = 500;
+
+function badFile(message) {
+    return Object.assign(new Error(message), { status: 400 });
+}
+
+// Check a ?format= value; throws with status 400 for one we can't write
+function readBackupFormat(value) {
+    const format = String(value || 'json').toLowerCase();
+    if (!BACKUP_FILE_FORMATS[format]) {
+        throw badFile(`format must be one of: ${Object.keys(BACKUP_FILE_FORMATS).join(', ')}`);
+    }
+    return format;
+}
+
+function quoteIdentifier(name) {
+    return `"${name.replace(/"/g, '""')}"`;
+}
+
+function quoteLiteral(text) {
+    return `'${text.replace(/'/g, "''")}'`;
+}
+
+function toJSON(meta, tables) {
+    const sections = tables.map(({ name, rows }) =>
+        `    ${JSON.stringify(name)}: [${rows.length ? `\n        ${rows.join(',\n        ')}\n    ` : ''}]`);
+    const header = JSON.stringify({ format: FILE_MARKER, version: FILE_VERSION, ...meta }, null, 4).slice(0, -2);
+    return `${header},\n    "tables": {\n${sections.join(',\n').replace(/^/gm, '    ')}\n    }\n}\n`;
+}
+
+function toSQL(meta, tables) {
+    const lines = [
+        `-- ${FILE_MARKER} ${JSON.stringify({ version: FILE_VERSION, ...meta })}`,
+        '-- Run with psql against a database the app has set up. It replaces everything',
+        '-- in these tables and the ones that reference them.',
+        'BEGIN;',
+        `TRUNCATE ${tables.map(({ name }) => quoteIdentifier(name)).join(', ')} CASCADE;`
+    ];
+    for (const { name, columns, rows } of tables) {
+        const list = columns.map(quoteIdentifier).join(', ');
+        // An empty table still gets a statement, so it reads back as empty rather than missing
+        for (let i = 0; i === 0 || i < rows.length; i += SQL_CHUNK_ROWS) {
+            const json = `[${rows.slice(i, i + SQL_CHUNK_ROWS).join(',')}]`;
+            lines.push(`INSERT INTO ${quoteIdentifier(name)} (${list}) SELECT ${list} ` +
+                `FROM json_populate_recordset(NULL::${quoteIdentifier(name)}, ${quoteLiteral(json)});`);
+        }
+    }
+    for (const { name } of tables.filter(table => table.serial)) {
+        lines.push(`SELECT setval(pg_get_serial_sequence(${quoteLiteral(name)}, 'id'), ` +
+            `COALESCE(MAX(id), 0) + 1, false) FROM ${quoteIdentifier(name)};`);
+    }
+    lines.push('COMMIT;');
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Write a backup as a file.
+ *
+ * meta: { id, label, reason, createdAt } describing the backup.
+ * tables: [{ name, columns, rows, serial }] in restore order. rows are each
+ *   row as JSON text (Postgres' row_to_json, so dates stay as Postgres wrote
+ *   them); columns are the ones a restore writes; serial marks tables whose
+ *   id sequence a restore moves past the restored ids.
+ *
+ * Returns { body, contentType, extension }.
+ */
+function renderBackupFile(format, meta, tables) {
+    const type = readBackupFormat(format);
+    const { contentType, extension } = BACKUP_FILE_FORMATS[type];
+    const body = type === 'sql' ? toSQL(meta, tables) : toJSON(meta, tables);
+    return { body, contentType, extension };
+}
+
+function checkRows(name, rows) {
+    if (!/^[a-z_][a-z0-9_]*$/.test(name)) {
+        throw badFile(`"${name}" is not a table name`);
+    }
+    if (!Array.isArray(rows) || rows.some(row => !row || typeof row !== 'object' || Array.isArray(row))) {
+        throw badFile(`Table ${name} must be a list of rows`);
+    }
+    return rows;
+}
+
+function parseJSONFile(text) {
+    let document;
+    try {
+        document = JSON.parse(text);
+    } catch (error) {
+        throw badFile(`Not a backup file: ${error.message}`);
+    }
+    if (!document || document.format !== FILE_MARKER) {
+        throw badFile(`Not a backup file: format should be "${FILE_MARKER}"`);
+    }
+    if (!document.tables || typeof document.tables !== 'object') {
+        throw badFile('The backup file has no tables');
+    }
+    const { tables, format, ...meta } = document;
+    const parsed = {};
+    for (const [name, rows] of Object.entries(tables)) {
+        parsed[name] = checkRows(name, rows);
+    }
+    return { meta, tables: parsed };
+}
+
+const INSERT_LINE = /^INSERT INTO "([a-z_][a-z0-9_]*)" \([^)]*\) SELECT [^;]* FROM json_populate_recordset\(NULL::"\1", '(.*)'\);$/;
+const OTHER_LINES = [/^--/, /^BEGIN;$/, /^COMMIT;$/, /^TRUNCATE [^;]*;$/, /^SELECT setval\(pg_get_serial_sequence\('[a-z_]+', 'id'\), [^;]*;$/];
+
+// Read back the rows of a SQL file we wrote, line by line. Anything that
+// isn't one of our statements is refused.
+function parseSQLFile(text) {
+    const lines = text.split(/\r?\n/);
+    const header = lines[0].match(new RegExp(`^-- ${FILE_MARKER} (\\{.*\\})$`));
+    if (!header) {
+        throw badFile(`Not a backup file: the first line should start with "-- ${FILE_MARKER}"`);
+    }
+    let meta;
+    try {
+        meta = JSON.parse(header[1]);
+    } catch (error) {
+        throw badFile(`Backup file header: ${error.message}`);
+    }
+
+    const tables = {};
+    lines.forEach((line, index) => {
+        if (!line.trim()) return;
+        const insert = line.match(INSERT_LINE);
+        if (insert) {
+            let rows;
+            try {
+                rows = JSON.parse(insert[2].replace(/''/g, "'"));
+            } catch (error) {
+                throw badFile(`Line ${index + 1}: ${error.message}`);
+            }
+            tables[insert[1]] = (tables[insert[1]] || []).concat(checkRows(insert[1], rows));
+        } else if (!OTHER_LINES.some(pattern => pattern.test(line))) {
+            throw badFile(`Line ${index + 1} isn't part of a backup file`);
+        }
+    });
+    return { meta, tables };
+}
+
+/**
+ * Read an uploaded backup file, either format.
+ *
+ * Returns { meta, tables } with tables mapping each table name to its rows
+ * as objects. Throws with status 400 for anything else.
+ */
+function parseBackupFile(text) {
+    const content = String(text).replace(/^\uFEFF/, '');
+    return content.trimStart().startsWith('{') ? parseJSONFile(content) : parseSQLFile(content);
+}
+
+module.exports = {
+    BACKUP_FILE_FORMATS,
+    readBackupFormat,
+    renderBackupFile,
+    parseBackupFile
+};
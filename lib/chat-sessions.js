@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+
+// Sessions nobody has used for this long are dropped
+const SESSION_IDLE_MS = 2 * 60 * 60 * 1000;
+
+// Turns kept per session for follow-up questions
+const MAX_TURNS = 10;
+
+// Chat sessions live in memory like jobs: they belong to this process and go away on restart
+const sessions = new Map();
+
+function pruneSessions() {
+    const cutoff = Date.now() - SESSION_IDLE_MS;
+    for (const [id, session] of sessions) {
+        if (session.lastUsedAt.getTime() < cutoff) {
+            sessions.delete(id);
+        }
+    }
+}
+
+// A session belongs to the user who started it (owner is their id, or null
+// for callers who aren't logged in); anyone else is told it doesn't exist
+function findSession(id, owner) {
+    const session = typeof id === 'string' ? sessions.get(id) : null;
+    return session && session.owner === owner ? session : null;
+}
+
+// The owner's session with this id, or a new one. New sessions always get an
+// id from the server, so an id the server doesn't know (after a restart, say)
+// or someone else's starts afresh; the client picks up the id it's answered with.
+function getOrCreateSession(id, owner = null) {
+    pruneSessions();
+    let session = findSession(id, owner);
+    if (!session) {
+        session = {
+            id: crypto.randomUUID(),
+            owner,
+            turns: [],
+            // What the conversation is about: skipper, regatta, club, boat, series, year
+            entities: {},
+            createdAt: new Date(),
+            lastUsedAt: new Date()
+        };
+        sessions.set(session.id, session);
+    }
+    session.lastUsedAt = new Date();
+    return session;
+}
+
+function getSession(id, owner = null) {
+    return findSession(id, owner);
+}
+
+function deleteSession(id, owner = null) {
+    return findSession(id, owner) ? sessions.delete(id) : false;
+}
+
+// Record a question and its answer, and what it was about. Entities given as
+// null are forgotten; ones left out are kept from earlier turns.
+function recordTurn(session, { query, analysis, message, entities = {} }) {
+    session.turns.push({ query, analysis, message, at: new Date() });
+    if (session.turns.length > MAX_TURNS) {
+        session.turns.splice(0, session.turns.length - MAX_TURNS);
+    }
+    for (const [key, value] of Object.entries(entities)) {
+        if (value === null) {
+            delete session.entities[key];
+        } else if (value !== undefined && value !== '') {
+            session.entities[key] = value;
+        }
+    }
+}
+
+// What query providers get to resolve follow-ups: recent turns, the entities
+// last discussed and the previous analysis
+function sessionContext(session) {
+    const lastTurn = session.turns[session.turns.length - 1];
+    return {
+        turns: session.turns.map(({ query, analysis, message }) => ({ query, analysis, message })),
+        entities: { ...session.entities },
+        lastAnalysis: lastTurn ? lastTurn.analysis : null
+    };
+}
+
+module.exports = {
+    getOrCreateSession,
+    getSession,
+    deleteSession,
+    recordTurn,
+    sessionContext
+};
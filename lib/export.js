@@ -0,0 +1,113 @@
+// Tables rendered as downloadable files: CSV, JSON or an Excel workbook
+
+const ExcelJS = require('exceljs');
+
+const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+// Check a ?format= value; throws with status 400 for one we can't write
+function readExportFormat(value) {
+    const format = String(value || 'csv').toLowerCase();
+    if (!EXPORT_FORMATS[format]) {
+        throw Object.assign(new Error(`format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`), { status: 400 });
+    }
+    return format;
+}
+
+// Every key any row has, in the order first seen
+function tableColumns(rows) {
+    const columns = [];
+    for (const row of rows) {
+        for (const key of Object.keys(row)) {
+            if (!columns.includes(key)) columns.push(key);
+        }
+    }
+    return columns;
+}
+
+// DATE columns come back from pg as local midnight; write those as the date alone
+function formatDate(date) {
+    if (date.getHours() || date.getMinutes() || date.getSeconds() || date.getMilliseconds()) {
+        return date.toISOString();
+    }
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function cellValue(value) {
+    if (value === null || value === undefined) return null;
+    if (value instanceof Date) return formatDate(value);
+    if (typeof value === 'object') return JSON.stringify(value);
+    return value;
+}
+
+function csvField(value) {
+    const text = value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCSV(columns, rows) {
+    const lines = [columns.map(csvField).join(',')];
+    for (const row of rows) {
+        lines.push(columns.map(column => csvField(cellValue(row[column]))).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+}
+
+function toJSON(columns, rows) {
+    const values = rows.map(row => Object.fromEntries(columns.map(column => {
+        const value = row[column];
+        return [column, value instanceof Date ? formatDate(value) : value ?? null];
+    })));
+    return JSON.stringify(values, null, 2);
+}
+
+// Numbers pg hands back as text (counts, DECIMAL) become number cells; ones
+// with a leading zero, like some sail numbers, stay text
+function workbookValue(value) {
+    const cell = cellValue(value);
+    return typeof cell === 'string' && /^-?(0|[1-9]\d{0,14})(\.\d+)?$/.test(cell) ? Number(cell) : cell;
+}
+
+async function toXLSX(columns, rows, sheetName) {
+    const workbook = new ExcelJS.Workbook();
+    // Sheet names are at most 31 characters and can't contain []:*?/\
+    const sheet = workbook.addWorksheet((sheetName || 'Export').replace(/[[\]:*?/\\]/g, ' ').slice(0, 31));
+    sheet.columns = columns.map(column => ({ header: column, key: column, width: Math.max(10, column.length + 2) }));
+    sheet.getRow(1).font = { bold: true };
+    for (const row of rows) {
+        sheet.addRow(columns.map(column => workbookValue(row[column])));
+    }
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+/**
+ * Render rows as a file.
+ *
+ * table: { rows, columns, sheetName }. columns defaults to every key in the
+ *   rows; sheetName names the worksheet of an xlsx export.
+ *
+ * Resolves to { body, contentType, extension }.
+ */
+async function renderExport(format, { rows, columns = tableColumns(rows), sheetName }) {
+    const type = readExportFormat(format);
+    const { contentType, extension } = EXPORT_FORMATS[type];
+    let body;
+    if (type === 'json') {
+        body = toJSON(columns, rows);
+    } else if (type === 'xlsx') {
+        body = await toXLSX(columns, rows, sheetName);
+    } else {
+        body = toCSV(columns, rows);
+    }
+    return { body, contentType, extension };
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    readExportFormat,
+    renderExport
+};
@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// How long finished jobs can still be looked up
+const JOB_RETENTION_MS = 60 * 60 * 1000;
+
+// Warnings kept per job for status requests and late subscribers; the rest are only counted
+const MAX_JOB_WARNINGS = 500;
+
+// Progress events are sent at most this often
+const PROGRESS_INTERVAL_MS = 250;
+
+// Background jobs live in memory: they belong to this process and go away on restart
+const jobs = new Map();
+
+// Drop finished jobs past their retention time
+function pruneJobs() {
+    const cutoff = Date.now() - JOB_RETENTION_MS;
+    for (const [id, job] of jobs) {
+        if (job.finishedAt && job.finishedAt.getTime() < cutoff) {
+            jobs.delete(id);
+        }
+    }
+}
+
+// Register a new job. info is merged into its public description (e.g. fileName).
+function createJob(type, info = {}) {
+    pruneJobs();
+    const job = {
+        id: crypto.randomUUID(),
+        type,
+        ...info,
+        status: 'queued',
+        progress: {},
+        warningCount: 0,
+        warnings: [],
+        httpStatus: null,
+        result: null,
+        createdAt: new Date(),
+        finishedAt: null
+    };
+    // Not part of the job's JSON
+    Object.defineProperty(job, 'events', { value: new EventEmitter() });
+    Object.defineProperty(job, 'lastProgressAt', { value: 0, writable: true });
+    job.events.setMaxListeners(0);
+    jobs.set(job.id, job);
+    return job;
+}
+
+function getJob(id) {
+    return jobs.get(id) || null;
+}
+
+// Merge new progress values into the job and notify subscribers. Updates are
+// throttled, except a change of phase or when force is set.
+function updateJobProgress(job, progress, { force = false } = {}) {
+    const phaseChanged = progress.phase !== undefined && progress.phase !== job.progress.phase;
+    job.progress = { ...job.progress, ...progress };
+    const now = Date.now();
+    if (force || phaseChanged || now - job.lastProgressAt >= PROGRESS_INTERVAL_MS) {
+        job.lastProgressAt = now;
+        job.events.emit('progress', { status: job.status, progress: job.progress });
+    }
+}
+
+function addJobWarning(job, warning) {
+    job.warningCount++;
+    if (job.warnings.length < MAX_JOB_WARNINGS) {
+        job.warnings.push(warning);
+    }
+    job.events.emit('warning', warning);
+}
+
+// Run work(job) in the background. work resolves to { httpStatus, body }: the
+// response the request would have got if it had waited. Jobs that resolve with
+// an error status, or throw, are marked failed.
+function startJob(job, work) {
+    job.status = 'running';
+    updateJobProgress(job, {}, { force: true });
+
+    Promise.resolve()
+        .then(() => work(job))
+        .then(({ httpStatus, body }) => {
+            job.httpStatus = httpStatus;
+            job.result = body;
+            job.status = httpStatus < 400 ? 'completed' : 'failed';
+        })
+        .catch(error => {
+            console.error(`Job ${job.id} failed:`, error);
+            job.httpStatus = error.status || 500;
+            job.result = { error: 'Job failed', details: error.message };
+            job.status = 'failed';
+        })
+        .finally(() => {
+            job.finishedAt = new Date();
+            job.events.emit('done', job);
+        });
+}
+
+function isJobFinished(job) {
+    return job.status === 'completed' || job.status === 'failed';
+}
+
+// Resolves to the job once it has completed or failed
+function whenJobFinished(job) {
+    if (isJobFinished(job)) return Promise.resolve(job);
+    return new Promise(resolve => job.events.once('done', resolve));
+}
+
+module.exports = {
+    createJob,
+    getJob,
+    startJob,
+    updateJobProgress,
+    addJobWarning,
+    isJobFinished,
+    whenJobFinished
+};
@@ -0,0 +1,153 @@
+// Numbered schema migrations: migrations/<version>_<name>.js, each exporting
+// up(client) and down(client). Applied versions are recorded in
+// schema_migrations; every migration runs in a transaction together with
+// its record, so it is either fully applied or not at all.
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+// Keeps two instances starting together from migrating at the same time
+const MIGRATIONS_LOCK_ID = 7016;
+
+const MIGRATION_FILE = /^(\d+)_([a-z0-9_]+)\.js$/;
+
+// The migrations on disk, in version order
+function loadMigrations(dir = MIGRATIONS_DIR) {
+    const migrations = fs.readdirSync(dir)
+        .filter(file => MIGRATION_FILE.test(file))
+        .map(file => {
+            const [, version, name] = file.match(MIGRATION_FILE);
+            const migration = require(path.join(dir, file));
+            if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+                throw new Error(`Migration ${file} must export up and down functions`);
+            }
+            return { version: parseInt(version, 10), name, file, up: migration.up, down: migration.down };
+        })
+        .sort((a, b) => a.version - b.version);
+
+    migrations.forEach((migration, i) => {
+        if (i > 0 && migration.version === migrations[i - 1].version) {
+            throw new Error(`Migrations ${migrations[i - 1].file} and ${migration.file} have the same version`);
+        }
+    });
+    return migrations;
+}
+
+function label(migration) {
+    return `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+}
+
+// Run fn on one client holding the migrations lock, with schema_migrations in place
+async function withMigrationLock(pool, fn) {
+    const client = await pool.connect();
+    try {
+        await client.query('SELECT pg_advisory_lock($1)', [MIGRATIONS_LOCK_ID]);
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                version INTEGER PRIMARY KEY,
+                name VARCHAR(200) NOT NULL,
+                applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        return await fn(client);
+    } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [MIGRATIONS_LOCK_ID]).catch(() => {});
+        client.release();
+    }
+}
+
+async function appliedMigrations(client) {
+    const result = await client.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+    return result.rows;
+}
+
+async function runStep(client, migration, direction) {
+    try {
+        await client.query('BEGIN');
+        await migration[direction](client);
+        if (direction === 'up') {
+            await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+        } else {
+            await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+        }
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        error.message = `Migration ${label(migration)} ${direction} failed: ${error.message}`;
+        throw error;
+    }
+}
+
+/**
+ * Apply the pending migrations in order, stopping after version to when
+ * given. Resolves to the labels of the migrations applied.
+ */
+async function migrateUp(pool, { to = Infinity, log = console.log } = {}) {
+    const migrations = loadMigrations();
+    return withMigrationLock(pool, async (client) => {
+        const applied = new Set((await appliedMigrations(client)).map(row => row.version));
+        const done = [];
+        for (const migration of migrations) {
+            if (migration.version > to || applied.has(migration.version)) continue;
+            await runStep(client, migration, 'up');
+            log(`⬆️ Applied migration ${label(migration)}`);
+            done.push(label(migration));
+        }
+        return done;
+    });
+}
+
+/**
+ * Roll back the latest applied migrations: the last steps of them, or every
+ * one above version to when given. Resolves to the labels rolled back.
+ */
+async function migrateDown(pool, { steps = 1, to = null, log = console.log } = {}) {
+    const migrations = new Map(loadMigrations().map(migration => [migration.version, migration]));
+    return withMigrationLock(pool, async (client) => {
+        const applied = (await appliedMigrations(client)).reverse();
+        const targets = to === null ? applied.slice(0, steps) : applied.filter(row => row.version > to);
+        const done = [];
+        for (const row of targets) {
+            const migration = migrations.get(row.version);
+            if (!migration) {
+                throw new Error(`Migration ${row.version} (${row.name}) is applied but its file is missing`);
+            }
+            await runStep(client, migration, 'down');
+            log(`⬇️ Rolled back migration ${label(migration)}`);
+            done.push(label(migration));
+        }
+        return done;
+    });
+}
+
+/**
+ * Every migration on disk or applied: [{ version, name, applied_at, status }]
+ * with status applied, pending, or missing (applied, but no file).
+ */
+async function migrationStatus(pool) {
+    const migrations = loadMigrations();
+    return withMigrationLock(pool, async (client) => {
+        const applied = new Map((await appliedMigrations(client)).map(row => [row.version, row]));
+        const status = migrations.map(({ version, name }) => ({
+            version,
+            name,
+            applied_at: applied.has(version) ? applied.get(version).applied_at : null,
+            status: applied.has(version) ? 'applied' : 'pending'
+        }));
+        for (const row of applied.values()) {
+            if (!migrations.some(migration => migration.version === row.version)) {
+                status.push({ ...row, status: 'missing' });
+            }
+        }
+        return status.sort((a, b) => a.version - b.version);
+    });
+}
+
+module.exports = {
+    loadMigrations,
+    migrateUp,
+    migrateDown,
+    migrationStatus
+};
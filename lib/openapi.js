@@ -0,0 +1,528 @@
+// OpenAPI description of the REST resources, served at /api/openapi.json
+
+const { version } = require('../package.json');
+const { DEFAULT_LIMIT, MAX_LIMIT } = require('./pagination.js');
+const { EXPORT_FORMATS } = require('./export.js');
+
+function queryParameter(name, description, schema = { type: 'string' }) {
+    return { name, in: 'query', required: false, description, schema };
+}
+
+function idParameter(description) {
+    return { name: 'id', in: 'path', required: true, description, schema: { type: 'integer' } };
+}
+
+const filters = {
+    search: description => queryParameter('search', description),
+    club: queryParameter('club', 'Club name, short code or alias'),
+    category: queryParameter('category', 'Fleet or class, matched case-insensitively'),
+    year: queryParameter('year', 'Regatta year', { type: 'integer', minimum: 1900, maximum: 2100 })
+};
+
+function pageParameters(sorts, defaultSort) {
+    return [
+        queryParameter('sort', `One of ${sorts.join(', ')}; prefix with - to sort descending`,
+            { type: 'string', enum: sorts.flatMap(sort => [sort, `-${sort}`]), default: defaultSort }),
+        queryParameter('limit', 'Items per page',
+            { type: 'integer', minimum: 1, maximum: MAX_LIMIT, default: DEFAULT_LIMIT }),
+        queryParameter('cursor', 'nextCursor from the previous page, with the same sort')
+    ];
+}
+
+function ref(schema) {
+    return { $ref: `#/components/schemas/${schema}` };
+}
+
+function jsonResponse(description, properties) {
+    return {
+        description,
+        content: { 'application/json': { schema: { type: 'object', properties } } }
+    };
+}
+
+function listResponse(description, key, schema) {
+    return jsonResponse(description, {
+        [key]: { type: 'array', items: ref(schema) },
+        nextCursor: { type: 'string', nullable: true, description: 'Cursor for the next page; null on the last page' }
+    });
+}
+
+const errorResponses = {
+    400: { description: 'Invalid filter, sort or cursor', content: { 'application/json': { schema: ref('Error') } } },
+    401: { description: 'No valid login session or bearer token', content: { 'application/json': { schema: ref('Error') } } },
+    403: { description: 'The caller\'s role is below viewer', content: { 'application/json': { schema: ref('Error') } } },
+    500: { description: 'Database error', content: { 'application/json': { schema: ref('Error') } } }
+};
+
+const formatParameter = queryParameter('format', 'File format',
+    { type: 'string', enum: Object.keys(EXPORT_FORMATS), default: 'csv' });
+
+// Results exports use the columns /upload reads, then one R<n> column per race
+function exportResponse(description) {
+    return {
+        description: `${description}: Regatta_Name, Regatta_Date, Venue, Skipper, Yacht_Club, Category, ` +
+            'Boat_Name, Sail_Number, Position, Total_Points and a column per race, as /upload reads them',
+        content: Object.fromEntries(Object.values(EXPORT_FORMATS).map(({ contentType }) =>
+            [contentType.split(';')[0], { schema: { type: 'string', format: 'binary' } }]))
+    };
+}
+
+const notFound = { description: 'Not found', content: { 'application/json': { schema: ref('Error') } } };
+
+// Creating, correcting and deleting skippers, races and results (importer role)
+function jsonBody(schema) {
+    return { required: true, content: { 'application/json': { schema: ref(schema) } } };
+}
+
+function editResponses(success, key = null, schema = null) {
+    return {
+        [success]: jsonResponse(schema === null ? 'Deleted' : 'Saved', schema === null
+            ? { message: { type: 'string' } }
+            : { message: { type: 'string' }, [key]: ref(schema) }),
+        400: { description: 'A field is missing or invalid, or lastModified wasn\'t sent', content: { 'application/json': { schema: ref('Error') } } },
+        401: errorResponses[401],
+        403: { description: 'The caller\'s role is below importer', content: { 'application/json': { schema: ref('Error') } } },
+        404: notFound,
+        409: {
+            description: 'The record changed since lastModified was read (current holds it as it is now), ' +
+                'or the change would duplicate another record or remove one still in use',
+            content: { 'application/json': { schema: ref('Conflict') } }
+        },
+        500: errorResponses[500]
+    };
+}
+
+const lastModifiedParameter = {
+    name: 'lastModified',
+    in: 'query',
+    required: true,
+    description: 'The last_modified of the record as read; may be sent in a JSON body instead',
+    schema: { type: 'string' }
+};
+
+const integer = { type: 'integer' };
+const nullableInteger = { type: 'integer', nullable: true };
+const text = { type: 'string' };
+const nullableText = { type: 'string', nullable: true };
+const date = { type: 'string', format: 'date-time', nullable: true };
+const lastModified = {
+    type: 'string',
+    description: 'When the record last changed; edits send it back as lastModified'
+};
+
+const schemas = {
+    Error: {
+        type: 'object',
+        properties: { error: text, details: text }
+    },
+    Conflict: {
+        type: 'object',
+        properties: {
+            error: text,
+            details: text,
+            current: { type: 'object', description: 'The record as it is now, when it changed since it was read' }
+        }
+    },
+    Skipper: {
+        type: 'object',
+        properties: {
+            id: integer,
+            name: text,
+            yacht_club: nullableText,
+            club_id: nullableInteger,
+            club_name: { ...nullableText, description: 'Canonical name of the club the skipper is linked to' },
+            total_races: integer,
+            wins: integer,
+            best_position: nullableInteger,
+            first_race: date,
+            last_race: date,
+            rating: { type: 'number', description: 'Elo rating; unrated skippers are at the starting rating' },
+            rated_races: integer,
+            provisional: { type: 'boolean', description: 'Rated from too few races to rank on' },
+            last_modified: lastModified
+        }
+    },
+    SkipperDetail: {
+        allOf: [ref('Skipper'), {
+            type: 'object',
+            properties: {
+                aliases: { type: 'array', items: { type: 'object', properties: { id: integer, alias: text } } }
+            }
+        }]
+    },
+    SkipperResult: {
+        type: 'object',
+        properties: {
+            id: integer,
+            regatta_id: integer,
+            regatta_name: text,
+            regatta_date: date,
+            category: nullableText,
+            boat_id: nullableInteger,
+            boat_name: nullableText,
+            sail_number: nullableText,
+            position: nullableInteger,
+            total_points: { type: 'number', nullable: true }
+        }
+    },
+    Regatta: {
+        type: 'object',
+        properties: {
+            id: integer,
+            name: text,
+            regatta_date: date,
+            venue: nullableText,
+            categories: { ...nullableText, description: 'Comma-separated fleets' },
+            races: integer,
+            participants: integer
+        }
+    },
+    Result: {
+        type: 'object',
+        properties: {
+            id: integer,
+            race_id: integer,
+            category: nullableText,
+            position: nullableInteger,
+            total_points: { type: 'number', nullable: true },
+            race_scores: {
+                type: 'array',
+                nullable: true,
+                items: {
+                    type: 'object',
+                    properties: {
+                        race: text,
+                        points: { type: 'number', nullable: true },
+                        code: nullableText,
+                        discarded: { type: 'boolean' }
+                    }
+                }
+            },
+            skipper_id: integer,
+            skipper_name: text,
+            yacht_club: nullableText,
+            boat_id: nullableInteger,
+            boat_name: nullableText,
+            sail_number: nullableText
+        }
+    },
+    SkipperRecord: {
+        type: 'object',
+        description: 'A skipper as the edit operations return it',
+        properties: {
+            id: integer,
+            name: text,
+            yacht_club: nullableText,
+            club_id: nullableInteger,
+            results: integer,
+            last_modified: lastModified
+        }
+    },
+    SkipperInput: {
+        type: 'object',
+        description: 'Text is trimmed and at most 300 characters, as /upload allows. ' +
+            'To correct a skipper, send only the fields that change, with lastModified.',
+        properties: {
+            name: { ...text, description: 'Required when creating' },
+            yachtClub: { ...nullableText, description: 'Linked to the club it names when there is one' },
+            lastModified: { ...text, description: 'The last_modified read; required when correcting' }
+        }
+    },
+    RaceInput: {
+        type: 'object',
+        description: 'Creating a race adds it to the regatta with that name and date, or a new one. ' +
+            'Correcting the regatta name, date or venue changes them for its other races too.',
+        properties: {
+            regattaName: { ...text, description: 'Required when creating' },
+            regattaDate: { ...text, description: 'A date /upload reads, e.g. 2024-05-31; required when creating' },
+            venue: nullableText,
+            category: nullableText,
+            lastModified: { ...text, description: 'The last_modified read; required when correcting' }
+        }
+    },
+    ResultInput: {
+        type: 'object',
+        properties: {
+            raceId: { ...integer, description: 'Required when creating' },
+            skipperId: { ...integer, description: 'Required when creating' },
+            boatName: nullableText,
+            sailNumber: nullableText,
+            position: { type: 'string', nullable: true, description: 'A whole number' },
+            totalPoints: { type: 'string', nullable: true, description: 'A number below 1000' },
+            lastModified: { ...text, description: 'The last_modified read; required when correcting' }
+        }
+    },
+    Race: {
+        type: 'object',
+        description: 'One fleet (category) at a regatta',
+        properties: {
+            id: integer,
+            regatta_id: integer,
+            regatta_name: text,
+            regatta_date: { type: 'string', format: 'date' },
+            venue: nullableText,
+            category: nullableText,
+            results: integer,
+            last_modified: { ...lastModified, description: 'When the race or its regatta last changed' }
+        }
+    },
+    ResultRecord: {
+        type: 'object',
+        properties: {
+            id: integer,
+            race_id: integer,
+            regatta_id: integer,
+            regatta_name: text,
+            regatta_date: { type: 'string', format: 'date' },
+            category: nullableText,
+            skipper_id: integer,
+            skipper_name: text,
+            boat_id: nullableInteger,
+            boat_name: nullableText,
+            sail_number: nullableText,
+            position: nullableInteger,
+            total_points: { type: 'number', nullable: true },
+            last_modified: lastModified
+        }
+    },
+    Boat: {
+        type: 'object',
+        properties: {
+            id: integer,
+            sail_number: text,
+            sail_key: { ...text, description: 'Sail number normalized for matching' },
+            current_name: nullableText,
+            results: integer,
+            last_raced: date
+        }
+    },
+    Club: {
+        type: 'object',
+        properties: {
+            id: integer,
+            name: text,
+            short_code: nullableText,
+            aliases: { type: 'array', items: { type: 'object', properties: { id: integer, alias: text } } },
+            skippers: integer
+        }
+    }
+};
+
+const openApiDocument = {
+    openapi: '3.0.3',
+    info: {
+        title: 'Sailing results API',
+        version,
+        description: 'Access to the imported skippers, regattas, results, boats and clubs. ' +
+            'Lists are paged: pass the nextCursor of one page as ?cursor= to get the next. ' +
+            'Reading needs the viewer role: send an API token (POST /api/tokens) as a bearer token. ' +
+            'Correcting skippers, races and results needs the importer role, and the record\'s last_modified ' +
+            'sent back as lastModified: if it changed since, the answer is 409 with the current record.'
+    },
+    security: [{ bearerToken: [] }],
+    paths: {
+        '/api/skippers': {
+            get: {
+                summary: 'List skippers with their racing record',
+                description: 'Club, category and year keep skippers who raced under them, and the record counts only those races.',
+                parameters: [
+                    filters.search('Skipper name or alias contains'),
+                    filters.club, filters.category, filters.year,
+                    ...pageParameters(['name', 'races', 'wins', 'rating', 'last_race'], 'name')
+                ],
+                responses: { 200: listResponse('Skippers', 'skippers', 'Skipper'), ...errorResponses }
+            },
+            post: {
+                summary: 'Add a skipper',
+                requestBody: jsonBody('SkipperInput'),
+                responses: editResponses(201, 'skipper', 'SkipperRecord')
+            }
+        },
+        '/api/skippers/{id}': {
+            get: {
+                summary: 'One skipper, with aliases and latest results',
+                parameters: [idParameter('Skipper id')],
+                responses: {
+                    200: jsonResponse('Skipper', {
+                        skipper: ref('SkipperDetail'),
+                        recentResults: { type: 'array', items: ref('SkipperResult') }
+                    }),
+                    401: errorResponses[401],
+                    403: errorResponses[403],
+                    404: notFound,
+                    500: errorResponses[500]
+                }
+            },
+            patch: {
+                summary: 'Correct a skipper',
+                parameters: [idParameter('Skipper id')],
+                requestBody: jsonBody('SkipperInput'),
+                responses: editResponses(200, 'skipper', 'SkipperRecord')
+            },
+            delete: {
+                summary: 'Delete a skipper without results',
+                description: 'A skipper with results is refused with 409; merge them into another skipper instead.',
+                parameters: [idParameter('Skipper id'), lastModifiedParameter],
+                responses: editResponses(200)
+            }
+        },
+        '/api/regattas': {
+            get: {
+                summary: 'List regattas',
+                description: 'Club and category keep regattas where that club\'s skippers or that fleet raced.',
+                parameters: [
+                    filters.search('Regatta name or venue contains'),
+                    filters.club, filters.category, filters.year,
+                    ...pageParameters(['date', 'name', 'participants'], '-date')
+                ],
+                responses: { 200: listResponse('Regattas', 'regattas', 'Regatta'), ...errorResponses }
+            }
+        },
+        '/api/regattas/{id}/results': {
+            get: {
+                summary: 'Results of one regatta',
+                description: 'Sorted by position or points, results are grouped by fleet.',
+                parameters: [
+                    idParameter('Regatta id'),
+                    filters.search('Skipper name or alias contains'),
+                    filters.club, filters.category,
+                    ...pageParameters(['position', 'points', 'skipper'], 'position')
+                ],
+                responses: {
+                    200: jsonResponse('Results', {
+                        regatta: {
+                            type: 'object',
+                            properties: { id: integer, name: text, regatta_date: date, venue: nullableText }
+                        },
+                        results: { type: 'array', items: ref('Result') },
+                        nextCursor: { type: 'string', nullable: true }
+                    }),
+                    404: notFound,
+                    ...errorResponses
+                }
+            }
+        },
+        '/api/races': {
+            get: {
+                summary: 'List races (fleets at a regatta)',
+                description: 'Club keeps races that club\'s skippers sailed.',
+                parameters: [
+                    filters.search('Regatta name or venue contains'),
+                    filters.club, filters.category, filters.year,
+                    ...pageParameters(['date', 'name'], '-date')
+                ],
+                responses: { 200: listResponse('Races', 'races', 'Race'), ...errorResponses }
+            },
+            post: {
+                summary: 'Add a race',
+                requestBody: jsonBody('RaceInput'),
+                responses: editResponses(201, 'race', 'Race')
+            }
+        },
+        '/api/races/{id}': {
+            get: {
+                summary: 'One race',
+                parameters: [idParameter('Race id')],
+                responses: { 200: jsonResponse('Race', { race: ref('Race') }), 404: notFound, ...errorResponses }
+            },
+            patch: {
+                summary: 'Correct a race or its regatta',
+                parameters: [idParameter('Race id')],
+                requestBody: jsonBody('RaceInput'),
+                responses: editResponses(200, 'race', 'Race')
+            },
+            delete: {
+                summary: 'Delete a race without results',
+                description: 'Its regatta goes too when it has no other races and no series includes it.',
+                parameters: [idParameter('Race id'), lastModifiedParameter],
+                responses: editResponses(200)
+            }
+        },
+        '/api/results': {
+            get: {
+                summary: 'List results across regattas',
+                parameters: [
+                    filters.search('Skipper name or alias contains'),
+                    filters.club, filters.category, filters.year,
+                    queryParameter('regatta', 'Regatta name contains'),
+                    ...pageParameters(['date', 'skipper', 'position'], '-date')
+                ],
+                responses: { 200: listResponse('Results', 'results', 'ResultRecord'), ...errorResponses }
+            },
+            post: {
+                summary: 'Add a result',
+                requestBody: jsonBody('ResultInput'),
+                responses: editResponses(201, 'result', 'ResultRecord')
+            }
+        },
+        '/api/results/{id}': {
+            get: {
+                summary: 'One result',
+                parameters: [idParameter('Result id')],
+                responses: { 200: jsonResponse('Result', { result: ref('ResultRecord') }), 404: notFound, ...errorResponses }
+            },
+            patch: {
+                summary: 'Correct a result',
+                parameters: [idParameter('Result id')],
+                requestBody: jsonBody('ResultInput'),
+                responses: editResponses(200, 'result', 'ResultRecord')
+            },
+            delete: {
+                summary: 'Delete a result',
+                parameters: [idParameter('Result id'), lastModifiedParameter],
+                responses: editResponses(200)
+            }
+        },
+        '/api/boats': {
+            get: {
+                summary: 'List boats',
+                description: 'Club, category and year keep boats with results sailed under them.',
+                parameters: [
+                    filters.search('Sail number, or a name the boat raced under'),
+                    filters.club, filters.category, filters.year,
+                    ...pageParameters(['sail_number', 'name', 'results', 'last_raced'], 'sail_number')
+                ],
+                responses: { 200: listResponse('Boats', 'boats', 'Boat'), ...errorResponses }
+            }
+        },
+        '/api/clubs': {
+            get: {
+                summary: 'List clubs',
+                description: 'Category and year keep clubs whose skippers raced under them.',
+                parameters: [
+                    filters.search('Club name or alias contains, or the short code'),
+                    filters.category, filters.year,
+                    ...pageParameters(['name', 'skippers'], 'name')
+                ],
+                responses: { 200: listResponse('Clubs', 'clubs', 'Club'), ...errorResponses }
+            }
+        },
+        '/api/results/export': {
+            get: {
+                summary: 'Download results',
+                parameters: [filters.club, filters.category, filters.year, formatParameter],
+                responses: { 200: exportResponse('Results'), ...errorResponses }
+            }
+        },
+        '/api/regattas/{id}/results/export': {
+            get: {
+                summary: 'Download the full results of one regatta',
+                parameters: [idParameter('Regatta id'), formatParameter],
+                responses: { 200: exportResponse('The regatta\'s results'), 404: notFound, ...errorResponses }
+            }
+        },
+        '/api/skippers/{id}/results/export': {
+            get: {
+                summary: 'Download the results history of one skipper',
+                parameters: [idParameter('Skipper id'), formatParameter],
+                responses: { 200: exportResponse('The skipper\'s results'), 404: notFound, ...errorResponses }
+            }
+        }
+    },
+    components: {
+        schemas,
+        securitySchemes: { bearerToken: { type: 'http', scheme: 'bearer' } }
+    }
+};
+
+module.exports = { openApiDocument };
@@ -0,0 +1,112 @@
+// Cursor pagination for the REST list resources. Pages are cut on the sort
+// key plus the row id, so rows added or removed between requests don't
+// shift later pages the way an offset would.
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+function badRequest(message) {
+    return Object.assign(new Error(message), { status: 400 });
+}
+
+function encodeCursor(cursor) {
+    return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+function decodeCursor(text) {
+    try {
+        const cursor = JSON.parse(Buffer.from(text, 'base64url').toString('utf8'));
+        if (cursor && typeof cursor.sort === 'string' && Array.isArray(cursor.values) && Number.isInteger(cursor.id)) {
+            return cursor;
+        }
+    } catch (error) {
+        // Fall through: not one of ours
+    }
+    throw badRequest('cursor is not valid; use the nextCursor from a previous page');
+}
+
+/**
+ * Read ?sort=, ?limit= and ?cursor= for a list resource.
+ *
+ * sorts: the sort keys the resource allows, each a list of { sql, type }
+ *   columns: an expression over the listed rows (as items.<column>) that is
+ *   never NULL, and the Postgres type a cursor value is compared as.
+ * defaultSort: the sort key used when none is given; a leading '-' sorts
+ *   descending, as it does in ?sort=.
+ *
+ * Throws with status 400 for an unknown sort, or a cursor from another sort.
+ */
+function readPageOptions(query, sorts, defaultSort) {
+    const sort = typeof query.sort === 'string' && query.sort.trim() ? query.sort.trim() : defaultSort;
+    const key = sort.replace(/^-/, '');
+    if (!Object.prototype.hasOwnProperty.call(sorts, key)) {
+        throw badRequest(`sort must be one of: ${Object.keys(sorts).join(', ')} (prefix with - for descending)`);
+    }
+
+    let cursor = null;
+    if (typeof query.cursor === 'string' && query.cursor) {
+        cursor = decodeCursor(query.cursor);
+        if (cursor.sort !== sort || cursor.values.length !== sorts[key].length) {
+            throw badRequest(`cursor belongs to sort "${cursor.sort}", not "${sort}"`);
+        }
+    }
+
+    return {
+        sort,
+        columns: sorts[key],
+        descending: sort.startsWith('-'),
+        limit: Math.min(Math.max(parseInt(query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT),
+        cursor
+    };
+}
+
+/**
+ * Run one page of a list query.
+ *
+ * list: { query, params } selecting the rows, each with an id column.
+ * page: from readPageOptions.
+ *
+ * Resolves to { rows, nextCursor }, nextCursor being null on the last page.
+ */
+async function paginate(client, list, page) {
+    const params = [...list.params];
+    const direction = page.descending ? 'DESC' : 'ASC';
+    const expressions = page.columns.map(column => `(${column.sql})`);
+
+    let after = '';
+    if (page.cursor) {
+        const placeholders = page.columns.map((column, i) => {
+            params.push(page.cursor.values[i]);
+            return `$${params.length}::${column.type}`;
+        });
+        params.push(page.cursor.id);
+        after = `WHERE (${expressions.join(', ')}, items.id) ${page.descending ? '<' : '>'} (${placeholders.join(', ')}, $${params.length})`;
+    }
+    params.push(page.limit + 1);
+
+    const result = await client.query(`
+        SELECT items.*, ARRAY[${expressions.map(sql => `${sql}::TEXT`).join(', ')}] AS page_sort_values
+        FROM (${list.query}) items
+        ${after}
+        ORDER BY ${expressions.map(sql => `${sql} ${direction}`).join(', ')}, items.id ${direction}
+        LIMIT $${params.length}
+    `, params);
+
+    const rows = result.rows.slice(0, page.limit);
+    const last = rows[rows.length - 1];
+    const nextCursor = result.rows.length > page.limit
+        ? encodeCursor({ sort: page.sort, values: last.page_sort_values, id: last.id })
+        : null;
+
+    return {
+        rows: rows.map(({ page_sort_values, ...row }) => row),
+        nextCursor
+    };
+}
+
+module.exports = {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    readPageOptions,
+    paginate
+};
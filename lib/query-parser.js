@@ -0,0 +1,202 @@
+// Rule-based chat query parser: turns the questions the chat documents into
+// the same analysis objects the language model returns, with no network
+
+const NUMBER_WORDS = {
+    one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+    fifteen: 15, twenty: 20
+};
+
+const PEOPLE = '(?:sailors?|skippers?|people|persons?|racers?|competitors?|helms?)';
+const EVENTS = '(?:regattas?|races?|events?|competitions?)';
+const NUMBER = '(\\d+|' + Object.keys(NUMBER_WORDS).join('|') + ')';
+
+function toNumber(text) {
+    if (!text) return undefined;
+    return NUMBER_WORDS[text.toLowerCase()] || parseInt(text);
+}
+
+// Trim quotes, articles and trailing words that aren't part of a name
+function cleanName(text) {
+    return text
+        .replace(/^["'“‘]+|["'”’]+$/g, '')
+        .replace(/^(?:the|a|an)\s+/i, '')
+        .replace(/\s+(?:please|now)$/i, '')
+        .trim();
+}
+
+// Checked in order: the first rule whose pattern matches the whole question
+// wins, so narrower questions come before broader ones
+const RULES = [
+    {
+        // "how many races in 2023", "list regattas in 2024", "races 2023"
+        pattern: new RegExp(`^(?:(?:list|show|count|how many)\\s+(?:all\\s+)?(?:the\\s+)?)?${EVENTS}\\s+(?:(?:were\\s+)?(?:there\\s+)?(?:sailed\\s+)?(?:in|from|during|for)\\s+)?((?:19|20)\\d{2})$`, 'i'),
+        build: m => ({ queryType: 'regatta_count', year: m[1] })
+    },
+    {
+        // "how many sailors do you know", "what's in the database", "database stats"
+        pattern: new RegExp(`^(?:how many\\s+(?:${PEOPLE}|${EVENTS}|clubs?|results?).*|what(?:'s| is) in (?:the|your) (?:database|db)|(?:show\\s+)?(?:database|db)\\s+(?:stats|statistics|status|info)|stats|status)$`, 'i'),
+        build: () => ({ queryType: 'database_status' })
+    },
+    {
+        // "how does Alice do against Bob", "Alice vs Bob", "compare Alice and Bob".
+        // Not "who won the Race Against Time", "results for Town vs Gown" or
+        // "Race Against Time results": those ask for a regatta's results.
+        pattern: /^(?!who\s+won\s|(?:(?:show|list|get)\s+)?(?:the\s+)?(?:results|positions|placings)\s|.*\s(?:results|positions|placings)$)(?:how\s+(?:does|did|do)\s+)?(.+?)\s+(?:(?:do|does|did|fare|go|race)\s+)?(?:against|vs\.?|versus)\s+(.+)$/i,
+        build: m => ({ queryType: 'head_to_head', sailorA: cleanName(m[1]), sailorB: cleanName(m[2]) })
+    },
+    {
+        pattern: /^(?:compare|head[\s-]to[\s-]head(?:\s+(?:for|of|between))?)\s+(.+?)\s+(?:and|with|&)\s+(.+)$/i,
+        build: m => ({ queryType: 'head_to_head', sailorA: cleanName(m[1]), sailorB: cleanName(m[2]) })
+    },
+    {
+        // "show Jon Smith's best regatta", "best results for Jon Smith"
+        pattern: /^(?:(?:show|list|what (?:is|was|are|were))\s+)?(?:the\s+)?(.+?)'s?\s+best\s+(?:regattas?|results?|finish(?:es)?|races?|performances?)$/i,
+        build: m => ({ queryType: 'skipper_best_results', sailorName: cleanName(m[1]) })
+    },
+    {
+        pattern: /^(?:(?:show|list)\s+)?(?:the\s+)?best\s+(?:regattas?|results?|finish(?:es)?|races?|performances?)\s+(?:for|of|by)\s+(.+)$/i,
+        build: m => ({ queryType: 'skipper_best_results', sailorName: cleanName(m[1]) })
+    },
+    {
+        // "who is leading the Spring Series", "standings in the club championship"
+        pattern: /^(?:who(?:'s| is)\s+(?:leading|winning|ahead in|top of)|(?:show\s+)?(?:the\s+)?(?:standings|leaderboard|table|leader)\s+(?:in|for|of))\s+(.+)$/i,
+        build: m => ({ queryType: 'series_standings', seriesName: cleanName(m[1]) })
+    },
+    {
+        // "Spring Series standings", "club championship leader"
+        pattern: /^(.+?)\s+(?:standings|leader|leaders|leaderboard|table)$/i,
+        build: m => ({ queryType: 'series_standings', seriesName: cleanName(m[1]) })
+    },
+    {
+        // "top rated sailors", "top 5 rated sailors from SYS", "who has the highest rating"
+        pattern: new RegExp(`^(?:(?:who are|show|list)\\s+)?(?:the\\s+)?(?:top|best|highest)(?:\\s+${NUMBER})?\\s+rated(?:\\s+${PEOPLE})?(?:\\s+(?:from|in|at|of)\\s+(.+))?$`, 'i'),
+        build: m => ({ queryType: 'top_rated', limit: toNumber(m[1]), ...(m[2] ? { yachtClub: cleanName(m[2]) } : {}) })
+    },
+    {
+        pattern: /^who\s+(?:has|have)\s+the\s+(?:highest|best|top)\s+ratings?$/i,
+        build: () => ({ queryType: 'top_rated' })
+    },
+    {
+        // "who are the top 5 sailors from SYS", "best sailors in SYS"
+        pattern: new RegExp(`^(?:(?:who are|show|list)\\s+)?(?:the\\s+)?(?:top|best)(?:\\s+${NUMBER})?\\s+(?:${PEOPLE}|performers)\\s+(?:from|in|at|of)\\s+(.+)$`, 'i'),
+        build: m => ({ queryType: 'top_sailors', yachtClub: cleanName(m[2]), limit: toNumber(m[1]) })
+    },
+    {
+        // "SYS team"
+        pattern: /^(.+?)\s+(?:team|club members)$/i,
+        build: m => ({ queryType: 'top_sailors', yachtClub: cleanName(m[1]) })
+    },
+    {
+        // "show results for the Spring Cup", "who won the Spring Cup", "Spring Cup results"
+        pattern: /^(?:(?:show|list|get)\s+)?(?:the\s+)?(?:results|positions|placings)\s+(?:for|of|in|from|at)\s+(.+)$/i,
+        build: m => ({ queryType: 'regatta_results', regattaName: cleanName(m[1]) })
+    },
+    {
+        pattern: /^who\s+won\s+(.+)$/i,
+        build: m => ({ queryType: 'regatta_results', regattaName: cleanName(m[1]) })
+    },
+    {
+        pattern: /^(.+?)\s+(?:results|positions|placings)$/i,
+        build: m => ({ queryType: 'regatta_results', regattaName: cleanName(m[1]) })
+    },
+    {
+        // "find boat Wildcat", "what boat is Wildcat", "search for yacht Wildcat"
+        pattern: /^(?:(?:find|search(?:\s+for)?|look\s*up|show|what)\s+)?(?:the\s+)?(?:boat|yacht|vessel)(?:\s+(?:is|named|called))?\s+(.+)$/i,
+        build: m => ({ queryType: 'boat_search', boatName: cleanName(m[1]) })
+    },
+    {
+        // "find sailor John", "who is John Smith", "tell me about John"
+        pattern: new RegExp(`^(?:find|search(?:\\s+for)?|look\\s*up|who\\s+is|who's|tell\\s+me\\s+about|show)\\s+(?:the\\s+)?(?:${PEOPLE}\\s+)?(.+)$`, 'i'),
+        build: m => ({ queryType: 'sailor_search', sailorName: cleanName(m[1]) })
+    }
+];
+
+// Words that refer back to what the conversation is about, by entity
+const REFERENCES = [
+    { entity: 'skipper', pattern: /\b(?:his|her|their)\b/gi, replace: name => `${name}'s` },
+    { entity: 'skipper', pattern: /\b(?:he|she|they|him|them)\b/gi, replace: name => name },
+    { entity: 'regatta', pattern: /\b(?:that|this|the same)\s+(?:regatta|event|race)\b/gi, replace: name => name },
+    { entity: 'club', pattern: /\b(?:that|this|the same)\s+(?:club|team)\b/gi, replace: name => name },
+    { entity: 'boat', pattern: /\b(?:that|this|the same)\s+(?:boat|yacht)\b/gi, replace: name => `boat ${name}` },
+    { entity: 'series', pattern: /\b(?:that|this|the same)\s+(?:series|championship)\b/gi, replace: name => name }
+];
+
+// The field a follow-up like "what about Alice?" replaces, by query type
+const SUBJECT_FIELDS = {
+    sailor_search: 'sailorName',
+    skipper_best_results: 'sailorName',
+    boat_search: 'boatName',
+    top_sailors: 'yachtClub',
+    top_rated: 'yachtClub',
+    regatta_results: 'regattaName',
+    series_standings: 'seriesName',
+    head_to_head: 'sailorB'
+};
+
+// Follow-ups that refine the previous question rather than ask a new one
+const FOLLOW_UP_RULES = [
+    {
+        // "what about in 2023?", "and 2024", "only in 2022"
+        pattern: /^(?:(?:and|but|what|how)\s+)?(?:about\s+)?(?:just\s+|only\s+)?(?:(?:in|for|during|from)\s+)?((?:19|20)\d{2})$/i,
+        build: (m, last) => ({ ...last, year: m[1] })
+    },
+    {
+        // "what about all years?"
+        pattern: /^(?:(?:and|what|how)\s+)?(?:about\s+)?(?:(?:in|for|over)\s+)?(?:all|any|every)\s+years?$/i,
+        build: (m, last) => {
+            const { year, ...rest } = last;
+            return rest;
+        }
+    },
+    {
+        // "what about Alice?", "how about the Fall Cup?", "and SYS?"
+        pattern: /^(?:what|how|and)\s+(?:about\s+)?(.+)$/i,
+        build: (m, last) => SUBJECT_FIELDS[last.queryType]
+            ? { ...last, [SUBJECT_FIELDS[last.queryType]]: cleanName(m[1]) }
+            : null
+    }
+];
+
+// Put the names the conversation is about in place of pronouns and "that regatta"
+function resolveReferences(query, entities = {}) {
+    return REFERENCES.reduce((text, reference) => {
+        const name = entities[reference.entity];
+        return name ? text.replace(reference.pattern, () => reference.replace(name)) : text;
+    }, query);
+}
+
+function matchRules(rules, query, ...extra) {
+    for (const rule of rules) {
+        const match = query.match(rule.pattern);
+        if (!match) continue;
+        const analysis = rule.build(match, ...extra);
+        if (!analysis) continue;
+        // Leave out fields the question didn't give, as the model would
+        for (const key of Object.keys(analysis)) {
+            if (analysis[key] === undefined || analysis[key] === '') delete analysis[key];
+        }
+        return analysis;
+    }
+    return null;
+}
+
+/**
+ * Parse a chat question into an analysis ({ queryType, ... }), or return null
+ * when it isn't one of the questions the rules know.
+ *
+ * context (optional, see lib/chat-sessions.js) is the conversation so far:
+ * { entities, lastAnalysis }. Pronouns are resolved against the entities,
+ * and follow-ups like "what about in 2023?" refine the last analysis.
+ */
+function parseQuery(text, context = {}) {
+    const query = resolveReferences(
+        String(text ?? '').replace(/\s+/g, ' ').replace(/[?.!]+$/, '').trim(),
+        context.entities
+    );
+    if (!query) return null;
+
+    return matchRules(RULES, query) ||
+        (context.lastAnalysis ? matchRules(FOLLOW_UP_RULES, query, context.lastAnalysis) : null);
+}
+
+module.exports = { parseQuery };
@@ -0,0 +1,269 @@
+const OpenAI = require('openai');
+const { parseQuery } = require('./query-parser.js');
+
+/**
+ * Query providers turn a chat question into an analysis ({ queryType, ... },
+ * see generateSQL in index.js). A provider is { name, analyze(query, context) },
+ * where analyze resolves to the analysis, or to null when the provider doesn't
+ * understand the question, and rejects when the provider can't be reached.
+ * context is the conversation so far, for follow-up questions (see
+ * sessionContext in lib/chat-sessions.js); it may be left out.
+ *
+ * Configuration (environment):
+ *   QUERY_PROVIDERS  providers to try, in order (default "openai,rules")
+ *   LLM_BASE_URL     OpenAI-compatible API to use, e.g. a local model server
+ *                    (default OPENAI_BASE_URL, then the OpenAI API)
+ *   LLM_MODEL        model name (default gpt-3.5-turbo)
+ *   LLM_API_KEY      API key (default OPENAI_API_KEY; local servers may need none)
+ *   LLM_TIMEOUT_MS   how long to wait for the model (default 20000)
+ *
+ * The openai provider is skipped when it has neither a key nor a base URL.
+ */
+
+const DEFAULT_PROVIDERS = 'openai,rules';
+const DEFAULT_MODEL = 'gpt-3.5-turbo';
+const DEFAULT_TIMEOUT_MS = 20000;
+
+const SYSTEM_PROMPT = `You are a sailing race database assistant. You help users find information about sailors, races, and results.
+
+Database Structure:
+- Skippers (also called sailors, racers, people, competitors):
+  * name: Person's full name
+  * yacht_club: Their club/team affiliation
+
+- Regattas (also called events, competitions):
+  * name: Event name
+  * regatta_date: When it happened
+  * venue: Where it was sailed
+
+- Races: One fleet/category sailed at a regatta
+  * category: Type of race/class
+
+- Results: Entries linking a skipper and boat to a race with their finishing data
+  * boat_name: Name of the vessel
+  * sail_number: Boat's registration number
+  * position: Place they finished (1st, 2nd, etc.)
+  * total_points: Points awarded
+
+Common Questions You Can Answer:
+1. Finding People:
+   - "find sailor/skipper/person [name]"
+   - "who is [name]?"
+   - "tell me about [name]"
+   - "search for [name]"
+   - "lookup [name]"
+   -> Return: {"queryType": "sailor_search", "sailorName": "[name]"}
+
+2. Finding Boats:
+   - "find boat [name]"
+   - "search for boat [name]"
+   - "what boat is [name]"
+   -> Return: {"queryType": "boat_search", "boatName": "[name]"}
+
+3. Top Performers:
+   - "who are the top [N] sailors from [club]"
+   - "best sailors in [club]"
+   - "top performers from [club]"
+   -> Return: {"queryType": "top_sailors", "yachtClub": "[club]", "limit": N}
+
+4. Regatta Results:
+   - "show results for [regatta]"
+   - "who won [regatta]"
+   - "positions in [regatta]"
+   -> Return: {"queryType": "regatta_results", "regattaName": "[regatta]"}
+
+5. Database Information:
+   - "how many sailors/races do you know?"
+   - "what's in the database?"
+   - "show database stats"
+   -> Return: {"queryType": "database_status"}
+
+6. Regatta Counts:
+   - "list regattas in [year]"
+   - "how many races in [year]"
+   - "show races from [year]"
+   -> Return: {"queryType": "regatta_count", "year": "[year]"}
+
+7. Series Standings (a season series or championship over several regattas):
+   - "who is leading the [series]"
+   - "standings in the [series]"
+   - "[series] championship table"
+   -> Return: {"queryType": "series_standings", "seriesName": "[series]"}
+
+8. Skill Ratings (rating from finishing order against the rest of the fleet):
+   - "top rated sailors"
+   - "who has the highest rating"
+   - "top [N] rated sailors from [club]"
+   -> Return: {"queryType": "top_rated", "limit": N, "yachtClub": "[club]"}
+   (leave out yachtClub when no club is named)
+
+9. Head to Head (two sailors compared where they raced each other):
+   - "how does [A] do against [B]?"
+   - "[A] vs [B]"
+   - "compare [A] and [B]"
+   -> Return: {"queryType": "head_to_head", "sailorA": "[A]", "sailorB": "[B]"}
+
+10. A Sailor's Best Results:
+   - "show [name]'s best regatta"
+   - "best results for [name]"
+   -> Return: {"queryType": "skipper_best_results", "sailorName": "[name]"}
+
+Questions limited to one year ("... in 2023") add "year": "[year]" to
+sailor_search, boat_search, top_sailors, regatta_results and skipper_best_results.
+
+Follow-up Questions:
+The conversation so far comes before the question, with what it was about.
+Use it to resolve pronouns and refinements, and always name people, boats,
+clubs and regattas in full in the JSON:
+- after "find John Smith", "show his best regatta" -> skipper_best_results with "John Smith"
+- after "find John Smith", "what about in 2023?" -> sailor_search with "John Smith" and year 2023
+- after "who won the Spring Cup", "what about the Fall Cup?" -> regatta_results with "Fall Cup"
+
+Understand these synonyms:
+- Person = Sailor = Skipper = Racer = Competitor
+- Race = Regatta = Event = Competition
+- Club = Team = Yacht Club = Organization
+
+Always try to understand partial or informal queries:
+- "find John" -> sailor_search with "John"
+- "races 2023" -> regatta_count with year 2023
+- "SYS team" -> top_sailors with "SYS"
+- "Spring Series results" -> regatta_results with "Spring Series"
+- "Spring Series leader" -> series_standings with "Spring Series"
+
+If you don't understand the query, return:
+{"queryType": "database_status"}
+
+IMPORTANT: Always return valid JSON, never plain text.`;
+
+// Deterministic parsing of the documented questions (see query-parser.js)
+function createRulesProvider() {
+    return {
+        name: 'rules',
+        analyze: async (query, context) => parseQuery(query, context)
+    };
+}
+
+// The conversation so far as chat messages: earlier questions with the
+// analysis each got, and a note of what was last discussed
+function contextMessages(context = {}) {
+    const messages = [];
+    for (const turn of context.turns || []) {
+        messages.push({ role: 'user', content: turn.query });
+        messages.push({ role: 'assistant', content: JSON.stringify(turn.analysis) });
+    }
+    const entities = Object.entries(context.entities || {});
+    if (entities.length > 0) {
+        messages.push({
+            role: 'system',
+            content: `Last discussed: ${entities.map(([key, value]) => `${key}: ${value}`).join(', ')}`
+        });
+    }
+    return messages;
+}
+
+// Pull the JSON object out of a model reply; local models often wrap it in
+// a code block or add a sentence around it
+function parseModelReply(content) {
+    const json = String(content || '').match(/\{[\s\S]*\}/);
+    if (!json) return null;
+    try {
+        const analysis = JSON.parse(json[0]);
+        return analysis && typeof analysis.queryType === 'string' ? analysis : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Any API that speaks the OpenAI chat completions protocol
+function createOpenAIProvider({ apiKey, baseURL, model = DEFAULT_MODEL, timeout = DEFAULT_TIMEOUT_MS }) {
+    const client = new OpenAI({
+        // The client insists on a key even for servers that don't check one
+        apiKey: apiKey || 'not-needed',
+        baseURL,
+        timeout,
+        maxRetries: 1
+    });
+
+    return {
+        name: 'openai',
+        model,
+        analyze: async (query, context) => {
+            const response = await client.chat.completions.create({
+                model,
+                messages: [
+                    { role: 'system', content: SYSTEM_PROMPT },
+                    ...contextMessages(context),
+                    { role: 'user', content: query }
+                ],
+                temperature: 0
+            });
+            const content = response.choices[0]?.message?.content;
+            const analysis = parseModelReply(content);
+            if (!analysis) {
+                console.error('Failed to parse model response:', content);
+            }
+            return analysis;
+        }
+    };
+}
+
+// Build the providers QUERY_PROVIDERS asks for, leaving out ones that aren't configured
+function createProviders(env = process.env) {
+    const factories = {
+        rules: () => createRulesProvider(),
+        openai: () => {
+            const apiKey = env.LLM_API_KEY || env.OPENAI_API_KEY;
+            const baseURL = env.LLM_BASE_URL || env.OPENAI_BASE_URL;
+            if (!apiKey && !baseURL) return null;
+            return createOpenAIProvider({
+                apiKey,
+                baseURL,
+                model: env.LLM_MODEL || DEFAULT_MODEL,
+                timeout: parseInt(env.LLM_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS
+            });
+        }
+    };
+
+    const providers = [];
+    for (const name of (env.QUERY_PROVIDERS || DEFAULT_PROVIDERS).split(',').map(n => n.trim().toLowerCase()).filter(Boolean)) {
+        if (!factories[name]) {
+            console.warn(`⚠️ Unknown query provider "${name}" in QUERY_PROVIDERS, ignoring it`);
+            continue;
+        }
+        const provider = factories[name]();
+        if (provider) providers.push(provider);
+    }
+    return providers;
+}
+
+/**
+ * A provider that tries each of providers in turn, moving on when one fails
+ * or doesn't understand the question. analyze resolves to { analysis,
+ * provider } where provider is the name of the one that answered; questions
+ * nobody understands get the database overview, as before.
+ */
+function createFallbackProvider(providers) {
+    return {
+        name: 'fallback',
+        providers,
+        analyze: async (query, context) => {
+            for (const provider of providers) {
+                try {
+                    const analysis = await provider.analyze(query, context);
+                    if (analysis) return { analysis, provider: provider.name };
+                } catch (error) {
+                    console.warn(`⚠️ Query provider ${provider.name} failed, trying the next one:`, error.message);
+                }
+            }
+            return { analysis: { queryType: 'database_status' }, provider: null };
+        }
+    };
+}
+
+module.exports = {
+    createRulesProvider,
+    createOpenAIProvider,
+    createProviders,
+    createFallbackProvider
+};
@@ -0,0 +1,73 @@
+// Skill ratings from finishing orders: an Elo rating where each race counts
+// as a game against every other boat in the fleet
+
+const INITIAL_RATING = 1500;
+
+// How far one race can move an established rating
+const K_FACTOR = 32;
+
+// Ratings from fewer races than this are provisional and move twice as fast
+const PROVISIONAL_RACES = 10;
+
+function round(rating) {
+    return Math.round(rating * 100) / 100;
+}
+
+// Chance of finishing ahead of an opponent, from the two ratings
+function expectedScore(rating, opponentRating) {
+    return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+}
+
+function isProvisional(races) {
+    return races < PROVISIONAL_RACES;
+}
+
+/**
+ * Rate one race.
+ *
+ * entries: [{ skipperId, position }] for the boats with a finishing position.
+ * ratings: Map of skipperId to { rating, races }, updated in place; skippers
+ *   not in it start at INITIAL_RATING.
+ *
+ * Every pair of boats is a game won by the better placed one, drawn when they
+ * share a place. A skipper's change is averaged over their opponents, so a big
+ * fleet doesn't move ratings further than a small one. Races with fewer than
+ * two boats aren't rated.
+ *
+ * Returns [{ skipperId, position, ratingBefore, ratingAfter }].
+ */
+function rateRace(entries, ratings) {
+    if (entries.length < 2) return [];
+
+    const before = entries.map(entry => ratings.get(entry.skipperId) || { rating: INITIAL_RATING, races: 0 });
+    const changes = entries.map((entry, i) => {
+        let score = 0;
+        let expected = 0;
+        entries.forEach((opponent, j) => {
+            if (i === j) return;
+            score += entry.position < opponent.position ? 1 : entry.position === opponent.position ? 0.5 : 0;
+            expected += expectedScore(before[i].rating, before[j].rating);
+        });
+        const k = isProvisional(before[i].races) ? K_FACTOR * 2 : K_FACTOR;
+        return k * (score - expected) / (entries.length - 1);
+    });
+
+    return entries.map((entry, i) => {
+        // Stored ratings are rounded, so a replay from stored values matches a full recompute
+        const after = { rating: round(before[i].rating + changes[i]), races: before[i].races + 1 };
+        ratings.set(entry.skipperId, after);
+        return {
+            skipperId: entry.skipperId,
+            position: entry.position,
+            ratingBefore: before[i].rating,
+            ratingAfter: after.rating
+        };
+    });
+}
+
+module.exports = {
+    INITIAL_RATING,
+    PROVISIONAL_RACES,
+    isProvisional,
+    rateRace
+};
@@ -0,0 +1,166 @@
+const cheerio = require('cheerio');
+const { parseRaceScore } = require('./scoring.js');
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Which competitor field a summary table column holds, by normalized header text
+const COLUMN_KINDS = {
+    rank: 'rank', pos: 'rank', position: 'rank', place: 'rank',
+    fleet: 'fleet', class: 'fleet', division: 'fleet', category: 'fleet',
+    boat: 'boat', boatname: 'boat', yacht: 'boat', yachtname: 'boat',
+    sailno: 'sailNumber', sailnumber: 'sailNumber', sail: 'sailNumber', bow: 'sailNumber', bowno: 'sailNumber',
+    helm: 'helm', helmname: 'helm', skipper: 'helm', name: 'helm', competitor: 'helm',
+    club: 'club', yachtclub: 'club',
+    nett: 'nett', net: 'nett', nettpts: 'nett', netpoints: 'nett',
+    total: 'total', totalpts: 'total', totalpoints: 'total', points: 'total', pts: 'total'
+};
+
+function normalizeText(text) {
+    return String(text).replace(/\s+/g, ' ').trim();
+}
+
+function columnKind(header) {
+    const normalized = header.toLowerCase().replace(/[^a-z0-9]/g, '');
+    if (/^r(ace)?\d+$/.test(normalized)) return 'race';
+    return COLUMN_KINDS[normalized] || null;
+}
+
+function isoDate(year, monthIndex, day) {
+    return `${year}-${String(monthIndex + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// Find the first date in a piece of heading text. Date ranges ("1-3 June 2024")
+// resolve to their first day.
+function findDate(text) {
+    let match = text.match(/(\d{4})-(\d{2})-(\d{2})/);
+    if (match) return `${match[1]}-${match[2]}-${match[3]}`;
+
+    match = text.match(/\b([A-Za-z]{3,9})\.?\s+(\d{1,2})(?:st|nd|rd|th)?(?:\s*[-–]\s*\d{1,2}(?:st|nd|rd|th)?)?,?\s+(\d{4})\b/);
+    if (match && MONTHS.includes(match[1].slice(0, 3).toLowerCase())) {
+        return isoDate(match[3], MONTHS.indexOf(match[1].slice(0, 3).toLowerCase()), match[2]);
+    }
+
+    match = text.match(/\b(\d{1,2})(?:st|nd|rd|th)?(?:\s*[-–]\s*\d{1,2}(?:st|nd|rd|th)?)?\s+([A-Za-z]{3,9})\.?,?\s+(\d{4})\b/);
+    if (match && MONTHS.includes(match[2].slice(0, 3).toLowerCase())) {
+        return isoDate(match[3], MONTHS.indexOf(match[2].slice(0, 3).toLowerCase()), match[1]);
+    }
+
+    return null;
+}
+
+// Rank cells look like "1st", "=3rd" or "12"
+function parseRank(text) {
+    const match = normalizeText(text).match(/\d+/);
+    return match ? match[0] : '';
+}
+
+// Sailwave page headings with the fleet name for each summary table
+function fleetTitle($, table) {
+    const heading = $(table).prevAll('h3, h2').first();
+    const title = heading.length ? normalizeText(heading.text()) : '';
+    // The series summary heading ("Sailed: 6, Discards: 1, ...") is not a fleet
+    return title && !/sailed:|discards:/i.test(title) ? title : null;
+}
+
+// Tables that look like Sailwave results: a header row with a rank and a helm column
+function findResultTables($) {
+    const summaryTables = $('table.summarytable').toArray();
+    const candidates = summaryTables.length > 0 ? summaryTables : $('table').toArray();
+    return candidates.filter(table => {
+        const kinds = headerCells($, table).map(columnKind);
+        return kinds.includes('rank') && kinds.includes('helm');
+    });
+}
+
+function headerCells($, table) {
+    const headerRow = $(table).find('tr').filter((_, tr) => $(tr).find('th').length > 0).first();
+    return headerRow.find('th').toArray().map(th => normalizeText($(th).text()));
+}
+
+/**
+ * Parse a saved Sailwave results page into rows in the upload format
+ * (Regatta_Name, Regatta_Date, Venue, Skipper, Yacht_Club, Category,
+ * Boat_Name, Sail_Number, Position, Total_Points).
+ *
+ * Each row also carries _lineNumber (its position in the page) and
+ * _raceScores ([{ race, points, code, discarded }]).
+ *
+ * options.regattaName, options.regattaDate and options.venue override what
+ * the page says, for pages that leave them out.
+ */
+function parseSailwaveHTML(html, options = {}) {
+    const $ = cheerio.load(html);
+
+    const headings = $('h1, h2, h3, .caption, title').toArray().map(el => normalizeText($(el).text()));
+    const eventName = options.regattaName ||
+        normalizeText($('h1').first().text()) ||
+        normalizeText($('title').text()) ||
+        null;
+    const venueElement = $('[class*="venue"]').first();
+    const venue = options.venue || (venueElement.length ? normalizeText(venueElement.text()) : null);
+    const regattaDate = options.regattaDate ||
+        headings.map(findDate).find(Boolean) ||
+        null;
+
+    const tables = findResultTables($);
+    if (tables.length === 0) {
+        throw new Error('No Sailwave results tables found in the HTML file');
+    }
+
+    const rows = [];
+    const fleets = [];
+    for (const table of tables) {
+        const headers = headerCells($, table);
+        const kinds = headers.map(columnKind);
+        const tableFleet = fleetTitle($, table);
+        if (tableFleet && !fleets.includes(tableFleet)) fleets.push(tableFleet);
+
+        $(table).find('tr').each((_, tr) => {
+            const cells = $(tr).find('td').toArray().map(td => $(td).text());
+            if (cells.length === 0) return;
+
+            const competitor = { raceScores: [] };
+            kinds.forEach((kind, index) => {
+                const text = normalizeText(cells[index] ?? '');
+                if (kind === 'race') {
+                    const score = parseRaceScore(text);
+                    if (score) competitor.raceScores.push({ race: headers[index], ...score });
+                } else if (kind && competitor[kind] === undefined) {
+                    competitor[kind] = text;
+                }
+            });
+            if (!competitor.helm && !competitor.rank) return;
+
+            const fleet = competitor.fleet || tableFleet;
+            if (fleet && !fleets.includes(fleet)) fleets.push(fleet);
+
+            rows.push({
+                _lineNumber: rows.length + 1,
+                _raceScores: competitor.raceScores,
+                Regatta_Name: eventName || '',
+                Regatta_Date: regattaDate || '',
+                Venue: venue || '',
+                Skipper: competitor.helm || '',
+                Yacht_Club: competitor.club || '',
+                Category: fleet || '',
+                Boat_Name: competitor.boat || '',
+                Sail_Number: competitor.sailNumber || '',
+                Position: parseRank(competitor.rank || ''),
+                // Nett is the series score after discards; Total is before them
+                Total_Points: (competitor.nett || competitor.total || '').replace(/[^0-9.-]/g, '')
+            });
+        });
+    }
+
+    return { eventName, regattaDate, venue, fleets, rows };
+}
+
+// Quick check on the start of a file for a Sailwave (or other HTML) page
+function looksLikeHTML(text) {
+    return /^\s*(<!doctype html|<html|<head|<body|<table|<!--)/i.test(text.replace(/^\uFEFF/, ''));
+}
+
+module.exports = {
+    parseSailwaveHTML,
+    looksLikeHTML
+};
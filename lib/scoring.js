@@ -0,0 +1,232 @@
+// Series scoring under the Racing Rules of Sailing, Appendix A (low point system)
+
+// Penalty and scoring codes that can appear in a race cell
+const SCORE_CODES = ['DNC', 'DNS', 'DNF', 'RET', 'OCS', 'DSQ', 'DNE', 'UFD', 'BFD', 'ZFP', 'SCP', 'DPI', 'RDG', 'NSC', 'DGM', 'STP', 'TLE'];
+
+// Scored as one more than the number of boats entered in the series (A5.2)
+const ENTRIES_PLUS_ONE_CODES = ['DNC', 'DNS', 'DNF', 'RET', 'OCS', 'DSQ', 'DNE', 'UFD', 'BFD', 'NSC', 'DGM'];
+
+// Scores that may not be excluded (A2.1, rule 69)
+const NON_DISCARDABLE_CODES = ['DNE', 'DGM'];
+
+// Scores decided by the race committee or protest committee: the points come
+// from the results as published
+const AWARDED_CODES = ['ZFP', 'SCP', 'DPI', 'RDG', 'STP'];
+
+const TIE_BREAKS = ['rrs', 'none'];
+
+// Parse a race cell such as "3.0", "(12.0 DNF)" or "DNC".
+// Parentheses (or brackets) mark a discarded score.
+function parseRaceScore(text) {
+    let value = String(text ?? '').replace(/\s+/g, ' ').trim();
+    if (!value) return null;
+
+    const discarded = /^\(.*\)$/.test(value) || /^\[.*\]$/.test(value);
+    value = value.replace(/^[([]|[)\]]$/g, '').trim();
+
+    const codeMatch = value.toUpperCase().match(/[A-Z]{3}/);
+    const code = codeMatch && SCORE_CODES.includes(codeMatch[0]) ? codeMatch[0] : null;
+    const pointsMatch = value.match(/-?\d+(?:\.\d+)?/);
+
+    return {
+        points: pointsMatch ? parseFloat(pointsMatch[0]) : null,
+        code,
+        discarded
+    };
+}
+
+// Write a race score back as a race cell, the way parseRaceScore reads it
+function formatRaceScore(score) {
+    const text = [score.points ?? '', score.code || ''].join(' ').trim();
+    return score.discarded ? `(${text})` : text;
+}
+
+function round(points) {
+    return Math.round(points * 100) / 100;
+}
+
+/**
+ * Parse a discard setting: a number of discards ("1"), or a schedule of
+ * races sailed to discards ("4:1,8:2" = one discard from 4 races, two from 8).
+ * Returns a function of the number of races sailed, or null for 'auto' or
+ * blank. Throws with status 400 when the setting can't be read.
+ */
+function parseDiscards(setting) {
+    if (setting === undefined || setting === null || setting === '' || setting === 'auto') {
+        return null;
+    }
+    if (typeof setting === 'number' || /^\d+$/.test(String(setting).trim())) {
+        const count = parseInt(setting);
+        return () => count;
+    }
+
+    const steps = String(setting).split(',').map(step => step.trim().match(/^(\d+)\s*:\s*(\d+)$/));
+    if (steps.some(step => !step)) {
+        throw Object.assign(new Error(`Discards must be a number or a schedule like "4:1,8:2", got "${setting}"`), { status: 400 });
+    }
+    const schedule = steps
+        .map(step => ({ races: parseInt(step[1]), discards: parseInt(step[2]) }))
+        .sort((a, b) => a.races - b.races);
+    return (racesSailed) => schedule.reduce(
+        (discards, step) => racesSailed >= step.races ? step.discards : discards, 0);
+}
+
+// The number of discards the published results used: the most scores any
+// one competitor has marked as discarded
+function inferDiscards(competitors) {
+    return Math.max(0, ...competitors.map(c =>
+        (c.raceScores || []).filter(score => score.discarded).length));
+}
+
+// Race labels across all competitors, in the order they first appear
+function raceLabels(competitors) {
+    const labels = [];
+    for (const competitor of competitors) {
+        for (const score of competitor.raceScores || []) {
+            if (!labels.includes(score.race)) labels.push(score.race);
+        }
+    }
+    return labels;
+}
+
+// Points for one race score (A4, A5). Returns { points }, plus the code
+// assumed for a missing score or a problem when the score can't be worked out.
+function scoreRace(score, { entries, finishers }) {
+    if (!score) {
+        // No score for a race sailed: did not come to the starting area
+        return { points: entries + 1, code: 'DNC' };
+    }
+    if (!score.code) {
+        if (score.points === null) {
+            return { points: entries + 1, problem: 'has no points' };
+        }
+        return { points: score.points };
+    }
+    if (ENTRIES_PLUS_ONE_CODES.includes(score.code)) {
+        return { points: entries + 1 };
+    }
+    if (score.code === 'TLE') {
+        // Rule 35: one more than the boats that finished, but no worse than DNF
+        return { points: Math.min(finishers + 1, entries + 1) };
+    }
+    if (AWARDED_CODES.includes(score.code) && score.points !== null) {
+        return { points: score.points };
+    }
+    return { points: entries + 1, problem: `is ${score.code} without points` };
+}
+
+// Compare two tied competitors under A8. Negative when a ranks ahead of b.
+function compareTied(a, b) {
+    // A8.1: race scores excluding discards, best to worst, first difference
+    const aKept = a.races.filter(r => !r.discarded).map(r => r.points).sort((x, y) => x - y);
+    const bKept = b.races.filter(r => !r.discarded).map(r => r.points).sort((x, y) => x - y);
+    for (let i = 0; i < Math.min(aKept.length, bKept.length); i++) {
+        if (aKept[i] !== bKept[i]) return aKept[i] - bKept[i];
+    }
+    // A8.2: the last race, then the one before, and so on, including discards
+    for (let i = Math.min(a.races.length, b.races.length) - 1; i >= 0; i--) {
+        if (a.races[i].points !== b.races[i].points) return a.races[i].points - b.races[i].points;
+    }
+    return 0;
+}
+
+/**
+ * Score a series (one fleet) under RRS Appendix A, low point.
+ *
+ * competitors: [{ id, raceScores: [{ race, points, code, discarded }],
+ *                 position, totalPoints }] where position and totalPoints are
+ *   the published results to check against.
+ * options.discards: number, schedule ("4:1,8:2") or 'auto' (default: as many
+ *   as the published results marked).
+ * options.tieBreak: 'rrs' (A8, default) or 'none' (tied boats share a place).
+ * options.entries: boats entered in the series (default: the competitors given).
+ * options.races: race labels in the order sailed (default: the order they
+ *   first appear in the competitors' scores).
+ *
+ * Returns { races, entries, discards, standings } with standings in finishing
+ * order. Each standing has the scored races, total, net, position and
+ * mismatches: how the published results differ from the computed ones.
+ */
+function scoreSeries(competitors, options = {}) {
+    const tieBreak = options.tieBreak || 'rrs';
+    if (!TIE_BREAKS.includes(tieBreak)) {
+        throw Object.assign(new Error(`tieBreak must be one of: ${TIE_BREAKS.join(', ')}`), { status: 400 });
+    }
+
+    const races = options.races || raceLabels(competitors);
+    const entries = options.entries || competitors.length;
+    const discardsFor = parseDiscards(options.discards);
+    const discards = discardsFor ? discardsFor(races.length) : inferDiscards(competitors);
+
+    // Finishers per race, for TLE scores
+    const finishers = races.map(race => competitors.filter(c =>
+        (c.raceScores || []).some(s => s.race === race && !s.code && typeof s.points === 'number')).length);
+
+    const standings = competitors.map(competitor => {
+        const mismatches = [];
+        const scored = races.map((race, index) => {
+            const found = (competitor.raceScores || []).find(s => s.race === race);
+            const published = found
+                ? { points: typeof found.points === 'number' ? found.points : null, code: found.code || null, discarded: !!found.discarded }
+                : null;
+            const { points, code, problem } = scoreRace(published, { entries, finishers: finishers[index] });
+            if (problem) {
+                mismatches.push(`${race} ${problem}`);
+            } else if (published && published.points !== null && round(published.points) !== round(points)) {
+                mismatches.push(`${race} ${published.code || ''} published as ${published.points}, scores ${round(points)}`.replace(/\s+/g, ' '));
+            }
+            return {
+                race,
+                points: round(points),
+                code: published ? published.code : code,
+                discarded: false
+            };
+        });
+
+        // Exclude the worst scores that may be excluded
+        const excludable = scored
+            .filter(r => !NON_DISCARDABLE_CODES.includes(r.code))
+            .sort((a, b) => b.points - a.points)
+            .slice(0, discards);
+        excludable.forEach(r => { r.discarded = true; });
+
+        const total = round(scored.reduce((sum, r) => sum + r.points, 0));
+        const net = round(scored.filter(r => !r.discarded).reduce((sum, r) => sum + r.points, 0));
+        return { id: competitor.id, competitor, races: scored, total, net, mismatches };
+    });
+
+    standings.sort((a, b) => a.net - b.net || (tieBreak === 'rrs' ? compareTied(a, b) : 0));
+
+    // Boats still level after the tie-break share the place
+    standings.forEach((standing, index) => {
+        const previous = standings[index - 1];
+        const level = previous && previous.net === standing.net &&
+            (tieBreak === 'none' || compareTied(previous, standing) === 0);
+        standing.position = level ? previous.position : index + 1;
+    });
+
+    return {
+        races,
+        entries,
+        discards,
+        standings: standings.map(({ id, competitor, races: scored, total, net, position, mismatches }) => {
+            const { position: publishedPosition, totalPoints } = competitor;
+            if (typeof totalPoints === 'number' && round(totalPoints) !== net) {
+                mismatches.push(`net points published as ${totalPoints}, scores ${net}`);
+            }
+            if (typeof publishedPosition === 'number' && publishedPosition !== position) {
+                mismatches.push(`position published as ${publishedPosition}, scores ${position}`);
+            }
+            return { id, position, total, net, races: scored, mismatches };
+        })
+    };
+}
+
+module.exports = {
+    SCORE_CODES,
+    TIE_BREAKS,
+    parseRaceScore,
+    formatRaceScore,
+    parseDiscards,
+    scoreSeries
+};
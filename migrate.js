@@ -0,0 +1,61 @@
+// Schema migrations from the command line (the server applies pending ones
+// when it starts):
+//
+//   npm run migrate status             list migrations and which are applied
+//   npm run migrate up [version]       apply pending migrations, up to version
+//   npm run migrate down [steps]       roll back the latest migrations (default 1)
+//   npm run migrate down --to version  roll back every migration after version
+
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const pool = require('./config/database.js');
+const { migrateUp, migrateDown, migrationStatus } = require('./lib/migrations.js');
+
+const USAGE = 'Usage: node migrate.js status | up [version] | down [steps] | down --to <version>';
+
+function readNumber(value, name) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0) {
+        throw new Error(`${name} must be a whole number\n${USAGE}`);
+    }
+    return number;
+}
+
+async function main([command = 'status', ...args]) {
+    switch (command) {
+        case 'status': {
+            const migrations = await migrationStatus(pool);
+            for (const { version, name, status, applied_at } of migrations) {
+                const when = applied_at ? new Date(applied_at).toLocaleString() : '';
+                console.log(`${String(version).padStart(3, '0')}  ${name.padEnd(28)} ${status.padEnd(8)} ${when}`);
+            }
+            const pending = migrations.filter(migration => migration.status === 'pending').length;
+            console.log(pending ? `${pending} pending` : 'Up to date');
+            break;
+        }
+        case 'up': {
+            const applied = await migrateUp(pool, { to: args[0] === undefined ? Infinity : readNumber(args[0], 'version') });
+            console.log(applied.length ? `✅ Applied ${applied.length} migrations` : 'Nothing to apply');
+            break;
+        }
+        case 'down': {
+            const options = args[0] === '--to'
+                ? { to: readNumber(args[1], 'version') }
+                : { steps: args[0] === undefined ? 1 : readNumber(args[0], 'steps') };
+            const rolledBack = await migrateDown(pool, options);
+            console.log(rolledBack.length ? `✅ Rolled back ${rolledBack.length} migrations` : 'Nothing to roll back');
+            break;
+        }
+        default:
+            throw new Error(USAGE);
+    }
+}
+
+main(process.argv.slice(2))
+    .catch(error => {
+        console.error('❌', error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => pool.end());
@@ -0,0 +1,204 @@
+// Regattas, their races (one per fleet/category), skippers and results.
+// Databases from before regattas existed, with one races row per CSV line,
+// are converted on the way.
+
+// Copy a table aside before a conversion changes it; the copies are listed
+// as backups at startup
+async function backupTable(client, table) {
+    const copy = `${table}_backup_${new Date().toISOString().replace(/[^0-9]/g, '')}`;
+    await client.query(`CREATE TABLE IF NOT EXISTS ${copy} AS SELECT * FROM ${table}`);
+    return copy;
+}
+
+// Move databases created with one races row per CSV line onto the
+// regatta -> race (fleet/category) -> result (entry) model
+async function convertLegacyRaces(client) {
+    const legacy = await client.query(`
+        SELECT 1 FROM information_schema.columns
+        WHERE table_schema = current_schema()
+        AND table_name = 'races'
+        AND column_name = 'regatta_name'
+    `);
+    if (legacy.rows.length === 0) return;
+
+    // Keep a copy of the old layout before restructuring anything
+    const backups = [await backupTable(client, 'races'), await backupTable(client, 'results')];
+    console.log('Created backup tables before regatta migration:', backups);
+
+    await client.query(`
+        ALTER TABLE races ADD COLUMN IF NOT EXISTS regatta_id INTEGER REFERENCES regattas(id);
+        ALTER TABLE results ADD COLUMN IF NOT EXISTS boat_name VARCHAR(300);
+        ALTER TABLE results ADD COLUMN IF NOT EXISTS sail_number VARCHAR(300);
+    `);
+
+    // One regatta per distinct name + date
+    await client.query(`
+        INSERT INTO regattas (name, regatta_date)
+        SELECT DISTINCT regatta_name, regatta_date FROM races
+    `);
+    await client.query(`
+        UPDATE races r SET regatta_id = rg.id
+        FROM regattas rg
+        WHERE rg.name IS NOT DISTINCT FROM r.regatta_name
+        AND rg.regatta_date IS NOT DISTINCT FROM r.regatta_date
+    `);
+
+    // Boat details belong to the entry, not the race
+    await client.query(`
+        UPDATE results res SET boat_name = r.boat_name, sail_number = r.sail_number
+        FROM races r
+        WHERE res.race_id = r.id
+    `);
+
+    // Collapse rows sharing regatta + category into a single race
+    const collapsed = await client.query(`
+        WITH canonical AS (
+            SELECT id, MIN(id) OVER (PARTITION BY regatta_id, category) AS keep_id
+            FROM races
+        )
+        UPDATE results res SET race_id = c.keep_id
+        FROM canonical c
+        WHERE res.race_id = c.id AND c.id <> c.keep_id
+    `);
+    const removed = await client.query(`
+        DELETE FROM races
+        WHERE id NOT IN (SELECT MIN(id) FROM races GROUP BY regatta_id, category)
+    `);
+
+    await client.query(`
+        ALTER TABLE races
+        DROP COLUMN regatta_name,
+        DROP COLUMN regatta_date,
+        DROP COLUMN boat_name,
+        DROP COLUMN sail_number;
+    `);
+    console.log(`✅ Migrated to regatta model: ${collapsed.rowCount} results re-pointed, ${removed.rowCount} duplicate races removed`);
+}
+
+// Results are keyed on race + skipper; drop the copies left by repeated uploads
+// (keeping the most recent) so the unique index can be created
+async function removeDuplicateResults(client) {
+    const duplicates = await client.query(`
+        SELECT COUNT(*) AS count FROM (
+            SELECT 1 FROM results
+            WHERE skipper_id IS NOT NULL
+            GROUP BY race_id, skipper_id
+            HAVING COUNT(*) > 1
+        ) d
+    `);
+    if (parseInt(duplicates.rows[0].count) === 0) return;
+
+    const backup = await backupTable(client, 'results');
+    const removed = await client.query(`
+        DELETE FROM results
+        WHERE skipper_id IS NOT NULL
+        AND id NOT IN (
+            SELECT MAX(id) FROM results
+            WHERE skipper_id IS NOT NULL
+            GROUP BY race_id, skipper_id
+        )
+    `);
+    console.log(`Removed ${removed.rowCount} duplicate results (backup: ${backup})`);
+}
+
+async function up(client) {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS regattas (
+            id SERIAL PRIMARY KEY,
+            name VARCHAR(300),
+            regatta_date DATE,
+            venue VARCHAR(300),
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            last_modified TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS races (
+            id SERIAL PRIMARY KEY,
+            regatta_id INTEGER REFERENCES regattas(id),
+            category VARCHAR(300),
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            last_modified TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS skippers (
+            id SERIAL PRIMARY KEY,
+            name VARCHAR(300) NOT NULL UNIQUE,
+            yacht_club VARCHAR(300),
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            last_modified TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS results (
+            id SERIAL PRIMARY KEY,
+            race_id INTEGER REFERENCES races(id),
+            skipper_id INTEGER REFERENCES skippers(id),
+            boat_name VARCHAR(300),
+            sail_number VARCHAR(300),
+            position INTEGER,
+            total_points DECIMAL(5,2),
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            last_modified TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+
+        -- Older databases had narrower columns
+        ALTER TABLE skippers
+        ALTER COLUMN name TYPE VARCHAR(300),
+        ALTER COLUMN yacht_club TYPE VARCHAR(300);
+    `);
+
+    await convertLegacyRaces(client);
+    await removeDuplicateResults(client);
+
+    await client.query(`
+        ALTER TABLE races
+        ALTER COLUMN category TYPE VARCHAR(300);
+
+        CREATE UNIQUE INDEX IF NOT EXISTS regattas_name_date_idx
+            ON regattas ((COALESCE(name, '')), (COALESCE(regatta_date, DATE '0001-01-01')));
+        CREATE UNIQUE INDEX IF NOT EXISTS races_regatta_category_idx
+            ON races (regatta_id, (COALESCE(category, '')));
+        CREATE UNIQUE INDEX IF NOT EXISTS results_race_skipper_idx ON results (race_id, skipper_id);
+        CREATE INDEX IF NOT EXISTS results_skipper_id_idx ON results (skipper_id);
+
+        CREATE OR REPLACE FUNCTION update_modified_column()
+        RETURNS TRIGGER AS $$
+        BEGIN
+            NEW.last_modified = CURRENT_TIMESTAMP;
+            RETURN NEW;
+        END;
+        $$ language 'plpgsql';
+
+        DROP TRIGGER IF EXISTS update_regattas_modtime ON regattas;
+        CREATE TRIGGER update_regattas_modtime
+            BEFORE UPDATE ON regattas
+            FOR EACH ROW
+            EXECUTE FUNCTION update_modified_column();
+
+        DROP TRIGGER IF EXISTS update_races_modtime ON races;
+        CREATE TRIGGER update_races_modtime
+            BEFORE UPDATE ON races
+            FOR EACH ROW
+            EXECUTE FUNCTION update_modified_column();
+
+        DROP TRIGGER IF EXISTS update_skippers_modtime ON skippers;
+        CREATE TRIGGER update_skippers_modtime
+            BEFORE UPDATE ON skippers
+            FOR EACH ROW
+            EXECUTE FUNCTION update_modified_column();
+
+        DROP TRIGGER IF EXISTS update_results_modtime ON results;
+        CREATE TRIGGER update_results_modtime
+            BEFORE UPDATE ON results
+            FOR EACH ROW
+            EXECUTE FUNCTION update_modified_column();
+    `);
+}
+
+async function down(client) {
+    await client.query(`
+        DROP TABLE IF EXISTS results, races, regattas, skippers;
+        DROP FUNCTION IF EXISTS update_modified_column();
+    `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,53 @@
+// Which files were imported, and the batch each regatta, race and result came
+// from, so an import can be undone
+
+async function up(client) {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS imported_files (
+            id SERIAL PRIMARY KEY,
+            file_hash CHAR(64) NOT NULL UNIQUE,
+            file_name VARCHAR(300),
+            row_count INTEGER,
+            imported_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS import_batches (
+            id SERIAL PRIMARY KEY,
+            file_name VARCHAR(300),
+            file_hash CHAR(64),
+            uploaded_by VARCHAR(300),
+            status VARCHAR(20) NOT NULL DEFAULT 'pending',
+            row_count INTEGER DEFAULT 0,
+            results_inserted INTEGER DEFAULT 0,
+            results_updated INTEGER DEFAULT 0,
+            error TEXT,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            rolled_back_at TIMESTAMP
+        );
+
+        ALTER TABLE regattas ADD COLUMN IF NOT EXISTS import_batch_id INTEGER REFERENCES import_batches(id);
+        ALTER TABLE races ADD COLUMN IF NOT EXISTS import_batch_id INTEGER REFERENCES import_batches(id);
+        ALTER TABLE results ADD COLUMN IF NOT EXISTS import_batch_id INTEGER REFERENCES import_batches(id);
+        CREATE INDEX IF NOT EXISTS results_import_batch_id_idx ON results (import_batch_id);
+
+        -- Values a batch overwrote when it updated an existing result
+        CREATE TABLE IF NOT EXISTS import_batch_revisions (
+            batch_id INTEGER NOT NULL REFERENCES import_batches(id),
+            result_id INTEGER NOT NULL REFERENCES results(id) ON DELETE CASCADE,
+            previous JSONB NOT NULL,
+            PRIMARY KEY (batch_id, result_id)
+        );
+    `);
+}
+
+async function down(client) {
+    await client.query(`
+        DROP TABLE IF EXISTS import_batch_revisions;
+        ALTER TABLE results DROP COLUMN IF EXISTS import_batch_id;
+        ALTER TABLE races DROP COLUMN IF EXISTS import_batch_id;
+        ALTER TABLE regattas DROP COLUMN IF EXISTS import_batch_id;
+        DROP TABLE IF EXISTS import_batches, imported_files;
+    `);
+}
+
+module.exports = { up, down };
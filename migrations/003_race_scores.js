@@ -0,0 +1,11 @@
+// Per-race scores ([{ race, points, code, discarded }]) from Sailwave imports
+
+async function up(client) {
+    await client.query('ALTER TABLE results ADD COLUMN IF NOT EXISTS race_scores JSONB');
+}
+
+async function down(client) {
+    await client.query('ALTER TABLE results DROP COLUMN IF EXISTS race_scores');
+}
+
+module.exports = { up, down };
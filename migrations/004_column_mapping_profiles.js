@@ -0,0 +1,28 @@
+// Saved column mappings, found again by the header set of an upload
+
+async function up(client) {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS column_mapping_profiles (
+            id SERIAL PRIMARY KEY,
+            name VARCHAR(300) NOT NULL UNIQUE,
+            header_signature TEXT NOT NULL,
+            mapping JSONB NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            last_modified TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE INDEX IF NOT EXISTS column_mapping_profiles_signature_idx
+            ON column_mapping_profiles (header_signature);
+
+        DROP TRIGGER IF EXISTS update_column_mapping_profiles_modtime ON column_mapping_profiles;
+        CREATE TRIGGER update_column_mapping_profiles_modtime
+            BEFORE UPDATE ON column_mapping_profiles
+            FOR EACH ROW
+            EXECUTE FUNCTION update_modified_column();
+    `);
+}
+
+async function down(client) {
+    await client.query('DROP TABLE IF EXISTS column_mapping_profiles');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,76 @@
+// Skipper name matching: a normalized form of names, other spellings of a
+// skipper's name, and the fuzzy matching behind duplicate suggestions
+
+async function up(client) {
+    await client.query(`
+        -- Comparable form of a skipper name: "SMITH, Jon" and "Jon Smith" both become "jon smith"
+        CREATE OR REPLACE FUNCTION normalize_skipper_name(name TEXT) RETURNS TEXT AS $$
+            SELECT NULLIF(TRIM(REGEXP_REPLACE(
+                LOWER(CASE WHEN name ~ '^[^,]+,[^,]+$'
+                    THEN SPLIT_PART(name, ',', 2) || ' ' || SPLIT_PART(name, ',', 1)
+                    ELSE name END),
+                '[^[:alnum:]]+', ' ', 'g')), '')
+        $$ LANGUAGE SQL IMMUTABLE;
+        CREATE INDEX IF NOT EXISTS skippers_normalized_name_idx
+            ON skippers (normalize_skipper_name(name));
+
+        -- Other spellings of a skipper's name, used to resolve names on import
+        CREATE TABLE IF NOT EXISTS skipper_aliases (
+            id SERIAL PRIMARY KEY,
+            skipper_id INTEGER NOT NULL REFERENCES skippers(id) ON DELETE CASCADE,
+            alias VARCHAR(300) NOT NULL,
+            normalized_alias VARCHAR(300) GENERATED ALWAYS AS (normalize_skipper_name(alias)) STORED,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE UNIQUE INDEX IF NOT EXISTS skipper_aliases_normalized_alias_idx
+            ON skipper_aliases (normalized_alias);
+        CREATE INDEX IF NOT EXISTS skipper_aliases_skipper_id_idx ON skipper_aliases (skipper_id);
+
+        -- The skipper a name refers to, as an import would resolve it (name,
+        -- alias, then normalized name), or else the one skipper whose name
+        -- contains it ("Alice" for "Alice Jones" when there's only one Alice)
+        CREATE OR REPLACE FUNCTION find_skipper(skipper_name TEXT) RETURNS INTEGER AS $$
+            SELECT id FROM (
+                SELECT id, 1 AS preference FROM skippers WHERE LOWER(name) = LOWER(skipper_name)
+                UNION ALL
+                SELECT skipper_id, 2 FROM skipper_aliases WHERE normalized_alias = normalize_skipper_name(skipper_name)
+                UNION ALL
+                SELECT id, 3 FROM skippers WHERE normalize_skipper_name(name) = normalize_skipper_name(skipper_name)
+                UNION ALL
+                SELECT MIN(id), 4 FROM skippers
+                WHERE LOWER(name) LIKE '%' || LOWER(skipper_name) || '%'
+                HAVING COUNT(*) = 1
+            ) matches
+            ORDER BY preference, id
+            LIMIT 1
+        $$ LANGUAGE SQL STABLE;
+    `);
+
+    // Duplicate skipper suggestions need the pg_trgm and fuzzystrmatch extensions.
+    // Hosted databases may not allow creating them, so imports keep working without.
+    await client.query('SAVEPOINT name_matching');
+    try {
+        await client.query(`
+            CREATE EXTENSION IF NOT EXISTS pg_trgm;
+            CREATE EXTENSION IF NOT EXISTS fuzzystrmatch;
+            CREATE INDEX IF NOT EXISTS skippers_name_trgm_idx
+                ON skippers USING GIN (normalize_skipper_name(name) gin_trgm_ops);
+        `);
+    } catch (error) {
+        await client.query('ROLLBACK TO SAVEPOINT name_matching');
+        console.warn('⚠️ Name matching extensions unavailable, duplicate skipper suggestions disabled:', error.message);
+    }
+}
+
+// The extensions stay: other databases on the server may use them
+async function down(client) {
+    await client.query(`
+        DROP FUNCTION IF EXISTS find_skipper(TEXT);
+        DROP TABLE IF EXISTS skipper_aliases;
+        DROP INDEX IF EXISTS skippers_name_trgm_idx;
+        DROP INDEX IF EXISTS skippers_normalized_name_idx;
+        DROP FUNCTION IF EXISTS normalize_skipper_name(TEXT);
+    `);
+}
+
+module.exports = { up, down };
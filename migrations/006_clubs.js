@@ -0,0 +1,87 @@
+// Clubs with short codes and aliases; skippers link to one, and the free-text
+// clubs from before are turned into clubs
+
+async function up(client) {
+    await client.query(`
+        -- Comparable form of a club name: "Sarasota Y.C." and "Sarasota Yacht Club" both
+        -- become "sarasota yacht club"
+        CREATE OR REPLACE FUNCTION normalize_club_name(name TEXT) RETURNS TEXT AS $$
+            SELECT NULLIF(TRIM(REGEXP_REPLACE(REGEXP_REPLACE(REGEXP_REPLACE(
+                ' ' || REGEXP_REPLACE(LOWER(name), '[^[:alnum:]]+', ' ', 'g') || ' ',
+                '^ the ', ' '),
+                ' y ?c ', ' yacht club ', 'g'),
+                ' s ?c ', ' sailing club ', 'g')), '')
+        $$ LANGUAGE SQL IMMUTABLE;
+
+        CREATE TABLE IF NOT EXISTS clubs (
+            id SERIAL PRIMARY KEY,
+            name VARCHAR(300) NOT NULL UNIQUE,
+            short_code VARCHAR(20),
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE UNIQUE INDEX IF NOT EXISTS clubs_short_code_idx ON clubs (UPPER(short_code));
+        CREATE INDEX IF NOT EXISTS clubs_normalized_name_idx ON clubs (normalize_club_name(name));
+
+        CREATE TABLE IF NOT EXISTS club_aliases (
+            id SERIAL PRIMARY KEY,
+            club_id INTEGER NOT NULL REFERENCES clubs(id) ON DELETE CASCADE,
+            alias VARCHAR(300) NOT NULL,
+            normalized_alias VARCHAR(300) GENERATED ALWAYS AS (normalize_club_name(alias)) STORED,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE UNIQUE INDEX IF NOT EXISTS club_aliases_normalized_alias_idx
+            ON club_aliases (normalized_alias);
+        CREATE INDEX IF NOT EXISTS club_aliases_club_id_idx ON club_aliases (club_id);
+
+        -- The club a name refers to: exact name, then short code, then alias,
+        -- then the same name written differently
+        CREATE OR REPLACE FUNCTION find_club(club_name TEXT) RETURNS INTEGER AS $$
+            SELECT id FROM (
+                SELECT id, 1 AS preference FROM clubs WHERE name = club_name
+                UNION ALL
+                SELECT id, 2 FROM clubs WHERE UPPER(short_code) = UPPER(TRIM(club_name))
+                UNION ALL
+                SELECT club_id, 3 FROM club_aliases WHERE normalized_alias = normalize_club_name(club_name)
+                UNION ALL
+                SELECT id, 4 FROM clubs WHERE normalize_club_name(name) = normalize_club_name(club_name)
+            ) matches
+            ORDER BY preference, id
+            LIMIT 1
+        $$ LANGUAGE SQL STABLE;
+
+        -- skippers.yacht_club keeps the club's canonical name for display
+        ALTER TABLE skippers ADD COLUMN IF NOT EXISTS club_id INTEGER REFERENCES clubs(id) ON DELETE SET NULL;
+        CREATE INDEX IF NOT EXISTS skippers_club_id_idx ON skippers (club_id);
+
+        -- Free-text clubs from before the clubs table, named by their most common spelling
+        INSERT INTO clubs (name)
+        SELECT DISTINCT ON (club_key) yacht_club
+        FROM (
+            SELECT yacht_club, normalize_club_name(yacht_club) AS club_key, COUNT(*) AS skippers
+            FROM skippers
+            WHERE club_id IS NULL AND yacht_club IS NOT NULL
+            GROUP BY yacht_club
+        ) spellings
+        WHERE club_key IS NOT NULL AND find_club(yacht_club) IS NULL
+        ORDER BY club_key, skippers DESC, yacht_club
+        ON CONFLICT (name) DO NOTHING;
+
+        UPDATE skippers s
+        SET club_id = c.id, yacht_club = c.name
+        FROM clubs c
+        WHERE s.club_id IS NULL AND s.yacht_club IS NOT NULL
+        AND c.id = find_club(s.yacht_club);
+    `);
+}
+
+// skippers.yacht_club still holds each skipper's club name
+async function down(client) {
+    await client.query(`
+        DROP FUNCTION IF EXISTS find_club(TEXT);
+        ALTER TABLE skippers DROP COLUMN IF EXISTS club_id;
+        DROP TABLE IF EXISTS club_aliases, clubs;
+        DROP FUNCTION IF EXISTS normalize_club_name(TEXT);
+    `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,92 @@
+// Boats, identified by sail number, with the names they raced under and who
+// sailed them
+
+async function up(client) {
+    await client.query(`
+        -- Comparable form of a sail number: "usa 0123", "USA-123" and "USA123" are all "USA123"
+        CREATE OR REPLACE FUNCTION normalize_sail_number(sail TEXT) RETURNS TEXT AS $$
+            SELECT NULLIF(REGEXP_REPLACE(
+                REGEXP_REPLACE(UPPER(sail), '[^A-Z0-9]+', '', 'g'),
+                '^([A-Z]*)0+([0-9])', '\\1\\2'), '')
+        $$ LANGUAGE SQL IMMUTABLE;
+
+        -- A boat is its sail number; results keep the name and number as entered
+        CREATE TABLE IF NOT EXISTS boats (
+            id SERIAL PRIMARY KEY,
+            sail_number VARCHAR(50) NOT NULL,
+            sail_key VARCHAR(50) NOT NULL UNIQUE,
+            sail_country VARCHAR(50) GENERATED ALWAYS AS (SUBSTRING(sail_key FROM '^[A-Z]*')) STORED,
+            sail_digits VARCHAR(50) GENERATED ALWAYS AS (SUBSTRING(sail_key FROM '^[A-Z]*(.*)$')) STORED,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE INDEX IF NOT EXISTS boats_sail_digits_idx ON boats (sail_digits);
+
+        -- The boat a sail number refers to. A number without a country prefix
+        -- ("123") matches one with a prefix ("USA 123"), and the other way
+        -- round, as long as only one boat has that number.
+        CREATE OR REPLACE FUNCTION find_boat(sail TEXT) RETURNS INTEGER AS $$
+            SELECT id FROM (
+                SELECT id, 1 AS preference FROM boats WHERE sail_key = normalize_sail_number(sail)
+                UNION ALL
+                SELECT MIN(id), 2 FROM boats
+                WHERE sail_digits = SUBSTRING(normalize_sail_number(sail) FROM '^[A-Z]*(.*)$')
+                AND sail_digits <> ''
+                AND (sail_country = '' OR SUBSTRING(normalize_sail_number(sail) FROM '^[A-Z]*') = '')
+                HAVING COUNT(*) = 1
+            ) matches
+            ORDER BY preference, id
+            LIMIT 1
+        $$ LANGUAGE SQL STABLE;
+
+        ALTER TABLE results ADD COLUMN IF NOT EXISTS boat_id INTEGER REFERENCES boats(id);
+        CREATE INDEX IF NOT EXISTS results_boat_id_idx ON results (boat_id);
+
+        -- Boats for results from before the boats table
+        INSERT INTO boats (sail_number, sail_key)
+        SELECT DISTINCT ON (normalize_sail_number(sail_number)) sail_number, normalize_sail_number(sail_number)
+        FROM results
+        WHERE boat_id IS NULL AND normalize_sail_number(sail_number) IS NOT NULL
+        ORDER BY normalize_sail_number(sail_number), id
+        ON CONFLICT (sail_key) DO NOTHING;
+
+        UPDATE results res
+        SET boat_id = b.id
+        FROM boats b
+        WHERE res.boat_id IS NULL
+        AND b.sail_key = normalize_sail_number(res.sail_number);
+
+        -- Names a boat has raced under and who sailed it, with when
+        CREATE OR REPLACE VIEW boat_name_history AS
+        SELECT res.boat_id, res.boat_name AS name,
+               MIN(rg.regatta_date) AS first_seen, MAX(rg.regatta_date) AS last_seen,
+               COUNT(*) AS results
+        FROM results res
+        JOIN races r ON res.race_id = r.id
+        JOIN regattas rg ON r.regatta_id = rg.id
+        WHERE res.boat_id IS NOT NULL AND res.boat_name IS NOT NULL
+        GROUP BY res.boat_id, res.boat_name;
+
+        CREATE OR REPLACE VIEW boat_skipper_history AS
+        SELECT res.boat_id, res.skipper_id,
+               MIN(rg.regatta_date) AS first_seen, MAX(rg.regatta_date) AS last_seen,
+               COUNT(*) AS results
+        FROM results res
+        JOIN races r ON res.race_id = r.id
+        JOIN regattas rg ON r.regatta_id = rg.id
+        WHERE res.boat_id IS NOT NULL AND res.skipper_id IS NOT NULL
+        GROUP BY res.boat_id, res.skipper_id;
+    `);
+}
+
+// Results keep the sail numbers as entered
+async function down(client) {
+    await client.query(`
+        DROP VIEW IF EXISTS boat_skipper_history, boat_name_history;
+        ALTER TABLE results DROP COLUMN IF EXISTS boat_id;
+        DROP FUNCTION IF EXISTS find_boat(TEXT);
+        DROP TABLE IF EXISTS boats;
+        DROP FUNCTION IF EXISTS normalize_sail_number(TEXT);
+    `);
+}
+
+module.exports = { up, down };
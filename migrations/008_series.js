@@ -0,0 +1,37 @@
+// Season series (Spring Series, club championship): standings combine one
+// category's results across several regattas
+
+async function up(client) {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS series (
+            id SERIAL PRIMARY KEY,
+            name VARCHAR(300) NOT NULL,
+            category VARCHAR(300),
+            scoring_rule VARCHAR(50) NOT NULL DEFAULT 'low_point',
+            discards VARCHAR(100),
+            tie_break VARCHAR(20) NOT NULL DEFAULT 'rrs',
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            last_modified TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE UNIQUE INDEX IF NOT EXISTS series_name_idx ON series (LOWER(name));
+
+        CREATE TABLE IF NOT EXISTS series_regattas (
+            series_id INTEGER NOT NULL REFERENCES series(id) ON DELETE CASCADE,
+            regatta_id INTEGER NOT NULL REFERENCES regattas(id) ON DELETE CASCADE,
+            PRIMARY KEY (series_id, regatta_id)
+        );
+        CREATE INDEX IF NOT EXISTS series_regattas_regatta_id_idx ON series_regattas (regatta_id);
+
+        DROP TRIGGER IF EXISTS update_series_modtime ON series;
+        CREATE TRIGGER update_series_modtime
+            BEFORE UPDATE ON series
+            FOR EACH ROW
+            EXECUTE FUNCTION update_modified_column();
+    `);
+}
+
+async function down(client) {
+    await client.query('DROP TABLE IF EXISTS series_regattas, series');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,39 @@
+// Elo-style skipper ratings, kept as each skipper's rating before and after
+// every race they were rated in
+
+async function up(client) {
+    await client.query(`
+        -- race_id has no foreign key: history for deleted races is how a
+        -- rating update finds what to replay
+        CREATE TABLE IF NOT EXISTS skipper_rating_history (
+            id SERIAL PRIMARY KEY,
+            skipper_id INTEGER NOT NULL REFERENCES skippers(id) ON DELETE CASCADE,
+            race_id INTEGER NOT NULL,
+            regatta_date DATE NOT NULL,
+            position INTEGER NOT NULL,
+            field_size INTEGER NOT NULL,
+            rating_before NUMERIC(7,2) NOT NULL,
+            rating_after NUMERIC(7,2) NOT NULL
+        );
+        CREATE UNIQUE INDEX IF NOT EXISTS skipper_rating_history_race_skipper_idx ON skipper_rating_history (race_id, skipper_id);
+        CREATE INDEX IF NOT EXISTS skipper_rating_history_skipper_idx ON skipper_rating_history (skipper_id, regatta_date, id);
+        CREATE INDEX IF NOT EXISTS skipper_rating_history_date_idx ON skipper_rating_history (regatta_date);
+
+        -- Current rating: the latest in each skipper's history
+        CREATE OR REPLACE VIEW skipper_ratings AS
+        SELECT DISTINCT ON (skipper_id)
+            skipper_id, rating_after AS rating, regatta_date AS last_raced,
+            COUNT(*) OVER (PARTITION BY skipper_id) AS races
+        FROM skipper_rating_history
+        ORDER BY skipper_id, regatta_date DESC, id DESC;
+    `);
+}
+
+async function down(client) {
+    await client.query(`
+        DROP VIEW IF EXISTS skipper_ratings;
+        DROP TABLE IF EXISTS skipper_rating_history;
+    `);
+}
+
+module.exports = { up, down };
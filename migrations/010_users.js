@@ -0,0 +1,45 @@
+// Accounts for the pages and scripts, with their login sessions and API
+// tokens; see lib/auth.js for the roles
+
+async function up(client) {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS users (
+            id SERIAL PRIMARY KEY,
+            username VARCHAR(100) NOT NULL,
+            password_hash TEXT NOT NULL,
+            role VARCHAR(20) NOT NULL DEFAULT 'viewer' CHECK (role IN ('viewer', 'importer', 'admin')),
+            disabled BOOLEAN NOT NULL DEFAULT FALSE,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            last_modified TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE UNIQUE INDEX IF NOT EXISTS users_username_idx ON users (LOWER(username));
+
+        -- Login sessions (kind 'session', held in a cookie) and API tokens
+        -- (kind 'api', sent as a bearer token). Only a hash of each is kept;
+        -- an API token's role can be lower than its user's.
+        CREATE TABLE IF NOT EXISTS auth_tokens (
+            id SERIAL PRIMARY KEY,
+            user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            kind VARCHAR(10) NOT NULL CHECK (kind IN ('session', 'api')),
+            name VARCHAR(100),
+            role VARCHAR(20) CHECK (role IN ('viewer', 'importer', 'admin')),
+            token_hash CHAR(64) NOT NULL UNIQUE,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            last_used_at TIMESTAMP,
+            expires_at TIMESTAMP
+        );
+        CREATE INDEX IF NOT EXISTS auth_tokens_user_id_idx ON auth_tokens (user_id);
+
+        DROP TRIGGER IF EXISTS update_users_modtime ON users;
+        CREATE TRIGGER update_users_modtime
+            BEFORE UPDATE ON users
+            FOR EACH ROW
+            EXECUTE FUNCTION update_modified_column();
+    `);
+}
+
+async function down(client) {
+    await client.query('DROP TABLE IF EXISTS auth_tokens, users');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,27 @@
+// The list of backups. Each is a set of backup_<stamp>_<table> copies of the
+// results tables.
+
+async function up(client) {
+    await client.query(`
+        -- tables maps each table to its copy and row count:
+        -- { "skippers": { "table": "backup_<stamp>_skippers", "rows": 12 } }.
+        -- reason is manual, clear, restore (the data a restore replaced),
+        -- upload or legacy (copies made before this table).
+        CREATE TABLE IF NOT EXISTS backups (
+            id SERIAL PRIMARY KEY,
+            label VARCHAR(300),
+            reason VARCHAR(20) NOT NULL DEFAULT 'manual',
+            tables JSONB NOT NULL,
+            created_by VARCHAR(100),
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+    `);
+}
+
+// Only the list goes; the copies stay, and are listed again as legacy
+// backups if the table comes back
+async function down(client) {
+    await client.query('DROP TABLE IF EXISTS backups');
+}
+
+module.exports = { up, down };
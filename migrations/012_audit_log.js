@@ -0,0 +1,34 @@
+// Who changed what and when: one row per data-changing request, plus the
+// changes the server makes itself (actor and method empty). See lib/audit.js.
+
+async function up(client) {
+    await client.query(`
+        -- user_id has no foreign key, so entries outlive the account.
+        -- row_counts maps what changed to how many rows, e.g. { "resultsMoved": 12 };
+        -- status is empty when the caller went away before the answer.
+        CREATE TABLE IF NOT EXISTS audit_log (
+            id SERIAL PRIMARY KEY,
+            at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            action VARCHAR(100) NOT NULL,
+            actor VARCHAR(100),
+            user_id INTEGER,
+            role VARCHAR(20),
+            ip VARCHAR(100),
+            method VARCHAR(10),
+            path TEXT,
+            status INTEGER,
+            params JSONB,
+            row_counts JSONB,
+            error TEXT,
+            duration_ms INTEGER
+        );
+        CREATE INDEX IF NOT EXISTS audit_log_at_idx ON audit_log (at);
+        CREATE INDEX IF NOT EXISTS audit_log_action_idx ON audit_log (action);
+    `);
+}
+
+async function down(client) {
+    await client.query('DROP TABLE IF EXISTS audit_log');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,28 @@
+// The skipper clubs and regatta venues an import overwrote, so undoing it
+// puts them back (results have import_batch_revisions)
+
+async function up(client) {
+    await client.query(`
+        -- previous is { "yacht_club": ..., "club_id": ... }
+        CREATE TABLE IF NOT EXISTS import_batch_skipper_revisions (
+            batch_id INTEGER NOT NULL REFERENCES import_batches(id),
+            skipper_id INTEGER NOT NULL REFERENCES skippers(id) ON DELETE CASCADE,
+            previous JSONB NOT NULL,
+            PRIMARY KEY (batch_id, skipper_id)
+        );
+
+        -- previous is { "venue": ... }
+        CREATE TABLE IF NOT EXISTS import_batch_regatta_revisions (
+            batch_id INTEGER NOT NULL REFERENCES import_batches(id),
+            regatta_id INTEGER NOT NULL REFERENCES regattas(id) ON DELETE CASCADE,
+            previous JSONB NOT NULL,
+            PRIMARY KEY (batch_id, regatta_id)
+        );
+    `);
+}
+
+async function down(client) {
+    await client.query('DROP TABLE IF EXISTS import_batch_skipper_revisions, import_batch_regatta_revisions');
+}
+
+module.exports = { up, down };
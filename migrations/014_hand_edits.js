@@ -0,0 +1,20 @@
+// When a skipper, regatta or result was last corrected by hand (the edit
+// routes, or rescoring a race), so undoing an import doesn't overwrite or delete the correction
+
+async function up(client) {
+    await client.query(`
+        ALTER TABLE skippers ADD COLUMN IF NOT EXISTS edited_at TIMESTAMP;
+        ALTER TABLE regattas ADD COLUMN IF NOT EXISTS edited_at TIMESTAMP;
+        ALTER TABLE results ADD COLUMN IF NOT EXISTS edited_at TIMESTAMP;
+    `);
+}
+
+async function down(client) {
+    await client.query(`
+        ALTER TABLE skippers DROP COLUMN IF EXISTS edited_at;
+        ALTER TABLE regattas DROP COLUMN IF EXISTS edited_at;
+        ALTER TABLE results DROP COLUMN IF EXISTS edited_at;
+    `);
+}
+
+module.exports = { up, down };
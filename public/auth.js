@@ -0,0 +1,46 @@
+// Login handling shared by the pages: send people to the login page when the
+// server says they need to log in, and show who is logged in
+
+(function () {
+    const originalFetch = window.fetch.bind(window);
+
+    function loginUrl() {
+        return `/login?next=${encodeURIComponent(window.location.pathname + window.location.search)}`;
+    }
+
+    window.fetch = async (...args) => {
+        const response = await originalFetch(...args);
+        if (response.status === 401 && !String(args[0]).startsWith('/api/auth/')) {
+            window.location.href = loginUrl();
+        }
+        return response;
+    };
+
+    async function logout() {
+        await originalFetch('/api/auth/logout', { method: 'POST' });
+        window.location.href = loginUrl();
+    }
+
+    // Fill element with "username (role) · Log out", or a login link for
+    // anonymous visitors. Resolves to the user, or null.
+    window.showCurrentUser = async function (element) {
+        const response = await originalFetch('/api/auth/me');
+        const { user } = await response.json();
+        element.textContent = '';
+        const link = document.createElement('a');
+        link.href = '#';
+        if (user) {
+            element.appendChild(document.createTextNode(`${user.username} (${user.role}) · `));
+            link.textContent = 'Log out';
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                logout();
+            });
+        } else {
+            link.textContent = 'Log in';
+            link.href = loginUrl();
+        }
+        element.appendChild(link);
+        return user;
+    };
+})();
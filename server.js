@@ -17,9 +17,14 @@ app.post("/relay", async (req, res) => {
     }
 
     try {
+        const headers = { "Content-Type": "application/json" };
+        // A viewer API token, unless the service lets anonymous callers chat
+        if (process.env.CHAT_API_TOKEN) {
+            headers.Authorization = `Bearer ${process.env.CHAT_API_TOKEN}`;
+        }
         const response = await fetch("https://lab007-csv2sql.onrender.com/api/chat", {
             method: "POST",
-            headers: { "Content-Type": "application/json" },
+            headers,
             body: JSON.stringify({ query: userQuery }),
         });
 